@@ -0,0 +1,101 @@
+// auth.js — bearer-token authentication for the Toxella API.
+// ---------------------------------------------------------
+// Tokens are JWTs verified either against a remote JWKS (production: Firebase Auth, Auth0, ...)
+// or a shared HMAC secret (local dev / tests). The caller's userId always comes from the token;
+// nothing in the request body is trusted for identity.
+
+const { jwtVerify, createRemoteJWKSet } = require('jose');
+
+// -------------------------
+// Env
+// -------------------------
+const AUTH_JWKS_URL = process.env.AUTH_JWKS_URL || '';
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || '';
+const AUTH_ISSUER = process.env.AUTH_ISSUER || undefined;
+const AUTH_AUDIENCE = process.env.AUTH_AUDIENCE || undefined;
+const AUTH_USER_CLAIM = process.env.AUTH_USER_CLAIM || 'sub';
+const AUTH_ROLES_CLAIM = process.env.AUTH_ROLES_CLAIM || 'roles';
+const ADMIN_ROLE = process.env.AUTH_ADMIN_ROLE || 'admin';
+
+const keySource = AUTH_JWKS_URL
+  ? createRemoteJWKSet(new URL(AUTH_JWKS_URL))
+  : AUTH_JWT_SECRET
+    ? new TextEncoder().encode(AUTH_JWT_SECRET)
+    : null;
+
+// -------------------------
+// Helpers
+// -------------------------
+function bearerToken(req) {
+  const h = req.get('authorization') || '';
+  const m = /^Bearer\s+(.+)$/i.exec(h);
+  return m ? m[1].trim() : null;
+}
+
+function rolesFrom(payload) {
+  const r = payload[AUTH_ROLES_CLAIM];
+  if (Array.isArray(r)) return r.map(String);
+  if (typeof r === 'string') return r.split(/[\s,]+/).filter(Boolean);
+  // Firebase-style custom claim: { admin: true }
+  return payload[ADMIN_ROLE] === true ? [ADMIN_ROLE] : [];
+}
+
+async function verifyToken(token) {
+  if (!keySource) throw new Error('auth not configured (set AUTH_JWKS_URL or AUTH_JWT_SECRET)');
+  const { payload } = await jwtVerify(token, keySource, {
+    issuer: AUTH_ISSUER,
+    audience: AUTH_AUDIENCE,
+    ...(AUTH_JWKS_URL ? {} : { algorithms: ['HS256', 'HS384', 'HS512'] })
+  });
+  const id = payload[AUTH_USER_CLAIM];
+  if (!id || typeof id !== 'string') throw new Error(`token missing ${AUTH_USER_CLAIM} claim`);
+  return { id, roles: rolesFrom(payload), claims: payload };
+}
+
+// -------------------------
+// Middleware
+// -------------------------
+// Sets req.user = { id, roles, claims } or responds 401.
+async function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  try {
+    req.user = await verifyToken(token);
+    return next();
+  } catch (e) {
+    console.warn('auth rejected:', e.code || e.message);
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user?.roles?.includes(role)) return res.status(403).json({ error: 'forbidden' });
+    return next();
+  };
+}
+
+const requireAdmin = requireRole(ADMIN_ROLE);
+
+function isAdmin(user) {
+  return !!user?.roles?.includes(ADMIN_ROLE);
+}
+
+// Owner or admin. Documents without an owner are treated as not owned by anyone.
+function canAccess(user, doc) {
+  return isAdmin(user) || (!!doc?.userId && doc.userId === user?.id);
+}
+
+module.exports = {
+  requireAuth,
+  requireRole,
+  requireAdmin,
+  isAdmin,
+  canAccess,
+  verifyToken,
+  authMode: AUTH_JWKS_URL ? 'jwks' : AUTH_JWT_SECRET ? 'secret' : 'unconfigured'
+};
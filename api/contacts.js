@@ -0,0 +1,209 @@
+// contacts.js — per-contact timelines across a user's reports.
+// -----------------------------------------------------------
+// Jobs may carry a `contactId` (client-chosen, stable per person) and a display `contactLabel`;
+// the worker copies both onto the report document. Timelines are computed on read from the
+// user's reports, so deleting a report (DELETE /jobs/:jobId, /delete-all) removes it from
+// every aggregate without any bookkeeping.
+
+const taxonomy = require('../shared/taxonomy.json');
+const { upgradeReport } = require('./reportVersions');
+
+// -------------------------
+// Config
+// -------------------------
+const CONTACT_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_LABEL_CHARS = 80;
+// A tactic counts as present in a report at or above this likelihood.
+const PRESENT_LIKELIHOOD = 0.3;
+// Risk change (points) between consecutive reports that is flagged as a jump.
+const RISK_JUMP = 20;
+// Least-squares slope (points per report) beyond which the trend is rising / falling.
+const TREND_SLOPE = 2;
+// Newest reports read per request (contact list and timeline); older ones are left out.
+const MAX_REPORTS = parseInt(process.env.CONTACT_MAX_REPORTS || '500', 10);
+
+const NAMES = Object.fromEntries(taxonomy.tactics.map(t => [t.id, t.name]));
+// Tactics whose first appearance for a contact is an escalation (threats, coercion). In the
+// contact's first report there is no earlier report to compare with; it is flagged as a baseline.
+const ESCALATION_TACTICS = new Set(taxonomy.tactics.filter(t => t.escalation).map(t => t.id));
+const LABEL_RANK = { low: 0, medium: 1, high: 2 };
+
+// -------------------------
+// Input
+// -------------------------
+// Validates POST /jobs `contactId` / `contactLabel`. Returns { value } or { error }.
+function parseContactInput(contactId, contactLabel) {
+  if (contactId === null || contactId === undefined) {
+    return contactLabel ? { error: 'contactLabel requires contactId' } : { value: null };
+  }
+  if (typeof contactId !== 'string' || !CONTACT_ID_RE.test(contactId)) {
+    return { error: 'contactId must be 1-64 letters, digits, "-" or "_"' };
+  }
+  if (contactLabel !== null && contactLabel !== undefined &&
+      (typeof contactLabel !== 'string' || contactLabel.length > MAX_LABEL_CHARS)) {
+    return { error: `contactLabel must be a string up to ${MAX_LABEL_CHARS} chars` };
+  }
+  return { value: { contactId, contactLabel: contactLabel ? contactLabel.trim() : null } };
+}
+
+// -------------------------
+// Aggregation
+// -------------------------
+function toIso(ts) {
+  const d = ts?.toDate ? ts.toDate() : ts ? new Date(ts) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+}
+
+// Report docs -> chronological points. Reports in a schema we can't read are left out.
+function toPoints(docs) {
+  return docs
+    .map(d => {
+      const { report, from, unsupported } = upgradeReport(d.json || {});
+      if (unsupported) {
+        console.warn(`contacts: skipping report ${d.reportId} with unsupported schema ${from}`);
+        return null;
+      }
+      return {
+        reportId: d.reportId,
+        at: toIso(d.createdAt),
+        label: d.contactLabel || null,
+        risk_score: report.risk_score,
+        risk_label: report.risk_label,
+        confidence: report.confidence,
+        tactics: report.tactics.filter(t => t.likelihood >= PRESENT_LIKELIHOOD)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+function slope(ys) {
+  const n = ys.length;
+  if (n < 2) return 0;
+  const mx = (n - 1) / 2;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let num = 0, den = 0;
+  ys.forEach((y, x) => { num += (x - mx) * (y - my); den += (x - mx) ** 2; });
+  return num / den;
+}
+
+function trendOf(points) {
+  const scores = points.map(p => p.risk_score);
+  const s = slope(scores);
+  return {
+    direction: s > TREND_SLOPE ? 'rising' : s < -TREND_SLOPE ? 'falling' : 'stable',
+    slope_per_report: Math.round(s * 10) / 10,
+    first: scores[0] ?? null,
+    last: scores[scores.length - 1] ?? null,
+    average: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null
+  };
+}
+
+function escalationsOf(points) {
+  const out = [];
+  const seen = new Set();
+  points.forEach((p, i) => {
+    for (const t of p.tactics) {
+      if (!seen.has(t.id) && ESCALATION_TACTICS.has(t.id)) {
+        out.push({ type: 'new_tactic', tactic: t.id, reportId: p.reportId, at: p.at, severity: t.severity, ...(i === 0 ? { baseline: true } : {}) });
+      }
+    }
+    p.tactics.forEach(t => seen.add(t.id));
+    const prev = points[i - 1];
+    if (!prev) return;
+    if (p.risk_score - prev.risk_score >= RISK_JUMP) {
+      out.push({ type: 'risk_jump', from: prev.risk_score, to: p.risk_score, reportId: p.reportId, at: p.at });
+    } else if (LABEL_RANK[p.risk_label] > LABEL_RANK[prev.risk_label]) {
+      out.push({ type: 'risk_label', from: prev.risk_label, to: p.risk_label, reportId: p.reportId, at: p.at });
+    }
+  });
+  return out;
+}
+
+function tacticSeries(points) {
+  const byId = new Map();
+  for (const p of points) {
+    for (const t of p.tactics) {
+      const s = byId.get(t.id) || { id: t.id, name: NAMES[t.id] || t.name, reports: 0, first_seen: p.at, last_seen: p.at, series: [] };
+      s.reports++;
+      s.last_seen = p.at;
+      s.series.push({ reportId: p.reportId, at: p.at, frequency: t.frequency, likelihood: t.likelihood });
+      byId.set(t.id, s);
+    }
+  }
+  return [...byId.values()].sort((a, b) => b.reports - a.reports);
+}
+
+function summaryOf({ label, points, trend, tactics, escalations }) {
+  if (!points.length) return 'No reports for this contact yet.';
+  const day = iso => (iso ? iso.slice(0, 10) : 'unknown date');
+  const who = label ? ` with ${label}` : '';
+  const lines = [
+    `${points.length} report(s)${who} from ${day(points[0].at)} to ${day(points[points.length - 1].at)}.`
+  ];
+  if (points.length > 1) {
+    lines.push(trend.direction === 'stable'
+      ? `Risk has been stable (average ${trend.average}/100).`
+      : `Risk is ${trend.direction}: ${trend.first} → ${trend.last}/100.`);
+  }
+  if (tactics.length) {
+    lines.push(`Most frequent: ${tactics.slice(0, 3).map(t => `${t.name} (${t.reports} report${t.reports > 1 ? 's' : ''})`).join(', ')}.`);
+  }
+  for (const e of escalations.filter(x => x.type === 'new_tactic')) {
+    lines.push(e.baseline
+      ? `${NAMES[e.tactic] || e.tactic} was already present in the first report (${day(e.at)}).`
+      : `${NAMES[e.tactic] || e.tactic} first appeared on ${day(e.at)}.`);
+  }
+  return lines.join(' ');
+}
+
+// Report docs for one contact -> timeline.
+function buildTimeline(contactId, docs) {
+  const points = toPoints(docs);
+  const label = [...points].reverse().find(p => p.label)?.label || null;
+  const trend = trendOf(points);
+  const tactics = tacticSeries(points);
+  const escalations = escalationsOf(points);
+  return {
+    contactId,
+    label,
+    reports: points.length,
+    first_at: points[0]?.at || null,
+    last_at: points[points.length - 1]?.at || null,
+    trend,
+    points: points.map(({ label: _l, tactics: ts, ...p }) => ({
+      ...p,
+      tactics: Object.fromEntries(ts.map(t => [t.id, t.frequency]))
+    })),
+    tactics,
+    escalations,
+    summary: summaryOf({ label, points, trend, tactics, escalations })
+  };
+}
+
+// All of a user's report docs -> [{ contactId, label, reports, last_at, last_risk_score, ... }]
+function listContacts(docs) {
+  const groups = new Map();
+  for (const d of docs) {
+    if (!d.contactId) continue;
+    if (!groups.has(d.contactId)) groups.set(d.contactId, []);
+    groups.get(d.contactId).push(d);
+  }
+  return [...groups.entries()].map(([contactId, group]) => {
+    const t = buildTimeline(contactId, group);
+    const last = t.points[t.points.length - 1];
+    return {
+      contactId,
+      label: t.label,
+      reports: t.reports,
+      first_at: t.first_at,
+      last_at: t.last_at,
+      last_risk_score: last?.risk_score ?? null,
+      last_risk_label: last?.risk_label ?? null,
+      trend: t.trend.direction,
+      escalations: t.escalations.length
+    };
+  }).sort((a, b) => String(b.last_at).localeCompare(String(a.last_at)));
+}
+
+module.exports = { parseContactInput, buildTimeline, listContacts, MAX_REPORTS };
@@ -0,0 +1,223 @@
+// deletion.js — data deletion, retention sweeps and the deletion audit log.
+// -----------------------------------------------------------------------
+// Deleting a job removes everything derived from it: uploads under `uploads/<jobId>/`, the
+// report, the redaction mapping, and share links with their access logs. The job document
+// itself is either scrubbed to a `user_deleted` tombstone (user requests, so an in-flight
+// worker sees the deletion and drops its output) or removed outright (retention).
+//
+// Every deletion appends a record to `deletionAudit` (what, when, why, by whom). The API only
+// ever adds to that collection; lock updates and deletes down in Firestore rules as well.
+
+const { Firestore, FieldPath } = require('@google-cloud/firestore');
+
+// -------------------------
+// Env
+// -------------------------
+const RETENTION_DAYS = {
+  free: parseInt(process.env.RETENTION_DAYS_FREE || '30', 10),
+  pro: parseInt(process.env.RETENTION_DAYS_PRO || '365', 10)
+};
+// Uploads are purged by the worker after analysis; the sweeper removes whatever is left.
+const UPLOAD_RETENTION_HOURS = parseInt(process.env.UPLOAD_RETENTION_HOURS || '24', 10);
+const PAGE_SIZE = 100;
+const BATCH_SIZE = 400; // Firestore caps a batch at 500 writes
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job fields that hold user content; cleared on the tombstone.
+const CONTENT_FIELDS = ['text', 'transcript', 'files', 'speakers', 'redaction', 'instructions', 'progress', 'contactLabel', 'error'];
+
+// -------------------------
+// Helpers
+// -------------------------
+function ts() {
+  return Firestore.FieldValue.serverTimestamp();
+}
+
+// Deletes refs in batches of BATCH_SIZE. Returns how many were deleted.
+async function deleteRefs(firestore, refs) {
+  for (let i = 0; i < refs.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    refs.slice(i, i + BATCH_SIZE).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+  return refs.length;
+}
+
+// Runs `fn` over every doc matching `query`, PAGE_SIZE at a time, in document-id order.
+// `fn` may delete the docs it is given.
+async function forEachPage(query, fn) {
+  let last = null;
+  for (;;) {
+    let q = query.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) q = q.startAfter(last);
+    const snap = await q.get();
+    if (snap.empty) return;
+    await fn(snap.docs);
+    if (snap.size < PAGE_SIZE) return;
+    last = snap.docs[snap.size - 1].id;
+  }
+}
+
+// -------------------------
+// Factory
+// -------------------------
+function createDeletion({ firestore, blobs }) {
+  const jobsCol = firestore.collection('jobs');
+  const reportsCol = firestore.collection('reports');
+  const redactionsCol = firestore.collection('redactions');
+  const sharesCol = firestore.collection('shares');
+  const auditCol = firestore.collection('deletionAudit');
+
+  async function deleteUploads(jobId) {
+    const paths = await blobs.list(`uploads/${jobId}/`);
+    await Promise.all(paths.map(p => blobs.remove(p)));
+    return paths.length;
+  }
+
+  // Report + redaction mapping + share links (and their access logs).
+  async function deleteReportData(reportId) {
+    const [report, mapping, shares] = await Promise.all([
+      reportsCol.doc(reportId).get(),
+      redactionsCol.doc(reportId).get(),
+      sharesCol.where('reportId', '==', reportId).get()
+    ]);
+    for (const s of shares.docs) await firestore.recursiveDelete(s.ref);
+    await deleteRefs(firestore, [report, mapping].filter(s => s.exists).map(s => s.ref));
+    return { reports: report.exists ? 1 : 0, redactions: mapping.exists ? 1 : 0, shares: shares.size };
+  }
+
+  // Append-only audit record.
+  // actor: { type: 'user'|'admin'|'system', id? }; reason: user_request|delete_all|retention|upload_retention
+  async function audit({ actor, reason, userId, jobId = null, reportId = null, deleted }) {
+    await auditCol.add({
+      at: ts(),
+      actor: { type: actor.type, id: actor.id || null },
+      reason,
+      userId: userId || null,
+      jobId,
+      reportId,
+      deleted
+    });
+  }
+
+  /**
+   * Delete one job and everything derived from it.
+   * @param mode  'tombstone' keeps a scrubbed user_deleted job doc; 'purge' removes it
+   * @returns counts of what was deleted, or null if there was nothing to delete
+   */
+  async function deleteJob(jobId, { actor, reason, mode = 'tombstone' }) {
+    const ref = jobsCol.doc(jobId);
+    const snap = await ref.get();
+    const job = snap.exists ? snap.data() : null;
+    const reportId = job?.reportId || jobId;
+    const objects = await deleteUploads(jobId);
+    const derived = await deleteReportData(reportId);
+    if (!job && !objects && !derived.reports) return null;
+
+    if (job && mode === 'purge') {
+      await ref.delete();
+    } else if (job) {
+      await ref.update({
+        ...Object.fromEntries(CONTENT_FIELDS.map(f => [f, Firestore.FieldValue.delete()])),
+        status: 'user_deleted',
+        userDeleted: true,
+        leaseOwner: null,
+        leaseUntil: null,
+        deletedAt: ts(),
+        deletionReason: reason,
+        updatedAt: ts()
+      });
+    }
+    const deleted = { objects, ...derived, jobs: job ? 1 : 0 };
+    await audit({ actor, reason, userId: job?.userId, jobId, reportId, deleted });
+    return deleted;
+  }
+
+  // Everything a user owns: every job (tombstoned), then any report without a job.
+  async function deleteUser(userId, { actor, reason = 'delete_all' }) {
+    const totals = { jobs: 0, reports: 0, objects: 0, redactions: 0, shares: 0 };
+    const add = d => { if (d) for (const k of Object.keys(totals)) totals[k] += d[k] || 0; };
+
+    await forEachPage(jobsCol.where('userId', '==', userId), async docs => {
+      for (const doc of docs) {
+        if (doc.data().deletedAt) continue; // already a tombstone
+        add(await deleteJob(doc.id, { actor, reason }));
+      }
+    });
+    await forEachPage(reportsCol.where('userId', '==', userId), async docs => {
+      for (const doc of docs) {
+        const d = await deleteReportData(doc.id);
+        await deleteUploads(doc.data().jobId || doc.id).then(n => { d.objects = n; });
+        await audit({ actor, reason, userId, jobId: doc.data().jobId || null, reportId: doc.id, deleted: d });
+        add(d);
+      }
+    });
+    // Mappings whose report is already gone (deleted before mappings were cleaned up).
+    await forEachPage(redactionsCol.where('userId', '==', userId), async docs => {
+      totals.redactions += await deleteRefs(firestore, docs.map(d => d.ref));
+    });
+    return totals;
+  }
+
+  function retentionCutoff(plan, now) {
+    return now - (RETENTION_DAYS[plan] ?? RETENTION_DAYS.free) * DAY_MS;
+  }
+
+  /**
+   * Retention sweep: removes jobs (and their reports) older than their plan's retention, and
+   * uploads left behind after UPLOAD_RETENTION_HOURS. At most `limit` jobs per run.
+   *
+   * Each query only matches documents that are actually due, so a backlog of documents still
+   * inside their retention can never fill the page and starve the ones that are not.
+   */
+  async function sweep({ limit = 200, now = Date.now() } = {}) {
+    const actor = { type: 'system', id: 'sweeper' };
+    const summary = { jobsDeleted: 0, uploadsPurged: 0, objects: 0, scanned: 0 };
+
+    // Jobs past retention, one query per plan (composite index: plan + createdAt), shortest
+    // retention first.
+    const plans = Object.keys(RETENTION_DAYS).sort((a, b) => RETENTION_DAYS[a] - RETENTION_DAYS[b]);
+    for (const plan of plans) {
+      const remaining = limit - summary.scanned;
+      if (remaining <= 0) break;
+      const cutoff = Firestore.Timestamp.fromMillis(retentionCutoff(plan, now));
+      const due = await jobsCol.where('plan', '==', plan).where('createdAt', '<', cutoff)
+        .orderBy('createdAt').limit(remaining).get();
+      for (const doc of due.docs) {
+        summary.scanned++;
+        const d = await deleteJob(doc.id, { actor, reason: 'retention', mode: 'purge' });
+        summary.jobsDeleted++;
+        summary.objects += d?.objects || 0;
+      }
+    }
+
+    // Uploads the worker failed to purge (composite index: images_deleted + createdAt).
+    const uploadCutoff = Firestore.Timestamp.fromMillis(now - UPLOAD_RETENTION_HOURS * 3600 * 1000);
+    const stale = await reportsCol.where('images_deleted', '==', false).where('createdAt', '<', uploadCutoff)
+      .orderBy('createdAt').limit(limit).get();
+    for (const doc of stale.docs) {
+      const r = doc.data();
+      const objects = await deleteUploads(r.jobId || doc.id);
+      await doc.ref.update({ images_deleted: true, updatedAt: ts() });
+      await audit({ actor, reason: 'upload_retention', userId: r.userId, jobId: r.jobId || doc.id, reportId: doc.id, deleted: { objects } });
+      summary.uploadsPurged++;
+      summary.objects += objects;
+    }
+    return summary;
+  }
+
+  // Admin query over the audit log, newest first. Filtered queries need a composite index of
+  // the filter field(s) + `at desc` (see README "Retention & deletion").
+  async function listAudit({ userId, jobId, reason, limit = 100 } = {}) {
+    let q = auditCol;
+    if (userId) q = q.where('userId', '==', userId);
+    if (jobId) q = q.where('jobId', '==', jobId);
+    if (reason) q = q.where('reason', '==', reason);
+    const snap = await q.orderBy('at', 'desc').limit(limit).get();
+    return snap.docs.map(d => ({ id: d.id, ...d.data(), at: d.data().at?.toDate?.().toISOString() || null }));
+  }
+
+  return { deleteJob, deleteUser, sweep, listAudit };
+}
+
+module.exports = { createDeletion, RETENTION_DAYS, UPLOAD_RETENTION_HOURS };
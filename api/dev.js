@@ -0,0 +1,34 @@
+// dev.js — API and worker in one process, with no GCP dependencies (`npm run dev`).
+// --------------------------------------------------------------------------------
+// Uses the local backends (shared/backends): an in-memory store, blobs under LOCAL_DATA_DIR
+// and an in-process queue that calls the worker's delivery handler. Analysis uses the
+// offline rules provider unless OPENAI_API_KEY / ANALYSIS_PROVIDER say otherwise.
+// Screenshot OCR still needs Vision credentials; text and export jobs run fully offline.
+// Requires `npm install` in both api/ and worker/.
+
+process.env.BACKEND = 'local';
+process.env.PORT = process.env.PORT || '8080';
+process.env.AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || 'local-dev-secret';
+process.env.UPLOAD_BUCKET = process.env.UPLOAD_BUCKET || 'local';
+process.env.CORS_ORIGINS = process.env.CORS_ORIGINS || '*';
+
+const { SignJWT } = require('jose');
+require('../worker/index'); // subscribes to the local queue
+const { app } = require('./index');
+const { LOCAL_DATA_DIR } = require('../shared/backends');
+
+const DEV_USER = process.env.DEV_USER || 'dev-user';
+
+async function devToken() {
+  return new SignJWT({ roles: ['admin'] })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(DEV_USER)
+    .setIssuedAt()
+    .setExpirationTime('30d')
+    .sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET));
+}
+
+app.listen(process.env.PORT, async () => {
+  console.log(`Dev API + worker on http://localhost:${process.env.PORT} • blobs in ${LOCAL_DATA_DIR}`);
+  console.log(`Bearer token for ${DEV_USER} (admin): ${await devToken()}`);
+});
@@ -0,0 +1,237 @@
+// entitlements.js — server-side plans and usage quotas.
+// -----------------------------------------------------
+// `entitlements/{userId}` is the source of truth for a user's plan (written by billing / admin
+// tooling, never by clients). `usage/{userId}` holds rolling daily + monthly job/image counters
+// that are checked and incremented in the same transaction that creates the job document, so
+// a duplicate or concurrent POST cannot charge twice; a job that never gets queued is refunded.
+
+const { Firestore } = require('@google-cloud/firestore');
+
+// -------------------------
+// Env
+// -------------------------
+const FREE_MAX = parseInt(process.env.FREE_MAX_IMAGES || '3', 10);
+const PRO_MAX = parseInt(process.env.PRO_MAX_IMAGES || '15', 10);
+
+function envInt(name, dflt) { return parseInt(process.env[name] || String(dflt), 10); }
+
+// Per-plan limits. maxImagesPerJob is a plan limit (402); the rest are quotas (429).
+const PLANS = {
+  free: {
+    maxImagesPerJob: FREE_MAX,
+    dailyJobs: envInt('FREE_DAILY_JOBS', 3),
+    monthlyJobs: envInt('FREE_MONTHLY_JOBS', 20),
+    dailyImages: envInt('FREE_DAILY_IMAGES', 9),
+    monthlyImages: envInt('FREE_MONTHLY_IMAGES', 60)
+  },
+  pro: {
+    maxImagesPerJob: PRO_MAX,
+    dailyJobs: envInt('PRO_DAILY_JOBS', 50),
+    monthlyJobs: envInt('PRO_MONTHLY_JOBS', 500),
+    dailyImages: envInt('PRO_DAILY_IMAGES', 300),
+    monthlyImages: envInt('PRO_MONTHLY_IMAGES', 3000)
+  }
+};
+
+// -------------------------
+// Errors
+// -------------------------
+// Carries the HTTP status and a JSON body; routes send it via sendQuotaError.
+class QuotaError extends Error {
+  constructor(status, body) {
+    super(body.error);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// The job document already exists (a re-post, or a concurrent duplicate that won the race).
+class JobExistsError extends Error {
+  constructor(jobId) {
+    super(`job ${jobId} already exists`);
+    this.jobId = jobId;
+  }
+}
+
+function sendQuotaError(res, e) {
+  if (e.body.retry_after_s) res.set('Retry-After', String(e.body.retry_after_s));
+  return res.status(e.status).json(e.body);
+}
+
+// -------------------------
+// Helpers
+// -------------------------
+function limitsFor(plan) {
+  return PLANS[plan] || PLANS.free;
+}
+
+function periods(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);   // YYYY-MM-DD (UTC)
+  const month = day.slice(0, 7);                 // YYYY-MM
+  const nextDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { day, month, dayResetsAt: nextDay, monthResetsAt: nextMonth };
+}
+
+// Counters for the current periods; stale periods read as zero.
+function currentCounts(doc, p) {
+  const d = doc || {};
+  const sameDay = d.day === p.day, sameMonth = d.month === p.month;
+  return {
+    dayJobs: sameDay ? d.dayJobs || 0 : 0,
+    dayImages: sameDay ? d.dayImages || 0 : 0,
+    monthJobs: sameMonth ? d.monthJobs || 0 : 0,
+    monthImages: sameMonth ? d.monthImages || 0 : 0
+  };
+}
+
+function summarize(plan, counts, p) {
+  const l = limitsFor(plan);
+  const rem = (lim, used) => Math.max(0, lim - used);
+  return {
+    plan,
+    limits: l,
+    usage: {
+      day: { period: p.day, jobs: counts.dayJobs, images: counts.dayImages },
+      month: { period: p.month, jobs: counts.monthJobs, images: counts.monthImages }
+    },
+    remaining: {
+      day: { jobs: rem(l.dailyJobs, counts.dayJobs), images: rem(l.dailyImages, counts.dayImages) },
+      month: { jobs: rem(l.monthlyJobs, counts.monthJobs), images: rem(l.monthlyImages, counts.monthImages) }
+    },
+    resets_at: { day: p.dayResetsAt.toISOString(), month: p.monthResetsAt.toISOString() }
+  };
+}
+
+// First exceeded quota for a request of `jobs` jobs / `images` images, or null.
+function exceeded(plan, counts, p, { jobs, images }) {
+  const l = limitsFor(plan);
+  const checks = [
+    ['daily_jobs', counts.dayJobs + jobs, l.dailyJobs, counts.dayJobs, p.dayResetsAt],
+    ['daily_images', counts.dayImages + images, l.dailyImages, counts.dayImages, p.dayResetsAt],
+    ['monthly_jobs', counts.monthJobs + jobs, l.monthlyJobs, counts.monthJobs, p.monthResetsAt],
+    ['monthly_images', counts.monthImages + images, l.monthlyImages, counts.monthImages, p.monthResetsAt]
+  ];
+  for (const [scope, after, limit, used, resetsAt] of checks) {
+    if (after > limit) {
+      return new QuotaError(429, {
+        error: 'quota_exceeded',
+        scope,
+        plan,
+        limit,
+        used,
+        resets_at: resetsAt.toISOString(),
+        retry_after_s: Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 1000))
+      });
+    }
+  }
+  return null;
+}
+
+function planLimitError(plan, images) {
+  const l = limitsFor(plan);
+  if (images <= l.maxImagesPerJob) return null;
+  return new QuotaError(402, {
+    error: 'plan_limit',
+    scope: 'images_per_job',
+    plan,
+    limit: l.maxImagesPerJob,
+    requested: images,
+    ...(plan !== 'pro' ? { upgrade_to: 'pro' } : {})
+  });
+}
+
+// -------------------------
+// Store
+// -------------------------
+function createEntitlements(firestore) {
+  const entCol = firestore.collection('entitlements');
+  const usageCol = firestore.collection('usage');
+
+  async function getPlan(userId) {
+    const snap = await entCol.doc(userId).get();
+    const ent = snap.exists ? snap.data() : null;
+    if (!ent || !PLANS[ent.plan]) return 'free';
+    // Optional expiry for time-boxed upgrades / lapsed subscriptions.
+    const until = ent.validUntil?.toDate?.();
+    return until && until.getTime() < Date.now() ? 'free' : ent.plan;
+  }
+
+  async function getUsage(userId) {
+    const [plan, snap] = await Promise.all([getPlan(userId), usageCol.doc(userId).get()]);
+    const p = periods();
+    return summarize(plan, currentCounts(snap.exists ? snap.data() : null, p), p);
+  }
+
+  // Read-only pre-check (used when minting upload URLs). Throws QuotaError.
+  async function checkQuota(userId, { images }) {
+    const plan = await getPlan(userId);
+    const limErr = planLimitError(plan, images);
+    if (limErr) throw limErr;
+    const snap = await usageCol.doc(userId).get();
+    const p = periods();
+    const err = exceeded(plan, currentCounts(snap.exists ? snap.data() : null, p), p, { jobs: 1, images });
+    if (err) throw err;
+    return plan;
+  }
+
+  /**
+   * Atomically check + count one job of `images` images and create its document.
+   * @param job  { ref, data }: written with `plan` in the same transaction; JobExistsError if it exists
+   * @returns { plan, period: { day, month } } (pass `period` to refundQuota)
+   * Throws QuotaError.
+   */
+  async function consumeQuota(userId, { images, job = null }) {
+    const plan = await getPlan(userId);
+    const limErr = planLimitError(plan, images);
+    if (limErr) throw limErr;
+    const ref = usageCol.doc(userId);
+    const p = periods();
+    await firestore.runTransaction(async tx => {
+      const [snap, existing] = await Promise.all([tx.get(ref), job ? tx.get(job.ref) : null]);
+      if (existing?.exists) throw new JobExistsError(job.ref.id);
+      const counts = currentCounts(snap.exists ? snap.data() : null, p);
+      const err = exceeded(plan, counts, p, { jobs: 1, images });
+      if (err) throw err;
+      tx.set(ref, {
+        userId,
+        day: p.day,
+        month: p.month,
+        dayJobs: counts.dayJobs + 1,
+        dayImages: counts.dayImages + images,
+        monthJobs: counts.monthJobs + 1,
+        monthImages: counts.monthImages + images,
+        updatedAt: Firestore.FieldValue.serverTimestamp()
+      });
+      if (job) tx.set(job.ref, { ...job.data, plan });
+    });
+    return { plan, period: { day: p.day, month: p.month } };
+  }
+
+  // Gives back what consumeQuota counted (in the periods it counted them) and deletes the job
+  // document, unless a worker has already picked the job up. Returns whether it refunded.
+  async function refundQuota(userId, { images, period, jobRef = null }) {
+    const ref = usageCol.doc(userId);
+    return firestore.runTransaction(async tx => {
+      const [snap, job] = await Promise.all([tx.get(ref), jobRef ? tx.get(jobRef) : null]);
+      if (job?.exists && job.data().status !== 'uploaded') return false;
+      if (snap.exists) {
+        const d = snap.data();
+        const dec = (field, same, n) => (same ? { [field]: Math.max(0, (d[field] || 0) - n) } : {});
+        tx.update(ref, {
+          ...dec('dayJobs', d.day === period.day, 1),
+          ...dec('dayImages', d.day === period.day, images),
+          ...dec('monthJobs', d.month === period.month, 1),
+          ...dec('monthImages', d.month === period.month, images),
+          updatedAt: Firestore.FieldValue.serverTimestamp()
+        });
+      }
+      if (job?.exists) tx.delete(jobRef);
+      return true;
+    });
+  }
+
+  return { getPlan, getUsage, checkQuota, consumeQuota, refundQuota };
+}
+
+module.exports = { createEntitlements, QuotaError, JobExistsError, sendQuotaError, limitsFor, PLANS };
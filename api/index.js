@@ -1,6 +1,7 @@
 // index.js — Toxella API (Cloud Run)
 // -----------------------------------
 // Express API that issues GCS v4 signed URLs, creates jobs, and exposes job/report reads.
+// Storage and queue go through shared/backends (BACKEND=local runs without GCP; see dev.js).
 
 const express = require('express');
 const bodyParser = require('body-parser');
@@ -9,23 +10,51 @@ const { Storage } = require('@google-cloud/storage');
 const { PubSub } = require('@google-cloud/pubsub');
 const { Firestore } = require('@google-cloud/firestore');
 const { v4: uuidv4 } = require('uuid');
+const { requireAuth, requireAdmin, canAccess, authMode } = require('./auth');
+const { createEntitlements, QuotaError, JobExistsError, sendQuotaError, PLANS } = require('./entitlements');
+const { upgradeReport, CURRENT_VERSION: REPORT_SCHEMA_VERSION } = require('./reportVersions');
+const { parseRedactionOptions, rehydrate } = require('./redaction');
+const { parseContactInput, buildTimeline, listContacts, MAX_REPORTS: CONTACT_MAX_REPORTS } = require('./contacts');
+const { renderReport, FORMATS } = require('./render');
+const { createShares, ShareError } = require('./shares');
+const { createDeletion } = require('./deletion');
+const { createRateLimits } = require('./rateLimit');
+const { bodyShape, bodyErrors, MAX_BODY_BYTES } = require('./validation');
+const { createMetricsReport, httpMetrics, metricsEndpoint } = require('./metrics');
+const { BACKEND, localBackends, createGcsBlobs, createPubSubQueue } = require('../shared/backends');
+const taxonomy = require('../shared/taxonomy.json');
+const { createUploads, parseUploadRequest, isExportType, UploadError, CONTENT_TYPES, EXPORT_TYPES, MAX_UPLOAD_BYTES } = require('./uploads');
 
 // -------------------------
 // App & middleware
 // -------------------------
 const app = express();
+// Cloud Run terminates TLS in front of us; trust X-Forwarded-* for req.ip and req.protocol, but
+// only for the proxies we actually sit behind. Anything further left in X-Forwarded-For was sent
+// by the client, and trusting it would let callers pick the IP that rate limits key on.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS || '1', 10);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+app.use(httpMetrics);
 
-// CORS: soft-launch mode (reflects the Origin). Lock to your Netlify origin later.
-app.use(cors({ origin: true, maxAge: 3600 }));
-app.use((req, res, next) => {
-  // Helpful headers for browser uploads/fetch
-  res.set('Vary', 'Origin');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.set('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  next();
-});
+// CORS: only origins listed in CORS_ORIGINS (comma-separated). "https://*.example.com" matches
+// subdomains; "*" allows any origin and is meant for local dev. Requests without an Origin
+// header (curl, server-to-server) are not affected.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+app.use(cors({
+  origin: (origin, cb) => cb(null, !origin || originAllowed(origin)),
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Retry-After', 'Content-Disposition', 'X-Report-Schema-Version', 'X-Report-Upgraded-From'],
+  maxAge: 3600
+}));
+
+// Local backend only: signed upload URLs point here (shared/backends/fsBlobs.js). Mounted
+// before the JSON parser so JSON chat exports reach it as raw bytes.
+app.put('/_local/blobs/*', (req, res, next) => (blobs.handleUpload ? blobs.handleUpload(req, res).catch(next) : next()));
 
-app.use(bodyParser.json({ limit: '2mb' }));
+app.use(bodyParser.json({ limit: MAX_BODY_BYTES }));
+app.use(bodyErrors);
+const limits = createRateLimits();
 
 // -------------------------
 // Env
@@ -35,45 +64,118 @@ const PROJECT_ID = process.env.PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT ||
 const REGION = process.env.REGION || 'us-central1';
 const UPLOAD_BUCKET = process.env.UPLOAD_BUCKET; // REQUIRED
 const PUBSUB_TOPIC = process.env.PUBSUB_TOPIC || 'analyze-jobs';
-const FREE_MAX = parseInt(process.env.FREE_MAX_IMAGES || '3', 10);
-const PRO_MAX = parseInt(process.env.PRO_MAX_IMAGES || '15', 10);
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || ''; // share links; defaults to this request's host
 
 // -------------------------
 // Clients
 // -------------------------
-const storage = new Storage();
-const firestore = new Firestore();
-const pubsub = new PubSub();
+const { firestore, blobs, queue } = BACKEND === 'local'
+  ? localBackends({ Timestamp: Firestore.Timestamp })
+  : {
+    firestore: new Firestore(),
+    blobs: createGcsBlobs(new Storage(), UPLOAD_BUCKET),
+    queue: createPubSubQueue(new PubSub(), PUBSUB_TOPIC)
+  };
 
 const jobsCol = firestore.collection('jobs');
 const reportsCol = firestore.collection('reports');
+const redactionsCol = firestore.collection('redactions');
+const entitlements = createEntitlements(firestore);
+const uploads = createUploads(blobs);
+const shares = createShares(firestore);
+const deletion = createDeletion({ firestore, blobs });
+const metricsReport = createMetricsReport(firestore);
 
 // -------------------------
 // Helpers
 // -------------------------
-function maxForPlan(plan) {
-  return plan === 'pro' ? PRO_MAX : FREE_MAX;
+function originAllowed(origin) {
+  return CORS_ORIGINS.some(allowed => {
+    if (allowed === '*' || allowed === origin) return true;
+    const m = /^(https?:\/\/)\*\.(.+)$/.exec(allowed);
+    return !!m && origin.startsWith(m[1]) && origin.endsWith(`.${m[2]}`);
+  });
+}
+
+const SOURCES = ['images', 'text', 'export'];
+const TEXT_FORMATS = ['auto', 'plain', 'whatsapp', 'telegram', 'imessage'];
+const MAX_INLINE_TEXT = 200000; // chars; keeps the job doc well under Firestore's 1 MiB
+const MAX_INSTRUCTIONS = 2000;
+const MAX_SPEAKER_CHARS = 60;
+// Largest per-job image limit of any plan; anything above is rejected before the quota check.
+const MAX_FILES = Math.max(...Object.values(PLANS).map(p => p.maxImagesPerJob));
+const JOB_ID_RE = /^[A-Za-z0-9-]{1,64}$/;
+// BCP-47 language tag, e.g. "es", "pt-BR", "zh-Hant".
+const LANGUAGE_TAG_RE = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8}){0,2}$/;
+const MAX_LANGUAGE_HINTS = 3;
+// ISO 3166-1 alpha-2, e.g. "US", "GB"; picks the crisis resources in safety escalations.
+const REGION_RE = /^[A-Z]{2}$/;
+const JOB_FIELDS = [
+  'jobId', 'source', 'files', 'text', 'format', 'speakers', 'instructions', 'provider',
+  'redaction', 'contactId', 'contactLabel', 'languageHints', 'outputLanguage', 'region'
+];
+// Report reads: per-IP before auth, per-user after.
+const reportReads = [limits.ip('reportReads'), requireAuth, limits.user('reportReads')];
+
+function isShortString(v, max) {
+  return typeof v === 'string' && v.length <= max;
+}
+
+// Validates the shape of POST /jobs (field-level; redaction and contact have their own parsers).
+// Returns an error string or null.
+function checkJobInput({ jobId, source, files, text, format, speakers, instructions, languageHints, outputLanguage, region }) {
+  if (!SOURCES.includes(source)) return `source must be one of ${SOURCES.join(', ')}`;
+  if (jobId !== undefined && !(typeof jobId === 'string' && JOB_ID_RE.test(jobId))) return 'jobId must be 1-64 letters, digits or "-"';
+  if (!Array.isArray(files) || files.length > MAX_FILES) return `files must be an array of at most ${MAX_FILES} entries`;
+  if (files.some(f => !f || typeof f !== 'object' || !isShortString(f.path, 200))) return 'files entries must be { path }';
+  if (text !== null && typeof text !== 'string') return 'text must be a string';
+  if (format !== null && !TEXT_FORMATS.includes(format)) return `format must be one of ${TEXT_FORMATS.join(', ')}`;
+  if (speakers !== null && (typeof speakers !== 'object' || Array.isArray(speakers))) return 'speakers must be { self?, contact? }';
+  if (speakers && ['self', 'contact'].some(k => speakers[k] != null && !isShortString(speakers[k], MAX_SPEAKER_CHARS))) {
+    return `speakers.self / speakers.contact must be strings up to ${MAX_SPEAKER_CHARS} chars`;
+  }
+  if (instructions !== null && !isShortString(instructions, MAX_INSTRUCTIONS)) return `instructions must be a string up to ${MAX_INSTRUCTIONS} chars`;
+  if (languageHints !== null && !(Array.isArray(languageHints) && languageHints.length <= MAX_LANGUAGE_HINTS &&
+      languageHints.every(l => isShortString(l, 20) && LANGUAGE_TAG_RE.test(l)))) {
+    return `languageHints must be an array of at most ${MAX_LANGUAGE_HINTS} language tags (e.g. "es", "pt-BR")`;
+  }
+  if (outputLanguage !== null && !(isShortString(outputLanguage, 20) && LANGUAGE_TAG_RE.test(outputLanguage))) {
+    return 'outputLanguage must be a language tag (e.g. "es", "pt-BR")';
+  }
+  if (region !== null && !(typeof region === 'string' && REGION_RE.test(region))) {
+    return 'region must be an ISO 3166-1 alpha-2 country code (e.g. "US", "GB")';
+  }
+  if (source === 'images') {
+    return files.length >= 1 ? null : 'non-empty files[] required';
+  }
+  const hasText = typeof text === 'string' && text.trim().length > 0;
+  if (hasText && text.length > MAX_INLINE_TEXT) return `text too long (max ${MAX_INLINE_TEXT} chars); upload it as an export file`;
+  if (source === 'text') return hasText ? null : 'text required';
+  const oneFile = files.length === 1;
+  return hasText !== oneFile ? null : 'export needs either text or exactly one uploaded file';
 }
 
-async function buildSignedUploadUrls(jobId, count) {
-  if (!UPLOAD_BUCKET) throw new Error('Missing UPLOAD_BUCKET environment variable');
-  const expires = Date.now() + 15 * 60 * 1000; // 15 mins
-  const urls = [];
-  for (let i = 0; i < count; i++) {
-    const path = `uploads/${jobId}/${i}.jpg`;
-    const [url] = await storage
-      .bucket(UPLOAD_BUCKET)
-      .file(path)
-      .getSignedUrl({
-        version: 'v4',
-        action: 'write',
-        expires,
-        // Important: the browser PUT must match this Content-Type exactly
-        contentType: 'application/octet-stream'
-      });
-    urls.push({ path, uploadUrl: url, contentType: 'application/octet-stream' });
-  }
-  return urls;
+const REPORT_FORMATS = ['json', ...Object.keys(FORMATS)];
+
+// Sends a report as JSON or rendered (md | html | pdf). Markdown and PDF download as files.
+async function sendReport(res, report, format, meta) {
+  if (format === 'json') return res.json(report);
+  // Only the current schema renders; a report upgradeReport couldn't read is served as stored JSON.
+  if (meta.unsupported) return res.status(422).json({ error: 'unsupported_schema_version' });
+  const { contentType, body } = await renderReport(report, format, meta);
+  res.type(contentType);
+  if (format !== 'html') res.set('Content-Disposition', `attachment; filename="toxella-report-${meta.reportId}.${format}"`);
+  return res.send(body);
+}
+
+// Owner's report doc, or a 404 response already sent (null).
+async function ownReport(req, res) {
+  const snap = await reportsCol.doc(req.params.reportId).get();
+  if (!snap.exists || snap.data().userId !== req.user.id) {
+    res.status(404).json({ error: 'not_found' });
+    return null;
+  }
+  return snap.data();
 }
 
 // -------------------------
@@ -84,78 +186,163 @@ app.get('/healthz', (_req, res) => {
     ok: true,
     project: PROJECT_ID,
     region: REGION,
+    backend: BACKEND,
     bucket: UPLOAD_BUCKET || null,
     topic: PUBSUB_TOPIC,
-    limits: { free: FREE_MAX, pro: PRO_MAX }
+    auth: authMode,
+    limits: PLANS,
+    uploads: { types: Object.keys(CONTENT_TYPES), exportTypes: Object.keys(EXPORT_TYPES), maxBytes: MAX_UPLOAD_BYTES }
   });
 });
 
+// Prometheus scrape (request counts and latency by route); needs METRICS_TOKEN (see shared/prometheus.js).
+app.get('/metrics', metricsEndpoint);
+
+// Public: tactic ids, display names, descriptions and weights used in reports.
+app.get('/taxonomy', (_req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(taxonomy);
+});
+
 app.get('/', (_req, res) => {
   res.type('text/plain').send('Toxella API is running. See /healthz.');
 });
 
-// POST /signed-urls  { plan:"free"|"pro", count:Number? } -> { jobId, urls:[{path,uploadUrl,contentType}], limit }
-app.post('/signed-urls', async (req, res) => {
+// POST /signed-urls  { files:[{contentType,size}] } | { count } (legacy: JPEG)
+//   -> { jobId, urls:[{path,uploadUrl,contentType,maxBytes,headers}], limit, plan }
+// The browser PUT must send every header in `headers`. The plan comes from the user's
+// entitlements record; a client-sent `plan` is ignored.
+app.post('/signed-urls', limits.ip('signedUrls'), requireAuth, limits.user('signedUrls'),
+  bodyShape(['files', 'count']), async (req, res) => {
   try {
-    const { plan = 'free', count = 1 } = req.body || {};
-    const limit = maxForPlan(plan);
-    if (!Number.isFinite(count) || count < 1 || count > limit) {
-      return res.status(400).json({ error: `count must be 1..${limit} for plan=${plan}` });
-    }
+    const specs = parseUploadRequest(req.body, { maxFiles: MAX_FILES });
+    if (!specs) return res.status(400).json({ error: 'files[] or a positive integer count required' });
+    // Pre-check only; quota is consumed when the job is created. Export files aren't images.
+    const images = specs.filter(s => !isExportType(s.contentType)).length;
+    const plan = await entitlements.checkQuota(req.user.id, { images });
     const jobId = uuidv4();
-    const urls = await buildSignedUploadUrls(jobId, count);
-    return res.json({ jobId, urls, limit });
+    const urls = await uploads.buildSignedUploadUrls(jobId, specs);
+    return res.json({ jobId, urls, limit: PLANS[plan].maxImagesPerJob, plan });
   } catch (e) {
+    if (e instanceof QuotaError) return sendQuotaError(res, e);
+    if (e instanceof UploadError) return res.status(400).json({ error: 'invalid_upload', files: e.files });
     console.error('signed-urls error:', e);
     res.status(500).json({ error: 'internal_error' });
   }
 });
 
-// POST /jobs  { jobId, plan, files:[{path,size?,mime?}], userId?, instructions? } -> {jobId,status:"queued"}
-app.post('/jobs', async (req, res) => {
+// POST /jobs -> {jobId,status:"queued"}
+//   screenshots: { jobId, files:[{path}], instructions?, provider? }
+//   pasted text: { source:"text", text, format?, speakers?:{self?,contact?}, ... }     (jobId optional)
+//   chat export: { source:"export", text | jobId+files:[{path}], format?, speakers?, ... }
+//   any source:  redaction?: { names?:[...], rehydrate?: bool }  (see redaction.js)
+//                languageHints?: ["es", ...] (OCR hints), outputLanguage?: "es" (report language)
+//                contactId?, contactLabel?  (groups reports per person; see contacts.js)
+// userId comes from the bearer token; plan from the entitlements record. Each file must be an
+// upload under uploads/<jobId>/; size and mime are taken from the object, not the client.
+app.post('/jobs', limits.ip('jobs'), requireAuth, limits.user('jobs'), bodyShape(JOB_FIELDS), async (req, res) => {
   try {
-    const { jobId, plan = 'free', files = [], userId = null, instructions = null } = req.body || {};
-    if (!jobId || !Array.isArray(files) || files.length < 1) {
-      return res.status(400).json({ error: 'jobId and non-empty files[] required' });
-    }
-    const limit = maxForPlan(plan);
-    if (files.length > limit) {
-      return res.status(400).json({ error: `too many files for plan=${plan} (max ${limit})` });
+    const {
+      source = 'images', files = [], text = null, format = null, speakers = null,
+      instructions = null, provider = null, redaction = null, contactId = null, contactLabel = null,
+      languageHints = null, outputLanguage = null, region = null
+    } = req.body || {};
+    const userId = req.user.id;
+    const inputError = checkJobInput({
+      jobId: req.body.jobId, source, files, text, format, speakers, instructions, languageHints, outputLanguage, region
+    });
+    if (inputError) return res.status(400).json({ error: inputError });
+    const redactionOpts = parseRedactionOptions(redaction);
+    if (redactionOpts.error) return res.status(400).json({ error: redactionOpts.error });
+    const contact = parseContactInput(contactId, contactLabel);
+    if (contact.error) return res.status(400).json({ error: contact.error });
+    // Inline text jobs have no uploads, so the server mints the id.
+    const jobId = req.body.jobId || (files.length ? null : uuidv4());
+    if (!jobId) return res.status(400).json({ error: 'jobId required' });
+    // The worker decides whether a per-job provider is honored (ALLOWED_JOB_PROVIDERS); we only check the shape.
+    if (provider !== null && !/^[a-z][a-z-]{0,31}$/.test(String(provider))) {
+      return res.status(400).json({ error: 'invalid provider' });
     }
 
     const docRef = jobsCol.doc(jobId);
-    await docRef.set({
+    // Cheap early exit before verifying uploads; consumeQuota re-checks inside its transaction.
+    const existing = await docRef.get();
+    if (existing.exists) return res.status(409).json({ error: 'job_exists' });
+    const verified = files.length
+      ? await uploads.verifyUploads(jobId, files, { kind: source === 'images' ? 'image' : 'export' })
+      : [];
+    const images = source === 'images' ? verified.length : 0;
+    // A job is created once, together with its quota charge; re-posting would reset its
+    // lifecycle and count quota twice.
+    const { period } = await entitlements.consumeQuota(userId, { images, job: { ref: docRef, data: {
       jobId,
-      plan,
       userId,
-      files,
+      source,
+      files: verified,
+      ...(source !== 'images' ? {
+        text: text || null,
+        format,
+        speakers: speakers ? { self: speakers.self || null, contact: speakers.contact || null } : null
+      } : {}),
       instructions, // <- optional per-job guidance the worker can use
+      provider,     // <- optional analysis provider override
+      languageHints,  // <- OCR hints for Vision; auto-detect when null
+      outputLanguage, // <- report language; worker default when null
+      region,         // <- crisis resources for safety escalations; worker default when null
+      redaction: redactionOpts.value,
+      contactId: contact.value?.contactId || null,
+      contactLabel: contact.value?.contactLabel || null,
       status: 'uploaded',
       createdAt: Firestore.FieldValue.serverTimestamp(),
       updatedAt: Firestore.FieldValue.serverTimestamp()
-    });
+    } } });
 
-    // Publish to worker
-    const dataBuffer = Buffer.from(JSON.stringify({ jobId }));
-    await pubsub.topic(PUBSUB_TOPIC).publishMessage({ data: dataBuffer });
+    // Publish to worker. A job that can't be queued would never run: undo it and refund.
+    try {
+      await queue.publish({ jobId });
+    } catch (e) {
+      console.error(`publish ${jobId} failed:`, e.message || e);
+      await entitlements.refundQuota(userId, { images, period, jobRef: docRef });
+      return res.status(503).json({ error: 'queue_unavailable' });
+    }
+
+    // uploaded → queued, unless the worker already picked it up
+    await firestore.runTransaction(async tx => {
+      const snap = await tx.get(docRef);
+      if (snap.exists && snap.data().status === 'uploaded') {
+        tx.update(docRef, { status: 'queued', updatedAt: Firestore.FieldValue.serverTimestamp() });
+      }
+    });
 
     return res.json({ jobId, status: 'queued' });
   } catch (e) {
+    if (e instanceof QuotaError) return sendQuotaError(res, e);
+    if (e instanceof JobExistsError) return res.status(409).json({ error: 'job_exists' });
+    if (e instanceof UploadError) return res.status(400).json({ error: 'invalid_upload', files: e.files });
     console.error('create job error:', e);
     res.status(500).json({ error: 'internal_error' });
   }
 });
 
-// GET /jobs/:jobId -> {jobId,status,reportId?,error?}
-app.get('/jobs/:jobId', async (req, res) => {
+// GET /jobs/:jobId -> {jobId,status,stage,progress,attempts,reportId?,error?}
+// status: uploaded|queued|ocr|analyzing|complete|error|dead_letter|user_deleted
+// Someone else's job is reported as not_found so ids can't be probed.
+app.get('/jobs/:jobId', requireAuth, async (req, res) => {
   try {
     const snap = await jobsCol.doc(req.params.jobId).get();
-    if (!snap.exists) return res.status(404).json({ error: 'not_found' });
+    if (!snap.exists || !canAccess(req.user, snap.data())) return res.status(404).json({ error: 'not_found' });
     const data = snap.data();
     return res.json({
       jobId: data.jobId,
       status: data.status,
+      stage: data.progress?.stage || data.status,
+      progress: data.progress
+        ? { filesTotal: data.progress.filesTotal || 0, filesDone: data.progress.filesDone || 0, files: data.progress.files || [] }
+        : null,
+      attempts: data.attempts || 0,
+      nextAttemptAt: data.nextAttemptAt?.toDate?.().toISOString() || null,
       reportId: data.reportId || null,
+      language: data.language || null,
       error: data.error || null
     });
   } catch (e) {
@@ -164,91 +351,232 @@ app.get('/jobs/:jobId', async (req, res) => {
   }
 });
 
-// NEW: DELETE /jobs/:jobId (best-effort UI stub)
-// Marks the job as user-deleted; bucket lifecycle will handle object deletion.
-app.delete('/jobs/:jobId', async (req, res) => {
+// DELETE /jobs/:jobId -> { ok, jobId, deleted:{objects,reports,redactions,shares,jobs} }
+// Deletes the uploads, report, redaction mapping and share links, and leaves a scrubbed
+// user_deleted job so a worker still processing it discards its output (see deletion.js).
+app.delete('/jobs/:jobId', requireAuth, async (req, res) => {
   try {
-    const ref = jobsCol.doc(req.params.jobId);
-    const snap = await ref.get();
-    if (!snap.exists) return res.status(404).json({ error: 'not_found' });
+    const snap = await jobsCol.doc(req.params.jobId).get();
+    if (!snap.exists || !canAccess(req.user, snap.data())) return res.status(404).json({ error: 'not_found' });
 
-    await ref.update({
-      userDeleted: true,
-      status: 'user_deleted',
-      updatedAt: Firestore.FieldValue.serverTimestamp()
+    const actor = { type: snap.data().userId === req.user.id ? 'user' : 'admin', id: req.user.id };
+    const deleted = await deletion.deleteJob(req.params.jobId, { actor, reason: 'user_request' });
+    return res.json({ ok: true, jobId: req.params.jobId, deleted });
+  } catch (e) {
+    console.error('delete job error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// GET /me/usage -> { plan, limits, usage:{day,month}, remaining:{day,month}, resets_at }
+app.get('/me/usage', requireAuth, async (req, res) => {
+  try {
+    return res.json(await entitlements.getUsage(req.user.id));
+  } catch (e) {
+    console.error('usage error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// GET /contacts -> { contacts:[{contactId,label,reports,first_at,last_at,last_risk_score,last_risk_label,trend,escalations}], truncated }
+// Built from the newest CONTACT_MAX_REPORTS reports; `truncated` says older ones were left out.
+app.get('/contacts', ...reportReads, async (req, res) => {
+  try {
+    const snap = await reportsCol
+      .where('userId', '==', req.user.id)
+      .orderBy('createdAt', 'desc')
+      .limit(CONTACT_MAX_REPORTS)
+      .get();
+    return res.json({
+      contacts: listContacts(snap.docs.map(d => d.data())),
+      truncated: snap.size === CONTACT_MAX_REPORTS
     });
+  } catch (e) {
+    console.error('list contacts error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
 
-    return res.json({ ok: true, jobId: req.params.jobId });
+// GET /contacts/:contactId/timeline -> { contactId,label,reports,trend,points,tactics,escalations,summary,truncated }
+app.get('/contacts/:contactId/timeline', ...reportReads, async (req, res) => {
+  try {
+    const snap = await reportsCol
+      .where('userId', '==', req.user.id)
+      .where('contactId', '==', req.params.contactId)
+      .orderBy('createdAt', 'desc')
+      .limit(CONTACT_MAX_REPORTS)
+      .get();
+    if (snap.empty) return res.status(404).json({ error: 'not_found' });
+    return res.json({
+      ...buildTimeline(req.params.contactId, snap.docs.map(d => d.data())),
+      truncated: snap.size === CONTACT_MAX_REPORTS
+    });
   } catch (e) {
-    console.error('delete job error:', e);
+    console.error('contact timeline error:', e);
     res.status(500).json({ error: 'internal_error' });
   }
 });
 
-// GET /reports/:reportId -> JSON report (full payload saved by worker)
-app.get('/reports/:reportId', async (req, res) => {
+// GET /reports/:reportId -> JSON report, upgraded to the current schema (shared/report.schema.json)
+//   ?format=json|md|html|pdf  rendered export (see render.js); default json
+//   ?rehydrate=true           owner only: restore redacted values if the job opted in to keeping them
+app.get('/reports/:reportId', ...reportReads, async (req, res) => {
   try {
+    const format = req.query.format || 'json';
+    if (!REPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${REPORT_FORMATS.join(', ')}` });
     const snap = await reportsCol.doc(req.params.reportId).get();
-    if (!snap.exists) return res.status(404).json({ error: 'not_found' });
+    if (!snap.exists || !canAccess(req.user, snap.data())) return res.status(404).json({ error: 'not_found' });
     const data = snap.data();
-    // We store { json: <report> } — return the JSON directly
-    return res.json(data.json);
+    // We store { json: <report> } — return the JSON directly, upgraded if it predates the current schema
+    const { report, from, unsupported } = upgradeReport(data.json || {});
+    const meta = { reportId: data.reportId, createdAt: data.createdAt?.toDate?.(), unsupported };
+    res.set('X-Report-Schema-Version', unsupported ? from : REPORT_SCHEMA_VERSION);
+    if (!unsupported && from !== REPORT_SCHEMA_VERSION) res.set('X-Report-Upgraded-From', from);
+    if (req.query.rehydrate === 'true') {
+      // Admins can read reports, but never the original values.
+      if (data.userId !== req.user.id) return res.status(403).json({ error: 'forbidden' });
+      const map = await redactionsCol.doc(req.params.reportId).get();
+      if (!map.exists) return res.status(409).json({ error: 'not_rehydratable' });
+      return sendReport(res, rehydrate(report, map.data().mapping), format, meta);
+    }
+    return sendReport(res, report, format, meta);
   } catch (e) {
     console.error('get report error:', e);
     res.status(500).json({ error: 'internal_error' });
   }
 });
 
-// POST /delete-all  { userId }
-app.post('/delete-all', async (req, res) => {
+// POST /reports/:reportId/share { ttlHours? } -> { shareId, token, url, expiresAt }   (owner only)
+// The link is read-only, shows the redacted report, and stops working on expiry or revocation.
+app.post('/reports/:reportId/share', requireAuth, bodyShape(['ttlHours']), async (req, res) => {
+  try {
+    if (!(await ownReport(req, res))) return;
+    const { token, share } = await shares.create({
+      reportId: req.params.reportId,
+      userId: req.user.id,
+      ttlHours: req.body?.ttlHours
+    });
+    const base = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return res.status(201).json({ ...share, token, url: `${base}/shared/${token}` });
+  } catch (e) {
+    if (e instanceof ShareError) return res.status(e.status).json({ error: e.code });
+    console.error('create share error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// GET /reports/:reportId/shares -> { shares:[{shareId,createdAt,expiresAt,revokedAt,accessCount,lastAccessAt}] }
+app.get('/reports/:reportId/shares', requireAuth, async (req, res) => {
+  try {
+    if (!(await ownReport(req, res))) return;
+    return res.json({ shares: await shares.list(req.params.reportId, req.user.id) });
+  } catch (e) {
+    console.error('list shares error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// GET /reports/:reportId/shares/:shareId/access -> { access:[{at,format,ip,userAgent}] }
+app.get('/reports/:reportId/shares/:shareId/access', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.body || {};
-    if (!userId) return res.status(400).json({ error: 'userId required' });
+    return res.json({ access: await shares.accessLog(req.params.shareId, { userId: req.user.id, reportId: req.params.reportId }) });
+  } catch (e) {
+    if (e instanceof ShareError) return res.status(e.status).json({ error: e.code });
+    console.error('share access log error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
 
-    // Delete reports
-    const reps = await reportsCol.where('userId', '==', userId).get();
-    const batch = firestore.batch();
-    reps.forEach(doc => batch.delete(doc.ref));
-    await batch.commit();
+// DELETE /reports/:reportId/shares/:shareId -> revoked share
+app.delete('/reports/:reportId/shares/:shareId', requireAuth, async (req, res) => {
+  try {
+    return res.json(await shares.revoke(req.params.shareId, { userId: req.user.id, reportId: req.params.reportId }));
+  } catch (e) {
+    if (e instanceof ShareError) return res.status(e.status).json({ error: e.code });
+    console.error('revoke share error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
 
-    // Mark jobs as userDeleted
-    const jobs = await jobsCol.where('userId', '==', userId).get();
-    const batch2 = firestore.batch();
-    jobs.forEach(doc => batch2.update(doc.ref, {
-      userDeleted: true,
-      updatedAt: Firestore.FieldValue.serverTimestamp()
-    }));
-    await batch2.commit();
+// GET /shared/:token?format=html|md|pdf|json  (public, read-only; default html)
+app.get('/shared/:token', limits.ip('reportReads'), async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!REPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${REPORT_FORMATS.join(', ')}` });
+    const share = await shares.open(req.params.token, { format, ip: req.ip, userAgent: req.get('user-agent') });
+    const snap = await reportsCol.doc(share.reportId).get();
+    if (!snap.exists) return res.status(404).json({ error: 'not_found' });
+    const data = snap.data();
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    const { report, unsupported } = upgradeReport(data.json || {});
+    return sendReport(res, report, format, { reportId: data.reportId, createdAt: data.createdAt?.toDate?.(), unsupported });
+  } catch (e) {
+    if (e instanceof ShareError) return res.status(e.status).json({ error: e.code });
+    console.error('shared report error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
 
-    return res.json({ ok: true });
+// POST /delete-all  (deletes everything owned by the token's user)
+// -> { ok, deleted:{jobs,reports,objects,redactions,shares} }
+app.post('/delete-all', requireAuth, bodyShape([]), async (req, res) => {
+  try {
+    const deleted = await deletion.deleteUser(req.user.id, { actor: { type: 'user', id: req.user.id } });
+    return res.json({ ok: true, deleted });
   } catch (e) {
     console.error('delete-all error:', e);
     res.status(500).json({ error: 'internal_error' });
   }
 });
 
-// Admin sweeper (simple flag flipper; bucket lifecycle handles actual object TTL)
-app.get('/admin/sweeper', async (_req, res) => {
+// Admin: retention sweep (Cloud Scheduler calls this; see README "Retention & deletion").
+// -> { jobsDeleted, uploadsPurged, objects, scanned }
+async function runSweeper(req, res) {
   try {
-    const q = await reportsCol.where('images_deleted', '==', false).limit(20).get();
-    for (const doc of q.docs) {
-      const r = doc.data();
-      const created = r.createdAt?.toDate?.() || new Date(Date.now() - 2 * 60 * 60 * 1000);
-      if (Date.now() - created.getTime() > 60 * 60 * 1000) {
-        await doc.ref.update({ images_deleted: true, updatedAt: Firestore.FieldValue.serverTimestamp() });
-      }
-    }
-    res.json({ swept: q.size });
+    const limit = Math.min(parseInt(req.query.limit || '200', 10) || 200, 1000);
+    res.json(await deletion.sweep({ limit }));
   } catch (e) {
     console.error('sweeper error:', e);
     res.status(500).json({ error: 'internal_error' });
   }
+}
+app.post('/admin/sweeper', requireAuth, requireAdmin, runSweeper);
+app.get('/admin/sweeper', requireAuth, requireAdmin, runSweeper); // kept for existing schedulers
+
+// Admin: deletion audit log, newest first. ?userId=&jobId=&reason=&limit=
+app.get('/admin/deletions', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+    const { userId, jobId, reason } = req.query;
+    res.json({ deletions: await deletion.listAudit({ userId, jobId, reason, limit }) });
+  } catch (e) {
+    console.error('deletions audit error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+// Admin: per-job cost and latency, aggregated by day, plan and model. ?days=7 (max 31)
+app.get('/admin/metrics', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '7', 10) || 7;
+    res.json(await metricsReport.summarize({ days }));
+  } catch (e) {
+    console.error('admin metrics error:', e);
+    res.status(500).json({ error: 'internal_error' });
+  }
 });
 
 // -------------------------
 // Start
 // -------------------------
-app.listen(PORT, () => {
-  console.log(`API listening on ${PORT}`);
-  console.log(`Project: ${PROJECT_ID} • Region: ${REGION} • Bucket: ${UPLOAD_BUCKET} • Topic: ${PUBSUB_TOPIC}`);
-});
+// Not started when required (api/dev.js runs it in-process with the worker).
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`API listening on ${PORT}`);
+    if (!CORS_ORIGINS.length) console.warn('CORS_ORIGINS is empty: browsers on other origins will be refused');
+    console.log(`Project: ${PROJECT_ID} • Region: ${REGION} • Bucket: ${UPLOAD_BUCKET} • Topic: ${PUBSUB_TOPIC}`);
+  });
+}
+
+module.exports = { app };
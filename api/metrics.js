@@ -0,0 +1,164 @@
+// metrics.js — job cost/latency aggregation for admins, and the API's Prometheus metrics.
+// --------------------------------------------------------------------------------------
+// The worker stores a `metrics` summary on every job it processes (stage timings, tokens,
+// estimated cost, safety escalation level; see worker/metrics.js). `summarize` reads recent
+// jobs and aggregates them by day, plan and model. Aggregation runs on read over at most ADMIN_METRICS_MAX_JOBS jobs,
+// which is plenty for an ops dashboard; export to BigQuery for anything larger.
+
+const { Firestore } = require('@google-cloud/firestore');
+const { createRegistry, metricsHandler } = require('../shared/prometheus');
+
+// -------------------------
+// Env
+// -------------------------
+const MAX_JOBS = parseInt(process.env.ADMIN_METRICS_MAX_JOBS || '5000', 10);
+const MAX_DAYS = 31;
+const FAILED = new Set(['error', 'dead_letter']);
+const STAGES = ['download', 'preprocess', 'ocr', 'llm', 'save', 'purge'];
+
+// -------------------------
+// Aggregation
+// -------------------------
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function round(n, digits = 6) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function emptyGroup() {
+  return { jobs: 0, complete: 0, failed: 0, inProgress: 0, latencies: [], stages: {}, cost: 0, costed: 0, unknownCost: 0, tokens: { prompt: 0, completion: 0 }, failures: {}, safety: { elevated: 0, urgent: 0, by_category: {} } };
+}
+
+function addJob(g, job) {
+  const m = job.metrics || {};
+  g.jobs++;
+  if (job.status === 'complete') g.complete++;
+  else if (FAILED.has(job.status)) {
+    g.failed++;
+    const code = job.error?.code || 'unknown';
+    g.failures[code] = (g.failures[code] || 0) + 1;
+  } else if (job.status !== 'user_deleted') g.inProgress++;
+
+  if (job.status === 'complete' && Number.isFinite(m.total_ms)) {
+    g.latencies.push(m.total_ms);
+    for (const [stage, ms] of Object.entries(m.stages_ms || {})) (g.stages[stage] = g.stages[stage] || []).push(ms);
+  }
+  if (m.cost_usd) {
+    if (m.cost_usd.total === null) g.unknownCost++;
+    else {
+      g.cost += Number(job.spend_usd ?? m.cost_usd.total) || 0;
+      g.costed++;
+    }
+  }
+  g.tokens.prompt += m.usage?.prompt_tokens || 0;
+  g.tokens.completion += m.usage?.completion_tokens || 0;
+  // Escalated reports by level and trigger category; counts only, never content.
+  const level = m.safety?.level;
+  if (job.status === 'complete' && (level === 'elevated' || level === 'urgent')) {
+    g.safety[level]++;
+    for (const c of m.safety.categories || []) g.safety.by_category[c] = (g.safety.by_category[c] || 0) + 1;
+  }
+}
+
+function finishGroup(g) {
+  const lat = [...g.latencies].sort((a, b) => a - b);
+  const finished = g.complete + g.failed;
+  return {
+    jobs: g.jobs,
+    complete: g.complete,
+    failed: g.failed,
+    in_progress: g.inProgress,
+    failure_rate: finished ? round(g.failed / finished, 4) : null,
+    failures_by_code: g.failures,
+    latency_ms: { p50: percentile(lat, 50), p95: percentile(lat, 95) },
+    stage_latency_ms: Object.fromEntries(
+      STAGES.filter(s => g.stages[s]).map(s => {
+        const v = [...g.stages[s]].sort((a, b) => a - b);
+        return [s, { p50: percentile(v, 50), p95: percentile(v, 95) }];
+      })
+    ),
+    cost_usd: {
+      total: round(g.cost),
+      per_job: g.costed ? round(g.cost / g.costed) : null,
+      jobs_without_price: g.unknownCost
+    },
+    tokens: g.tokens,
+    safety_escalations: {
+      elevated: g.safety.elevated,
+      urgent: g.safety.urgent,
+      rate: g.complete ? round((g.safety.elevated + g.safety.urgent) / g.complete, 4) : null,
+      by_category: g.safety.by_category
+    }
+  };
+}
+
+// Jobs -> { totals, by_day, by_plan, by_model }
+function aggregate(jobs) {
+  const totals = emptyGroup();
+  const groups = { by_day: new Map(), by_plan: new Map(), by_model: new Map() };
+  const add = (map, key, job) => {
+    if (!map.has(key)) map.set(key, emptyGroup());
+    addJob(map.get(key), job);
+  };
+  for (const job of jobs) {
+    addJob(totals, job);
+    const day = job.createdAt?.toDate?.().toISOString().slice(0, 10) || 'unknown';
+    add(groups.by_day, day, job);
+    add(groups.by_plan, job.metrics?.plan || job.plan || 'unknown', job);
+    add(groups.by_model, job.metrics?.model || 'none', job);
+  }
+  const out = { totals: finishGroup(totals) };
+  for (const [name, map] of Object.entries(groups)) {
+    out[name] = Object.fromEntries([...map.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([k, g]) => [k, finishGroup(g)]));
+  }
+  return out;
+}
+
+function createMetricsReport(firestore) {
+  const jobsCol = firestore.collection('jobs');
+
+  // Jobs created in the last `days` days (UTC), aggregated.
+  async function summarize({ days = 7 } = {}) {
+    const n = Math.min(Math.max(1, days), MAX_DAYS);
+    const since = new Date(Date.now() - n * 24 * 60 * 60 * 1000);
+    const snap = await jobsCol
+      .where('createdAt', '>=', Firestore.Timestamp.fromDate(since))
+      .orderBy('createdAt', 'desc')
+      .limit(MAX_JOBS)
+      .get();
+    return {
+      since: since.toISOString(),
+      days: n,
+      scanned: snap.size,
+      truncated: snap.size >= MAX_JOBS,
+      ...aggregate(snap.docs.map(d => d.data()))
+    };
+  }
+
+  return { summarize };
+}
+
+// -------------------------
+// Prometheus
+// -------------------------
+const registry = createRegistry({ prefix: 'toxella_api_' });
+const httpRequests = registry.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpSeconds = registry.histogram('http_request_seconds', 'HTTP request latency', ['method', 'route']);
+
+// Labels by the matched route pattern (not the raw URL) to keep cardinality bounded.
+function httpMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? (req.baseUrl || '') + req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpSeconds.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
+
+module.exports = { createMetricsReport, aggregate, httpMetrics, metricsEndpoint: metricsHandler(registry) };
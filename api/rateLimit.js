@@ -0,0 +1,98 @@
+// rateLimit.js — per-IP and per-user token-bucket rate limits.
+// ------------------------------------------------------------
+// Complements the plan quotas in entitlements.js: quotas cap what a user may consume per
+// day/month, rate limits cap how fast anyone (including unauthenticated callers) can hit an
+// endpoint. Buckets live in memory, so limits apply per API instance; size them with the
+// Cloud Run max-instances setting in mind.
+//
+// Limits are "<burst>/<period>" strings (period: s, min, h), e.g. "20/min": a bucket holds
+// 20 tokens and refills 20 per minute. Every limit can be overridden from the environment.
+
+const { QuotaError, sendQuotaError } = require('./entitlements');
+
+// -------------------------
+// Config
+// -------------------------
+const PERIODS = { s: 1, sec: 1, min: 60, h: 3600 };
+
+function parseRate(spec) {
+  const m = /^(\d+)\s*\/\s*(s|sec|min|h)$/.exec(String(spec).trim());
+  if (!m) throw new Error(`invalid rate limit "${spec}" (expected e.g. "20/min")`);
+  const burst = parseInt(m[1], 10);
+  return { burst, perSec: burst / PERIODS[m[2]], spec };
+}
+
+function envRate(name, dflt) {
+  return parseRate(process.env[name] || dflt);
+}
+
+// name -> { ip, user }. `ip` applies before authentication, `user` after it.
+const LIMITS = {
+  signedUrls: { ip: envRate('RATE_SIGNED_URLS_IP', '30/min'), user: envRate('RATE_SIGNED_URLS_USER', '10/min') },
+  jobs: { ip: envRate('RATE_JOBS_IP', '30/min'), user: envRate('RATE_JOBS_USER', '10/min') },
+  reportReads: { ip: envRate('RATE_REPORT_READS_IP', '120/min'), user: envRate('RATE_REPORT_READS_USER', '60/min') }
+};
+// Buckets that have refilled completely carry no state; drop them once the map grows.
+const MAX_BUCKETS = 50000;
+
+// -------------------------
+// Token buckets
+// -------------------------
+function createBuckets() {
+  const buckets = new Map(); // key -> { tokens, at }
+
+  function prune(now) {
+    for (const [key, b] of buckets) {
+      const { burst, perSec } = b.rate;
+      if (b.tokens + ((now - b.at) / 1000) * perSec >= burst) buckets.delete(key);
+    }
+  }
+
+  // -> { ok: true } or { ok: false, retryAfterS }
+  function take(key, rate, now = Date.now()) {
+    if (buckets.size > MAX_BUCKETS) prune(now);
+    const b = buckets.get(key) || { tokens: rate.burst, at: now, rate };
+    b.tokens = Math.min(rate.burst, b.tokens + ((now - b.at) / 1000) * rate.perSec);
+    b.at = now;
+    buckets.set(key, b);
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return { ok: true };
+    }
+    return { ok: false, retryAfterS: Math.max(1, Math.ceil((1 - b.tokens) / rate.perSec)) };
+  }
+
+  return { take };
+}
+
+// -------------------------
+// Middleware
+// -------------------------
+function createRateLimits(limits = LIMITS) {
+  const buckets = createBuckets();
+
+  function middleware(name, scope) {
+    const rate = limits[name]?.[scope];
+    if (!rate) throw new Error(`no ${scope} rate limit named ${name}`);
+    return (req, res, next) => {
+      const who = scope === 'ip' ? req.ip : req.user?.id;
+      if (!who) return next();
+      const r = buckets.take(`${name}:${scope}:${who}`, rate);
+      if (r.ok) return next();
+      return sendQuotaError(res, new QuotaError(429, {
+        error: 'rate_limited',
+        limit: name,
+        scope,
+        rate: rate.spec,
+        retry_after_s: r.retryAfterS
+      }));
+    };
+  }
+
+  return {
+    ip: name => middleware(name, 'ip'),
+    user: name => middleware(name, 'user')
+  };
+}
+
+module.exports = { createRateLimits, parseRate, LIMITS };
@@ -0,0 +1,41 @@
+// redaction.js — job redaction options and report re-hydration.
+// -------------------------------------------------------------
+// The worker replaces PII with placeholders ("[PHONE_1]", "[CONTACT_A]") before analysis.
+// Users can name extra people to redact, and may opt in to keeping the placeholder → original
+// mapping (redactions/{reportId}) so that they — and only they — can read their report with
+// the original values restored.
+
+const MAX_NAMES = 20;
+const MAX_NAME_CHARS = 60;
+
+// Validates POST /jobs `redaction`. Returns { value } or { error }.
+function parseRedactionOptions(redaction) {
+  if (redaction === null || redaction === undefined) return { value: null };
+  if (typeof redaction !== 'object' || Array.isArray(redaction)) return { error: 'redaction must be { names?, rehydrate? }' };
+  const { names = [], rehydrate = false } = redaction;
+  if (!Array.isArray(names) || names.length > MAX_NAMES) return { error: `redaction.names must be an array of at most ${MAX_NAMES} names` };
+  if (names.some(n => typeof n !== 'string' || !n.trim() || n.length > MAX_NAME_CHARS)) {
+    return { error: `redaction.names entries must be non-empty strings up to ${MAX_NAME_CHARS} chars` };
+  }
+  if (typeof rehydrate !== 'boolean') return { error: 'redaction.rehydrate must be a boolean' };
+  return { value: { names: names.map(n => n.trim()), rehydrate } };
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replaces placeholders in every string of the report with the original text.
+function rehydrate(value, mapping) {
+  if (!mapping || !Object.keys(mapping).length) return value;
+  const re = new RegExp(Object.keys(mapping).map(escapeRe).join('|'), 'g');
+  const walk = v => {
+    if (typeof v === 'string') return v.replace(re, ph => mapping[ph]);
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(value);
+}
+
+module.exports = { parseRedactionOptions, rehydrate };
@@ -0,0 +1,285 @@
+// render.js — human-readable report exports (Markdown, HTML, PDF).
+// ---------------------------------------------------------------
+// All three formats are rendered from the normalized report (current schema), not from the
+// model's narrative: scores, the tactic breakdown with contribution_pct, receipts grouped by
+// tactic, and KPIs. The narrative is appended as the model wrote it. Escalated reports open
+// with a Safety section (trigger evidence and crisis resources; see worker/safety.js).
+
+const PDFDocument = require('pdfkit');
+const taxonomy = require('../shared/taxonomy.json');
+
+const NAMES = Object.fromEntries(taxonomy.tactics.map(t => [t.id, t.name]));
+const KPI_NAMES = { communication_balance: 'Communication balance', emotional_stability: 'Emotional stability' };
+const FORMATS = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// -------------------------
+// Shared view model
+// -------------------------
+function pct(n) {
+  return `${Math.round(Number(n || 0) * 100)}%`;
+}
+
+function kpiName(k) {
+  return KPI_NAMES[k] || k.replace(/_/g, ' ');
+}
+
+const SAFETY_INTRO = {
+  urgent: 'Some messages suggest someone may be in danger. If you are in immediate danger, contact emergency services now.',
+  elevated: 'This conversation contains threats or controlling behaviour that can escalate. Support services can help you plan your next step.'
+};
+
+// null unless the report escalated (level none, or written before safety checks).
+function safetyView(safety) {
+  if (!safety || !SAFETY_INTRO[safety.level]) return null;
+  return {
+    level: safety.level.toUpperCase(),
+    intro: SAFETY_INTRO[safety.level],
+    triggers: safety.triggers.map(t => ({
+      label: `${t.category.replace(/_/g, ' ')}: ${t.type === 'tactic'
+        ? `${NAMES[t.tactic] || t.tactic}, severity ${t.severity}/5` : 'danger phrase'}`,
+      quotes: t.evidence.map(e => e.quote)
+    })),
+    resources: safety.resources.map(r =>
+      [r.name, [r.phone, r.sms, r.url].filter(Boolean).join(' · '), r.description].filter(Boolean).join(' — '))
+  };
+}
+
+// meta: { reportId, createdAt?: Date|string }
+function viewOf(report, meta = {}) {
+  const groups = new Map();
+  for (const r of report.receipts || []) {
+    const key = r.category || 'other';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  const created = meta.createdAt ? new Date(meta.createdAt) : null;
+  return {
+    title: 'Toxella Manipulation Report',
+    reportId: meta.reportId || null,
+    created: created && !Number.isNaN(created.getTime()) ? created.toISOString().slice(0, 10) : null,
+    risk: `${report.risk_score} / 100 (${String(report.risk_label).toUpperCase()})`,
+    confidence: pct(report.confidence),
+    messages: report.input?.num_messages ?? null,
+    grounding: report.grounding?.ratio === null || report.grounding?.ratio === undefined ? null
+      : `${report.grounding.verified} of ${report.grounding.total} quotes verified against the source`,
+    tactics: [...(report.tactics || [])].sort((a, b) => b.contribution_pct - a.contribution_pct),
+    receipts: [...groups.entries()].map(([id, items]) => ({ id, name: NAMES[id] || id, items })),
+    kpis: Object.entries(report.kpis || {}),
+    safety: safetyView(report.safety),
+    narrative: report.narrative_md || null
+  };
+}
+
+function receiptSuffix(r) {
+  const bits = [];
+  if (r.severity) bits.push(`severity ${r.severity}/5`);
+  if (r.message_index !== undefined) bits.push(`message ${r.message_index}`);
+  if (r.verified === false) bits.push('unverified');
+  return bits.length ? ` (${bits.join(', ')})` : '';
+}
+
+// -------------------------
+// Markdown
+// -------------------------
+function mdCell(s) {
+  return String(s).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function renderMarkdown(report, meta) {
+  const v = viewOf(report, meta);
+  const out = [`# ${v.title}`, ''];
+  if (v.reportId) out.push(`Report: \`${v.reportId}\`${v.created ? ` · ${v.created}` : ''}`, '');
+  if (v.safety) {
+    out.push('## Safety', '', `**${v.safety.level}** — ${v.safety.intro}`, '');
+    for (const t of v.safety.triggers) {
+      out.push(`- ${mdCell(t.label)}`, ...t.quotes.map(q => `  > ${mdCell(q)}`));
+    }
+    if (v.safety.resources.length) out.push('', 'Support:', '', ...v.safety.resources.map(r => `- ${r}`));
+    out.push('');
+  }
+  out.push('## Scores', '', `- Manipulation risk: **${v.risk}**`, `- Confidence: ${v.confidence}`);
+  if (v.messages !== null) out.push(`- Messages analyzed: ${v.messages}`);
+  if (v.grounding) out.push(`- Evidence: ${v.grounding}`);
+  for (const [k, val] of v.kpis) out.push(`- ${kpiName(k)}: ${val}/100`);
+
+  out.push('', '## Tactic breakdown', '');
+  if (!v.tactics.length) out.push('No tactics detected.');
+  else {
+    out.push('| Tactic | Likelihood | Severity | Frequency | Contribution |', '|---|---|---|---|---|');
+    for (const t of v.tactics) {
+      out.push(`| ${mdCell(t.name)} | ${pct(t.likelihood)} | ${t.severity}/5 | ${t.frequency} | ${t.contribution_pct}% |`);
+    }
+  }
+
+  out.push('', '## Receipts', '');
+  if (!v.receipts.length) out.push('No flagged quotes.');
+  for (const g of v.receipts) {
+    out.push(`### ${g.name}`, '');
+    for (const r of g.items) {
+      out.push(`> ${r.quote.replace(/\n/g, ' ')}`);
+      if (receiptSuffix(r)) out.push('>', `> —${receiptSuffix(r)}`);
+      out.push('');
+    }
+  }
+
+  if (v.narrative) out.push('', '## Narrative', '', v.narrative);
+  return out.join('\n') + '\n';
+}
+
+// -------------------------
+// HTML
+// -------------------------
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderHtml(report, meta) {
+  const v = viewOf(report, meta);
+  const rows = v.tactics.map(t =>
+    `<tr><td>${esc(t.name)}</td><td>${pct(t.likelihood)}</td><td>${t.severity}/5</td><td>${t.frequency}</td>` +
+    `<td><span class="bar" style="width:${Math.min(100, t.contribution_pct)}%"></span>${t.contribution_pct}%</td></tr>`
+  ).join('\n');
+  const receipts = v.receipts.map(g =>
+    `<h3>${esc(g.name)}</h3>\n` + g.items.map(r =>
+      `<blockquote${r.verified === false ? ' class="unverified"' : ''}>${esc(r.quote)}<small>${esc(receiptSuffix(r))}</small></blockquote>`
+    ).join('\n')
+  ).join('\n');
+  const scores = [
+    `<li>Manipulation risk: <strong>${esc(v.risk)}</strong></li>`,
+    `<li>Confidence: ${esc(v.confidence)}</li>`,
+    v.messages !== null ? `<li>Messages analyzed: ${v.messages}</li>` : '',
+    v.grounding ? `<li>Evidence: ${esc(v.grounding)}</li>` : '',
+    ...v.kpis.map(([k, val]) => `<li>${esc(kpiName(k))}: ${esc(val)}/100</li>`)
+  ].filter(Boolean).join('\n');
+  const safety = v.safety ? `<section class="safety">
+<h2>Safety</h2>
+<p><strong>${esc(v.safety.level)}</strong> — ${esc(v.safety.intro)}</p>
+<ul>
+${v.safety.triggers.map(t => `<li>${esc(t.label)}${t.quotes.map(q => `<blockquote>${esc(q)}</blockquote>`).join('')}</li>`).join('\n')}
+</ul>
+${v.safety.resources.length ? `<h3>Support</h3>\n<ul>\n${v.safety.resources.map(r => `<li>${esc(r)}</li>`).join('\n')}\n</ul>` : ''}
+</section>` : '';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${esc(v.title)}</title>
+<style>
+body{font:15px/1.5 system-ui,sans-serif;max-width:760px;margin:2rem auto;padding:0 1rem;color:#222}
+table{border-collapse:collapse;width:100%}td,th{border-bottom:1px solid #ddd;padding:.35rem;text-align:left}
+.bar{display:inline-block;height:.6rem;background:#c0392b;margin-right:.4rem;max-width:60%}
+blockquote{margin:.5rem 0;padding:.4rem .8rem;border-left:3px solid #c0392b;background:#fafafa}
+blockquote.unverified{border-left-color:#aaa;color:#666}blockquote small{display:block;color:#777}
+pre{white-space:pre-wrap;font:inherit}
+.safety{border:2px solid #c0392b;border-radius:6px;padding:0 1rem;margin:1rem 0}
+</style>
+</head>
+<body>
+<h1>${esc(v.title)}</h1>
+${v.reportId ? `<p>Report <code>${esc(v.reportId)}</code>${v.created ? ` · ${esc(v.created)}` : ''}</p>` : ''}
+${safety}
+<h2>Scores</h2>
+<ul>
+${scores}
+</ul>
+<h2>Tactic breakdown</h2>
+${v.tactics.length ? `<table>
+<tr><th>Tactic</th><th>Likelihood</th><th>Severity</th><th>Frequency</th><th>Contribution</th></tr>
+${rows}
+</table>` : '<p>No tactics detected.</p>'}
+<h2>Receipts</h2>
+${receipts || '<p>No flagged quotes.</p>'}
+${v.narrative ? `<h2>Narrative</h2>\n<pre>${esc(v.narrative)}</pre>` : ''}
+</body>
+</html>
+`;
+}
+
+// -------------------------
+// PDF
+// -------------------------
+// The built-in PDF fonts only cover Latin-1; drop what they can't draw (emoji in narratives).
+function latin1(s) {
+  return String(s ?? '').replace(/[^\x09\x0a\x0d\x20-\x7e\xa0-\xff’‘“”–—…•]/g, '').replace(/\n{3,}/g, '\n\n');
+}
+
+function renderPdf(report, meta) {
+  const v = viewOf(report, meta);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: v.title } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const h = (text, size) => doc.moveDown(0.6).font('Helvetica-Bold').fontSize(size).text(latin1(text)).font('Helvetica').fontSize(11);
+    doc.font('Helvetica-Bold').fontSize(20).text(v.title);
+    doc.font('Helvetica').fontSize(10).fillColor('#555')
+      .text(latin1([v.reportId && `Report ${v.reportId}`, v.created].filter(Boolean).join(' · ')))
+      .fillColor('black').fontSize(11);
+
+    if (v.safety) {
+      h('Safety', 14);
+      doc.font('Helvetica-Bold').fillColor('#c0392b').text(v.safety.level).font('Helvetica').fillColor('black').text(latin1(v.safety.intro));
+      for (const t of v.safety.triggers) {
+        doc.moveDown(0.3).text(latin1(`• ${t.label}`));
+        for (const q of t.quotes) doc.fillColor('#444').text(latin1(`“${q}”`), { indent: 12 }).fillColor('black');
+      }
+      if (v.safety.resources.length) {
+        doc.moveDown(0.3).font('Helvetica-Bold').text('Support').font('Helvetica');
+        for (const r of v.safety.resources) doc.text(latin1(`• ${r}`), { indent: 12 });
+      }
+    }
+
+    h('Scores', 14);
+    doc.text(`Manipulation risk: ${v.risk}`).text(`Confidence: ${v.confidence}`);
+    if (v.messages !== null) doc.text(`Messages analyzed: ${v.messages}`);
+    if (v.grounding) doc.text(`Evidence: ${v.grounding}`);
+    for (const [k, val] of v.kpis) doc.text(latin1(`${kpiName(k)}: ${val}/100`));
+
+    h('Tactic breakdown', 14);
+    if (!v.tactics.length) doc.text('No tactics detected.');
+    for (const t of v.tactics) {
+      doc.font('Helvetica-Bold').text(latin1(`${t.name} — ${t.contribution_pct}% of risk`), { continued: false })
+        .font('Helvetica').fillColor('#444')
+        .text(`Likelihood ${pct(t.likelihood)} · severity ${t.severity}/5 · frequency ${t.frequency}`)
+        .fillColor('black');
+    }
+
+    h('Receipts', 14);
+    if (!v.receipts.length) doc.text('No flagged quotes.');
+    for (const g of v.receipts) {
+      h(g.name, 12);
+      for (const r of g.items) {
+        doc.text(latin1(`“${r.quote}”`), { indent: 12 })
+          .fillColor('#666').fontSize(9).text(latin1(receiptSuffix(r).trim()), { indent: 12 })
+          .fillColor('black').fontSize(11).moveDown(0.3);
+      }
+    }
+
+    if (v.narrative) {
+      h('Narrative', 14);
+      doc.fontSize(10).text(latin1(v.narrative));
+    }
+    doc.end();
+  });
+}
+
+// -> { contentType, body } for md | html | pdf
+async function renderReport(report, format, meta) {
+  const contentType = FORMATS[format];
+  if (!contentType) throw new Error(`unsupported format: ${format}`);
+  const body = format === 'md' ? renderMarkdown(report, meta)
+    : format === 'html' ? renderHtml(report, meta)
+    : await renderPdf(report, meta);
+  return { contentType, body };
+}
+
+module.exports = { renderReport, renderMarkdown, renderHtml, renderPdf, FORMATS };
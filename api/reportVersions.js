@@ -0,0 +1,88 @@
+// reportVersions.js — upgrade stored reports to the current schema on read.
+// ------------------------------------------------------------------------
+// shared/report.schema.json is the authoritative shape. Reports are stored as written and
+// upgraded step by step here when served, so old documents never need a backfill.
+//
+//   0.1  original draft schema: { analysis:{risk_score,risk_bucket,confidence,summary}, input }
+//   0.2  unversioned normalizeReport output (risk_label, tactics, receipts, kpis, narrative_md)
+//   1.0  0.2 + schema_version + input { source, num_images, num_messages, language?, device? }
+//   1.1  1.0 + grounding { ratio, verified, total } + receipt verified/source_image/char offsets
+//   1.2  1.1 + redaction { counts, total, rehydratable } (null: written before redaction)
+//   1.3  1.2 + safety { level, triggers, resources, ... } (null: written before safety checks)
+
+const schema = require('../shared/report.schema.json');
+
+const CURRENT_VERSION = schema.properties.schema_version.const;
+
+function labelFor(score) {
+  return score < 34 ? 'low' : score <= 66 ? 'medium' : 'high';
+}
+
+function detectVersion(json) {
+  if (json?.schema_version) return String(json.schema_version);
+  return json?.analysis && !Array.isArray(json.tactics) ? '0.1' : '0.2';
+}
+
+// version -> [nextVersion, fn]
+const MIGRATIONS = {
+  '0.1': ['0.2', r => {
+    const a = r.analysis || {};
+    const score = Math.round(Number(a.risk_score) || 0);
+    const bucket = String(a.risk_bucket || '').toLowerCase();
+    return {
+      risk_score: score,
+      risk_label: ['low', 'medium', 'high'].includes(bucket) ? bucket : labelFor(score),
+      confidence: Number(a.confidence) || 0,
+      tactics: [],
+      receipts: [],
+      kpis: {},
+      narrative_md: a.summary || null,
+      input: r.input || {}
+    };
+  }],
+  '0.2': ['1.0', r => {
+    const input = r.input || {};
+    return {
+      schema_version: '1.0',
+      risk_score: r.risk_score ?? 0,
+      risk_label: r.risk_label || labelFor(r.risk_score ?? 0),
+      confidence: r.confidence ?? 0,
+      tactics: (Array.isArray(r.tactics) ? r.tactics : []).map(t => ({ contribution_pct: 0, score: 0, examples: [], ...t })),
+      receipts: Array.isArray(r.receipts) ? r.receipts : [],
+      kpis: r.kpis || {},
+      narrative_md: r.narrative_md ?? null,
+      input: {
+        source: input.source || 'images',
+        num_images: Number(input.num_images) || 0,
+        num_messages: Number(input.num_messages) || 0,
+        ...(input.language ? { language: String(input.language) } : {}),
+        ...(input.device ? { device: String(input.device) } : {})
+      }
+    };
+  }],
+  // Reports written before grounding existed were never checked: ratio null, receipts unflagged.
+  '1.0': ['1.1', r => ({
+    ...r,
+    schema_version: '1.1',
+    grounding: { ratio: null, verified: 0, total: 0 }
+  })],
+  '1.1': ['1.2', r => ({ ...r, schema_version: '1.2', redaction: null })],
+  '1.2': ['1.3', r => ({ ...r, schema_version: '1.3', safety: null })]
+};
+
+// Returns { report, from } where `from` is the stored version. A version with no migration
+// path (unknown, or written by a newer deploy) comes back untouched with `unsupported: true`,
+// so one such document can't fail a whole listing; callers skip it or serve it as stored.
+function upgradeReport(json) {
+  const from = detectVersion(json);
+  let version = from;
+  let report = json;
+  while (version !== CURRENT_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) return { report: json, from, unsupported: true };
+    [version, report] = [step[0], step[1](report)];
+  }
+  return { report, from };
+}
+
+module.exports = { upgradeReport, detectVersion, CURRENT_VERSION };
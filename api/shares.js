@@ -0,0 +1,132 @@
+// shares.js — expiring, revocable, read-only report share links.
+// -------------------------------------------------------------
+// A share is `shares/{sha256(token)}`: the raw token only ever exists in the link handed to
+// the owner, so a database read does not leak working links. Every successful open is
+// appended to `shares/{id}/access` (time, format, IP, user agent) and counted on the share,
+// which lets the owner see who used a link before revoking it.
+
+const crypto = require('crypto');
+const { Firestore } = require('@google-cloud/firestore');
+
+// -------------------------
+// Env
+// -------------------------
+const SHARE_DEFAULT_TTL_HOURS = parseInt(process.env.SHARE_DEFAULT_TTL_HOURS || '72', 10);
+const SHARE_MAX_TTL_HOURS = parseInt(process.env.SHARE_MAX_TTL_HOURS || String(30 * 24), 10);
+
+// -------------------------
+// Errors
+// -------------------------
+class ShareError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// -------------------------
+// Helpers
+// -------------------------
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toIso(ts) {
+  return ts?.toDate ? ts.toDate().toISOString() : null;
+}
+
+// The share exists, belongs to `userId` and was made for `reportId` (the route's report).
+function owns(snap, { userId, reportId }) {
+  return snap.exists && snap.data().userId === userId && snap.data().reportId === reportId;
+}
+
+function publicShare(id, s) {
+  return {
+    shareId: id,
+    reportId: s.reportId,
+    createdAt: toIso(s.createdAt),
+    expiresAt: toIso(s.expiresAt),
+    revokedAt: toIso(s.revokedAt),
+    accessCount: s.accessCount || 0,
+    lastAccessAt: toIso(s.lastAccessAt)
+  };
+}
+
+// -------------------------
+// Factory
+// -------------------------
+function createShares(firestore) {
+  const sharesCol = firestore.collection('shares');
+
+  // -> { token, share }. ttlHours defaults to SHARE_DEFAULT_TTL_HOURS, capped at SHARE_MAX_TTL_HOURS.
+  async function create({ reportId, userId, ttlHours }) {
+    const hours = ttlHours === undefined || ttlHours === null ? SHARE_DEFAULT_TTL_HOURS : Number(ttlHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > SHARE_MAX_TTL_HOURS) {
+      throw new ShareError(400, `ttlHours must be between 0 and ${SHARE_MAX_TTL_HOURS}`);
+    }
+    const token = crypto.randomBytes(24).toString('base64url');
+    const id = hashToken(token);
+    const doc = {
+      reportId,
+      userId,
+      createdAt: Firestore.Timestamp.now(),
+      expiresAt: Firestore.Timestamp.fromMillis(Date.now() + hours * 3600 * 1000),
+      revokedAt: null,
+      accessCount: 0,
+      lastAccessAt: null
+    };
+    await sharesCol.doc(id).set(doc);
+    return { token, share: publicShare(id, doc) };
+  }
+
+  async function list(reportId, userId) {
+    const snap = await sharesCol.where('reportId', '==', reportId).where('userId', '==', userId).get();
+    return snap.docs.map(d => publicShare(d.id, d.data()));
+  }
+
+  // Owner-only, through the share's own report; revoking twice is a no-op.
+  async function revoke(shareId, { userId, reportId }) {
+    const ref = sharesCol.doc(shareId);
+    const snap = await ref.get();
+    if (!owns(snap, { userId, reportId })) throw new ShareError(404, 'not_found');
+    if (!snap.data().revokedAt) await ref.update({ revokedAt: Firestore.FieldValue.serverTimestamp() });
+    return publicShare(shareId, { ...snap.data(), revokedAt: snap.data().revokedAt || Firestore.Timestamp.now() });
+  }
+
+  // Access log for one share (newest first), owner-only.
+  async function accessLog(shareId, { userId, reportId, limit = 100 }) {
+    const ref = sharesCol.doc(shareId);
+    const snap = await ref.get();
+    if (!owns(snap, { userId, reportId })) throw new ShareError(404, 'not_found');
+    const log = await ref.collection('access').orderBy('at', 'desc').limit(limit).get();
+    return log.docs.map(d => ({ ...d.data(), at: toIso(d.data().at) }));
+  }
+
+  // Public: token -> share, logging the access. Unknown, revoked and expired links all 404/410.
+  async function open(token, { format, ip, userAgent }) {
+    const ref = sharesCol.doc(hashToken(token));
+    const snap = await ref.get();
+    if (!snap.exists) throw new ShareError(404, 'not_found');
+    const share = snap.data();
+    if (share.revokedAt) throw new ShareError(410, 'share_revoked');
+    if (share.expiresAt.toMillis() < Date.now()) throw new ShareError(410, 'share_expired');
+    const batch = firestore.batch();
+    batch.set(ref.collection('access').doc(), {
+      at: Firestore.FieldValue.serverTimestamp(),
+      format,
+      ip: ip || null,
+      userAgent: userAgent ? String(userAgent).slice(0, 200) : null
+    });
+    batch.update(ref, {
+      accessCount: Firestore.FieldValue.increment(1),
+      lastAccessAt: Firestore.FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+    return share;
+  }
+
+  return { create, list, revoke, accessLog, open };
+}
+
+module.exports = { createShares, ShareError, hashToken, SHARE_DEFAULT_TTL_HOURS, SHARE_MAX_TTL_HOURS };
@@ -0,0 +1,64 @@
+// auth.test.js — bearer tokens, roles and ownership.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SignJWT } = require('jose');
+
+process.env.AUTH_JWT_SECRET = 'test-secret-at-least-32-bytes-long!!';
+const { requireAuth, requireAdmin, canAccess, verifyToken } = require('../auth');
+
+const key = new TextEncoder().encode(process.env.AUTH_JWT_SECRET);
+function sign(claims, { exp = '1h' } = {}) {
+  return new SignJWT(claims).setProtectedHeader({ alg: 'HS256' }).setIssuedAt().setExpirationTime(exp).sign(key);
+}
+
+// Minimal Express req/res stand-ins.
+function call(mw, headers = {}, user) {
+  return new Promise(resolve => {
+    const req = { user, get: h => headers[h.toLowerCase()] };
+    const res = {
+      headers: {},
+      set(k, v) { this.headers[k] = v; return this; },
+      status(code) { this.code = code; return this; },
+      json(body) { resolve({ code: this.code, body, req }); return this; }
+    };
+    mw(req, res, () => resolve({ code: 'next', req }));
+  });
+}
+
+test('a valid token sets req.user from its claims', async () => {
+  const token = await sign({ sub: 'u1', roles: ['admin'] });
+  const { code, req } = await call(requireAuth, { authorization: `Bearer ${token}` });
+  assert.equal(code, 'next');
+  assert.equal(req.user.id, 'u1');
+  assert.deepEqual(req.user.roles, ['admin']);
+});
+
+test('missing, malformed and expired tokens are rejected with 401', async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal((await call(requireAuth, {})).code, 401);
+    assert.equal((await call(requireAuth, { authorization: 'Bearer nope' })).code, 401);
+    const expired = await sign({ sub: 'u1' }, { exp: Math.floor(Date.now() / 1000) - 60 });
+    assert.equal((await call(requireAuth, { authorization: `Bearer ${expired}` })).code, 401);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('a token without a subject is refused', async () => {
+  await assert.rejects(verifyToken(await sign({ roles: ['admin'] })), /missing sub/);
+});
+
+test('admin routes need the admin role', async () => {
+  assert.equal((await call(requireAdmin, {}, { id: 'u1', roles: [] })).code, 403);
+  assert.equal((await call(requireAdmin, {}, { id: 'u1', roles: ['admin'] })).code, 'next');
+});
+
+test('only the owner or an admin can access a document', () => {
+  assert.equal(canAccess({ id: 'u1', roles: [] }, { userId: 'u1' }), true);
+  assert.equal(canAccess({ id: 'u2', roles: [] }, { userId: 'u1' }), false);
+  assert.equal(canAccess({ id: 'u2', roles: ['admin'] }, { userId: 'u1' }), true);
+  assert.equal(canAccess({ id: 'u1', roles: [] }, { userId: null }), false);
+});
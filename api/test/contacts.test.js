@@ -0,0 +1,73 @@
+// contacts.test.js — per-contact timelines, trends and escalations.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTimeline, listContacts, parseContactInput } = require('../contacts');
+const { CURRENT_VERSION } = require('../reportVersions');
+
+function doc(reportId, at, risk_score, tactics = [], contactId = 'c1') {
+  return {
+    reportId, contactId, contactLabel: 'Sam', createdAt: at,
+    json: {
+      schema_version: CURRENT_VERSION, risk_score, risk_label: risk_score < 34 ? 'low' : risk_score <= 66 ? 'medium' : 'high',
+      confidence: 0.8, tactics: tactics.map(([id, likelihood]) => ({ id, likelihood, severity: 3, frequency: 1 })),
+      receipts: [], kpis: {}, narrative_md: null, input: { source: 'text', num_images: 0, num_messages: 1 }
+    }
+  };
+}
+
+test('contact input is validated', () => {
+  assert.deepEqual(parseContactInput('sam-1', ' Sam ').value, { contactId: 'sam-1', contactLabel: 'Sam' });
+  assert.deepEqual(parseContactInput(undefined, undefined), { value: null });
+  assert.ok(parseContactInput(undefined, 'Sam').error);
+  assert.ok(parseContactInput('no spaces').error);
+  assert.ok(parseContactInput('c1', 'x'.repeat(81)).error);
+});
+
+test('points are chronological and the trend follows the risk scores', () => {
+  const t = buildTimeline('c1', [
+    doc('r3', '2024-03-01T00:00:00Z', 60),
+    doc('r1', '2024-01-01T00:00:00Z', 20),
+    doc('r2', '2024-02-01T00:00:00Z', 40)
+  ]);
+  assert.deepEqual(t.points.map(p => p.reportId), ['r1', 'r2', 'r3']);
+  assert.equal(t.trend.direction, 'rising');
+  assert.equal(t.label, 'Sam');
+  assert.deepEqual(t.escalations.map(e => e.type), ['risk_jump', 'risk_jump']);
+});
+
+test('a new escalation tactic after the first report is flagged', () => {
+  const t = buildTimeline('c1', [
+    doc('r1', '2024-01-01T00:00:00Z', 30, [['gaslighting', 0.6]]),
+    doc('r2', '2024-02-01T00:00:00Z', 35, [['gaslighting', 0.6], ['threats', 0.7]]),
+    doc('r3', '2024-03-01T00:00:00Z', 35, [['threats', 0.7]])
+  ]);
+  const news = t.escalations.filter(e => e.type === 'new_tactic');
+  assert.deepEqual(news.map(e => [e.tactic, e.reportId, e.baseline]), [['threats', 'r2', undefined]]);
+  assert.match(t.summary, /first appeared on 2024-02-01/);
+});
+
+test('an escalation tactic already in the first report is flagged as a baseline', () => {
+  const t = buildTimeline('c1', [
+    doc('r1', '2024-01-01T00:00:00Z', 70, [['coercion', 0.8]]),
+    doc('r2', '2024-02-01T00:00:00Z', 70, [['coercion', 0.8]])
+  ]);
+  assert.deepEqual(t.escalations, [{ type: 'new_tactic', tactic: 'coercion', reportId: 'r1', at: '2024-01-01T00:00:00.000Z', severity: 3, baseline: true }]);
+  assert.match(t.summary, /already present in the first report/);
+});
+
+test('tactics below the presence threshold are ignored', () => {
+  const t = buildTimeline('c1', [doc('r1', '2024-01-01T00:00:00Z', 10, [['threats', 0.1]])]);
+  assert.deepEqual(t.escalations, []);
+  assert.deepEqual(t.tactics, []);
+});
+
+test('contacts are grouped and listed newest first; reports without a contact are skipped', () => {
+  const contacts = listContacts([
+    doc('r1', '2024-01-01T00:00:00Z', 20, [], 'c1'),
+    doc('r2', '2024-03-01T00:00:00Z', 50, [], 'c2'),
+    doc('r3', '2024-02-01T00:00:00Z', 30, [], 'c1'),
+    doc('r4', '2024-04-01T00:00:00Z', 90, [], null)
+  ]);
+  assert.deepEqual(contacts.map(c => [c.contactId, c.reports, c.last_risk_score]), [['c2', 1, 50], ['c1', 2, 30]]);
+});
@@ -0,0 +1,126 @@
+// deletion.test.js — job deletion, retention sweeps and the deletion audit log.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Firestore } = require('@google-cloud/firestore');
+const { createMemoryStore } = require('../../shared/backends/memoryStore');
+const { createDeletion, RETENTION_DAYS } = require('../deletion');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 5, 1);
+const daysAgo = n => Firestore.Timestamp.fromMillis(NOW - n * DAY_MS);
+
+// Blob store stand-in: a set of object paths.
+function fakeBlobs(paths = []) {
+  const objects = new Set(paths);
+  return {
+    objects,
+    async list(prefix) { return [...objects].filter(p => p.startsWith(prefix)); },
+    async remove(p) { objects.delete(p); }
+  };
+}
+
+function setup(paths) {
+  const firestore = createMemoryStore({ Timestamp: Firestore.Timestamp });
+  const blobs = fakeBlobs(paths);
+  const col = name => firestore.collection(name);
+  const exists = async (name, id) => (await col(name).doc(id).get()).exists;
+  return { firestore, blobs, col, exists, deletion: createDeletion({ firestore, blobs }) };
+}
+
+async function addJob(col, id, { plan, age, ...rest }) {
+  await col('jobs').doc(id).set({ userId: 'u1', status: 'complete', plan, createdAt: daysAgo(age), ...rest });
+  await col('reports').doc(id).set({ reportId: id, jobId: id, userId: 'u1', images_deleted: true, createdAt: daysAgo(age) });
+}
+
+test('deleting a job removes its uploads, report, mapping and shares, and leaves a tombstone', async () => {
+  const { col, blobs, exists, deletion } = setup(['uploads/j1/0.png', 'uploads/j2/0.png']);
+  await addJob(col, 'j1', { plan: 'free', age: 1, text: 'Sam: hi', contactLabel: 'Sam' });
+  await col('redactions').doc('j1').set({ userId: 'u1', mapping: {} });
+  await col('shares').doc('s1').set({ reportId: 'j1', userId: 'u1' });
+
+  const deleted = await deletion.deleteJob('j1', { actor: { type: 'user', id: 'u1' }, reason: 'user_request' });
+  assert.deepEqual(deleted, { objects: 1, reports: 1, redactions: 1, shares: 1, jobs: 1 });
+  assert.deepEqual([...blobs.objects], ['uploads/j2/0.png']);
+  assert.equal(await exists('reports', 'j1'), false);
+  assert.equal(await exists('shares', 's1'), false);
+  const job = (await col('jobs').doc('j1').get()).data();
+  assert.equal(job.status, 'user_deleted');
+  assert.equal(job.text, undefined);
+  assert.equal(job.contactLabel, undefined);
+
+  const [audit] = (await col('deletionAudit').get()).docs.map(d => d.data());
+  assert.equal(audit.reason, 'user_request');
+  assert.deepEqual(audit.actor, { type: 'user', id: 'u1' });
+  assert.equal(await deletion.deleteJob('missing', { actor: { type: 'user' }, reason: 'user_request' }), null);
+});
+
+test('jobs are purged once past their own plan\'s retention', async () => {
+  const { col, exists, deletion } = setup();
+  await addJob(col, 'free-old', { plan: 'free', age: RETENTION_DAYS.free + 1 });
+  await addJob(col, 'free-new', { plan: 'free', age: RETENTION_DAYS.free - 1 });
+  await addJob(col, 'pro-mid', { plan: 'pro', age: RETENTION_DAYS.free + 1 });
+  await addJob(col, 'pro-old', { plan: 'pro', age: RETENTION_DAYS.pro + 1 });
+
+  const summary = await deletion.sweep({ now: NOW });
+  assert.equal(summary.jobsDeleted, 2);
+  assert.equal(await exists('jobs', 'free-old'), false);
+  assert.equal(await exists('reports', 'free-old'), false);
+  assert.equal(await exists('jobs', 'pro-old'), false);
+  for (const id of ['free-new', 'pro-mid']) assert.equal(await exists('jobs', id), true, id);
+});
+
+test('jobs still inside a longer retention never starve expired ones', async () => {
+  const { col, exists, deletion } = setup();
+  // Older than the free cutoff but inside pro retention: a single shortest-cutoff query
+  // would return only these and never reach the expired free jobs.
+  for (let i = 0; i < 5; i++) await addJob(col, `pro-${i}`, { plan: 'pro', age: 300 + i });
+  await addJob(col, 'free-a', { plan: 'free', age: 40 });
+  await addJob(col, 'free-b', { plan: 'free', age: 35 });
+
+  assert.equal((await deletion.sweep({ limit: 3, now: NOW })).jobsDeleted, 2);
+  assert.equal(await exists('jobs', 'free-a'), false);
+  assert.equal(await exists('jobs', 'free-b'), false);
+  assert.equal((await deletion.sweep({ limit: 3, now: NOW })).jobsDeleted, 0);
+});
+
+test('the per-run limit holds across plans and the rest is picked up next run', async () => {
+  const { col, deletion } = setup();
+  for (let i = 0; i < 3; i++) await addJob(col, `free-${i}`, { plan: 'free', age: 100 + i });
+  await addJob(col, 'pro-0', { plan: 'pro', age: RETENTION_DAYS.pro + 10 });
+  assert.equal((await deletion.sweep({ limit: 2, now: NOW })).jobsDeleted, 2);
+  assert.equal((await deletion.sweep({ limit: 2, now: NOW })).jobsDeleted, 2);
+  assert.equal((await col('jobs').get()).size, 0);
+});
+
+test('uploads left after a report are purged once stale, without re-reading fresh ones', async () => {
+  const { col, blobs, deletion } = setup(['uploads/fresh/0.png', 'uploads/stale/0.png', 'uploads/stale/1.png']);
+  const hoursAgo = h => Firestore.Timestamp.fromMillis(NOW - h * 3600 * 1000);
+  await col('reports').doc('fresh').set({ jobId: 'fresh', userId: 'u1', images_deleted: false, createdAt: hoursAgo(1) });
+  await col('reports').doc('stale').set({ jobId: 'stale', userId: 'u1', images_deleted: false, createdAt: hoursAgo(48) });
+
+  const summary = await deletion.sweep({ limit: 1, now: NOW });
+  assert.equal(summary.uploadsPurged, 1);
+  assert.equal(summary.objects, 2);
+  assert.deepEqual([...blobs.objects], ['uploads/fresh/0.png']);
+  assert.equal((await col('reports').doc('stale').get()).data().images_deleted, true);
+  assert.equal((await col('reports').doc('fresh').get()).data().images_deleted, false);
+
+  const audit = (await col('deletionAudit').get()).docs.map(d => d.data());
+  assert.deepEqual(audit.map(a => [a.reason, a.jobId, a.deleted.objects]), [['upload_retention', 'stale', 2]]);
+});
+
+test('the audit log returns the newest matching records, not the first page it reads', async () => {
+  const { col, deletion } = setup();
+  // More matches than any single read; ids and insertion order put the newest records last.
+  const minutesAgo = n => Firestore.Timestamp.fromMillis(NOW - n * 60000);
+  for (let i = 0; i < 1010; i++) {
+    await col('deletionAudit').doc(`a${String(i).padStart(4, '0')}`).set({ at: minutesAgo(1010 - i), reason: 'retention', userId: 'u1' });
+  }
+  await col('deletionAudit').doc('b0').set({ at: minutesAgo(0), reason: 'delete_all', userId: 'u1' });
+
+  const rows = await deletion.listAudit({ reason: 'retention', limit: 5 });
+  assert.deepEqual(rows.map(r => r.at), [1, 2, 3, 4, 5].map(n => minutesAgo(n).toDate().toISOString()));
+  assert.ok(rows.every(r => r.reason === 'retention'));
+  assert.equal((await deletion.listAudit({ userId: 'u1', limit: 1 }))[0].reason, 'delete_all');
+});
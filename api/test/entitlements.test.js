@@ -0,0 +1,85 @@
+// entitlements.test.js — plans, quota charging and refunds.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Firestore } = require('@google-cloud/firestore');
+const { createMemoryStore } = require('../../shared/backends/memoryStore');
+const { createEntitlements, QuotaError, JobExistsError, PLANS } = require('../entitlements');
+
+function setup() {
+  const firestore = createMemoryStore({ Timestamp: Firestore.Timestamp });
+  return { firestore, ent: createEntitlements(firestore), jobs: firestore.collection('jobs') };
+}
+const jobData = { status: 'uploaded', userId: 'u1' };
+
+test('a job is created with its plan and counted once', async () => {
+  const { ent, jobs } = setup();
+  const { plan, period } = await ent.consumeQuota('u1', { images: 2, job: { ref: jobs.doc('j1'), data: jobData } });
+  assert.equal(plan, 'free');
+  assert.match(period.day, /^\d{4}-\d{2}-\d{2}$/);
+  assert.equal((await jobs.doc('j1').get()).data().plan, 'free');
+  const usage = await ent.getUsage('u1');
+  assert.equal(usage.usage.day.jobs, 1);
+  assert.equal(usage.usage.day.images, 2);
+});
+
+test('re-posting or racing the same job id charges quota only once', async () => {
+  const { ent, jobs } = setup();
+  const job = { ref: jobs.doc('j1'), data: jobData };
+  const results = await Promise.allSettled([
+    ent.consumeQuota('u1', { images: 1, job }),
+    ent.consumeQuota('u1', { images: 1, job })
+  ]);
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+  assert.ok(results.find(r => r.status === 'rejected').reason instanceof JobExistsError);
+  assert.equal((await ent.getUsage('u1')).usage.day.jobs, 1);
+});
+
+test('quotas and the per-job image limit are enforced', async () => {
+  const { ent, jobs } = setup();
+  await assert.rejects(ent.consumeQuota('u1', { images: PLANS.free.maxImagesPerJob + 1 }), e => e instanceof QuotaError && e.status === 402);
+  for (let i = 0; i < PLANS.free.dailyJobs; i++) await ent.consumeQuota('u1', { images: 0, job: { ref: jobs.doc(`j${i}`), data: jobData } });
+  await assert.rejects(
+    ent.consumeQuota('u1', { images: 0, job: { ref: jobs.doc('over'), data: jobData } }),
+    e => e instanceof QuotaError && e.status === 429 && e.body.scope === 'daily_jobs'
+  );
+  assert.equal((await jobs.doc('over').get()).exists, false);
+});
+
+test('a job that was never queued is refunded and removed', async () => {
+  const { ent, jobs } = setup();
+  const ref = jobs.doc('j1');
+  const { period } = await ent.consumeQuota('u1', { images: 3, job: { ref, data: jobData } });
+  assert.equal(await ent.refundQuota('u1', { images: 3, period, jobRef: ref }), true);
+  assert.equal((await ref.get()).exists, false);
+  const usage = await ent.getUsage('u1');
+  assert.equal(usage.usage.day.jobs, 0);
+  assert.equal(usage.usage.month.images, 0);
+});
+
+test('a job a worker already picked up is not refunded', async () => {
+  const { ent, jobs } = setup();
+  const ref = jobs.doc('j1');
+  const { period } = await ent.consumeQuota('u1', { images: 1, job: { ref, data: jobData } });
+  await ref.update({ status: 'ocr' });
+  assert.equal(await ent.refundQuota('u1', { images: 1, period, jobRef: ref }), false);
+  assert.equal((await ref.get()).exists, true);
+  assert.equal((await ent.getUsage('u1')).usage.day.jobs, 1);
+});
+
+test('a refund after the period rolled over leaves the new period alone', async () => {
+  const { ent, firestore } = setup();
+  await firestore.collection('usage').doc('u1').set({ day: '2099-01-02', month: '2099-01', dayJobs: 1, monthJobs: 5, dayImages: 0, monthImages: 0 });
+  await ent.refundQuota('u1', { images: 0, period: { day: '2099-01-01', month: '2099-01' } });
+  const d = (await firestore.collection('usage').doc('u1').get()).data();
+  assert.equal(d.dayJobs, 1);
+  assert.equal(d.monthJobs, 4);
+});
+
+test('an expired upgrade falls back to the free plan', async () => {
+  const { ent, firestore } = setup();
+  await firestore.collection('entitlements').doc('u1').set({ plan: 'pro', validUntil: Firestore.Timestamp.fromMillis(Date.now() - 1000) });
+  assert.equal(await ent.getPlan('u1'), 'free');
+  await firestore.collection('entitlements').doc('u2').set({ plan: 'pro' });
+  assert.equal(await ent.getPlan('u2'), 'pro');
+});
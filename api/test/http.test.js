@@ -0,0 +1,76 @@
+// http.test.js — the assembled app over HTTP (local backend): CORS allowlist and legacy bodies.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SignJWT } = require('jose');
+
+// The allowlist the bucket ships with (ops/cors.json) is the one the API is configured with.
+const [{ origin: BUCKET_ORIGINS }] = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'ops', 'cors.json'), 'utf8'));
+process.env.BACKEND = 'local';
+process.env.LOCAL_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'toxella-http-'));
+process.env.AUTH_JWT_SECRET = 'test-secret-at-least-32-bytes-long!!';
+process.env.CORS_ORIGINS = BUCKET_ORIGINS.join(',');
+const { app } = require('../index');
+
+let server, base, token;
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  token = await new SignJWT({ sub: 'u-http' }).setProtectedHeader({ alg: 'HS256' }).setIssuedAt().setExpirationTime('1h')
+    .sign(new TextEncoder().encode(process.env.AUTH_JWT_SECRET));
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LOCAL_DATA_DIR, { recursive: true, force: true });
+});
+
+function post(route, body) {
+  return fetch(base + route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+}
+
+test('the app origin passes CORS preflight', async () => {
+  assert.deepEqual(BUCKET_ORIGINS, ['https://app.toxella.com']);
+  const res = await fetch(`${base}/jobs`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://app.toxella.com', 'Access-Control-Request-Method': 'POST' }
+  });
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('access-control-allow-origin'), 'https://app.toxella.com');
+});
+
+test('other origins get no CORS headers', async () => {
+  for (const origin of ['https://evil.example', 'https://app.toxella.com.evil.example', 'http://app.toxella.com']) {
+    const res = await fetch(`${base}/taxonomy`, { headers: { Origin: origin } });
+    assert.equal(res.headers.get('access-control-allow-origin'), null, origin);
+  }
+});
+
+test('legacy bodies with plan or userId are still accepted', async () => {
+  const signed = await post('/signed-urls', { plan: 'free', count: 3 });
+  assert.equal(signed.status, 200);
+  assert.equal((await signed.json()).urls.length, 3);
+
+  const job = await post('/jobs', { source: 'text', text: 'A: hi\nB: hello', plan: 'pro', userId: 'someone-else' });
+  assert.equal(job.status, 200);
+
+  const deleted = await post('/delete-all', { userId: 'u-http' });
+  assert.equal(deleted.status, 200);
+  assert.equal((await deleted.json()).ok, true);
+});
+
+test('unknown fields and non-object bodies are rejected', async () => {
+  const unknown = await post('/jobs', { source: 'text', text: 'hi', admin: true });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(await unknown.json(), { error: 'invalid_body', detail: 'unknown field(s): admin' });
+  const array = await post('/delete-all', []);
+  assert.equal(array.status, 400);
+  assert.equal((await array.json()).error, 'invalid_body');
+});
@@ -0,0 +1,71 @@
+// prometheus.test.js — metrics rendering and access to GET /metrics.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry, metricsHandler } = require('../../shared/prometheus');
+
+function scrape(handler, authorization) {
+  const out = { status: 200, body: null };
+  const req = { get: h => (h.toLowerCase() === 'authorization' ? authorization : undefined) };
+  const res = {
+    status(s) { out.status = s; return res; },
+    type() { return res; },
+    send(b) { out.body = b; return res; },
+    end() { return res; }
+  };
+  handler(req, res);
+  return out;
+}
+
+// Builds a handler under the given env; the handler reads it once, at creation.
+function handlerWith(env) {
+  const keys = ['METRICS_TOKEN', 'METRICS_PUBLIC', 'BACKEND'];
+  const saved = Object.fromEntries(keys.map(k => [k, process.env[k]]));
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    for (const k of keys) {
+      if (env[k] === undefined) delete process.env[k];
+      else process.env[k] = env[k];
+    }
+    const registry = createRegistry({ prefix: 't_' });
+    registry.counter('hits_total', 'Hits', ['route']).inc({ route: '/a "b"' });
+    return metricsHandler(registry);
+  } finally {
+    console.warn = warn;
+    for (const k of keys) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+  }
+}
+
+test('counters and histograms render in the text exposition format', () => {
+  const registry = createRegistry({ prefix: 't_' });
+  registry.counter('hits_total', 'Hits', ['route']).inc({ route: '/a "b"' }, 2);
+  registry.histogram('seconds', 'Latency', [], [0.1, 1]).observe({}, 0.5);
+  const text = registry.render();
+  assert.match(text, /^t_hits_total\{route="\/a \\"b\\""\} 2$/m);
+  assert.match(text, /^t_seconds_bucket\{le="0.1"\} 0$/m);
+  assert.match(text, /^t_seconds_bucket\{le="1"\} 1$/m);
+  assert.match(text, /^t_seconds_count 1$/m);
+});
+
+test('without a token the endpoint is off in production', () => {
+  assert.equal(scrape(handlerWith({})).status, 404);
+  assert.equal(scrape(handlerWith({ BACKEND: 'gcp' })).status, 404);
+});
+
+test('with a token, scrapes must present it', () => {
+  const handler = handlerWith({ METRICS_TOKEN: 's3cret' });
+  assert.equal(scrape(handler).status, 401);
+  assert.equal(scrape(handler, 'Bearer nope').status, 401);
+  const ok = scrape(handler, 'Bearer s3cret');
+  assert.equal(ok.status, 200);
+  assert.match(ok.body, /t_hits_total/);
+});
+
+test('local development and an explicit opt-in serve it without a token', () => {
+  assert.equal(scrape(handlerWith({ BACKEND: 'local' })).status, 200);
+  assert.equal(scrape(handlerWith({ METRICS_PUBLIC: 'true' })).status, 200);
+});
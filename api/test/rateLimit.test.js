@@ -0,0 +1,51 @@
+// rateLimit.test.js — per-IP and per-user token buckets.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimits, parseRate } = require('../rateLimit');
+
+// Runs a middleware against a fake request; -> { passed, status, body, headers }.
+function hit(mw, req) {
+  const out = { passed: false, status: 200, body: null, headers: {} };
+  const res = {
+    set(k, v) { out.headers[k] = v; return res; },
+    status(s) { out.status = s; return res; },
+    json(b) { out.body = b; return res; }
+  };
+  mw(req, res, () => { out.passed = true; });
+  return out;
+}
+
+test('rate specs parse into a burst and a refill rate', () => {
+  assert.deepEqual(parseRate('20/min'), { burst: 20, perSec: 20 / 60, spec: '20/min' });
+  assert.equal(parseRate(' 5 / s ').perSec, 5);
+  assert.throws(() => parseRate('fast'), /invalid rate limit/);
+});
+
+test('the burst passes, then callers get 429 with Retry-After', () => {
+  const limits = createRateLimits({ jobs: { ip: parseRate('2/min'), user: parseRate('1/min') } });
+  const mw = limits.ip('jobs');
+  assert.ok(hit(mw, { ip: '198.51.100.1' }).passed);
+  assert.ok(hit(mw, { ip: '198.51.100.1' }).passed);
+  const limited = hit(mw, { ip: '198.51.100.1' });
+  assert.equal(limited.passed, false);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, 'rate_limited');
+  assert.equal(limited.body.scope, 'ip');
+  assert.equal(limited.headers['Retry-After'], '30');
+  // Another address has its own bucket.
+  assert.ok(hit(mw, { ip: '198.51.100.2' }).passed);
+});
+
+test('user limits key on the authenticated user and skip anonymous requests', () => {
+  const limits = createRateLimits({ jobs: { ip: parseRate('9/min'), user: parseRate('1/min') } });
+  const mw = limits.user('jobs');
+  assert.ok(hit(mw, { user: { id: 'u1' } }).passed);
+  assert.equal(hit(mw, { user: { id: 'u1' } }).status, 429);
+  assert.ok(hit(mw, { user: { id: 'u2' } }).passed);
+  assert.ok(hit(mw, {}).passed);
+});
+
+test('unknown limit names fail at startup', () => {
+  assert.throws(() => createRateLimits({}).ip('nope'), /no ip rate limit named nope/);
+});
@@ -0,0 +1,71 @@
+// render.test.js — Markdown, HTML and PDF report exports.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, renderHtml, renderPdf, renderReport } = require('../render');
+
+function report(overrides = {}) {
+  return {
+    schema_version: '1.3',
+    risk_score: 72,
+    risk_label: 'high',
+    confidence: 0.8,
+    tactics: [
+      { id: 'threats', name: 'Threats | intimidation', likelihood: 0.9, severity: 5, frequency: 2, contribution_pct: 70, examples: [] },
+      { id: 'gaslighting', name: 'Gaslighting', likelihood: 0.5, severity: 3, frequency: 1, contribution_pct: 30, examples: [] }
+    ],
+    receipts: [
+      { quote: "I'll make you pay | you'll see", category: 'threats', severity: 5, message_index: 3, verified: true },
+      { quote: 'That never happened', category: 'gaslighting', verified: false }
+    ],
+    kpis: { emotional_stability: 40 },
+    input: { source: 'text', num_images: 0, num_messages: 6 },
+    grounding: { verified: 1, total: 2, ratio: 0.5 },
+    safety: {
+      level: 'urgent',
+      triggers: [{ type: 'phrase', level: 'urgent', category: 'violence', evidence: [{ quote: 'I know where you live | tonight' }] }],
+      resources: [{ name: 'Emergency services', phone: '911' }]
+    },
+    narrative_md: '📑 Report\nSummary text',
+    ...overrides
+  };
+}
+
+test('Markdown opens escalated reports with a Safety section and escapes table pipes', () => {
+  const md = renderMarkdown(report(), { reportId: 'r1', createdAt: '2024-06-01T10:00:00Z' });
+  assert.match(md, /^# Toxella Manipulation Report\n\nReport: `r1` · 2024-06-01\n\n## Safety\n\n\*\*URGENT\*\* — /);
+  assert.ok(md.indexOf('## Safety') < md.indexOf('## Scores'));
+  assert.match(md, /^- violence: danger phrase$/m);
+  assert.match(md, /^ {2}> I know where you live \\\| tonight$/m);
+  assert.match(md, /^- Emergency services — 911$/m);
+  assert.match(md, /^\| Threats \\\| intimidation \| 90% \| 5\/5 \| 2 \| 70% \|$/m);
+  assert.match(md, /^> — \(unverified\)$/m);
+  assert.match(md, /- Messages analyzed: 6/);
+});
+
+test('Markdown leaves the Safety section out when nothing escalated', () => {
+  const md = renderMarkdown(report({ safety: { level: 'none', triggers: [], resources: [] } }));
+  assert.doesNotMatch(md, /## Safety/);
+  assert.doesNotMatch(renderMarkdown(report({ safety: null })), /## Safety/);
+});
+
+test('HTML escapes quotes, names and narrative text', () => {
+  const html = renderHtml(report({
+    receipts: [{ quote: '<script>alert("x")</script>', category: 'threats' }],
+    narrative_md: '<img src=x onerror=alert(1)>'
+  }));
+  assert.doesNotMatch(html, /<script>|<img /);
+  assert.match(html, /&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;/);
+  assert.match(html, /<pre>&lt;img src=x onerror=alert\(1\)&gt;<\/pre>/);
+  assert.match(html, /<section class="safety">/);
+});
+
+test('PDF exports render to a PDF document', async () => {
+  const pdf = await renderPdf(report(), { reportId: 'r1' });
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 4).toString('latin1'), '%PDF');
+  const { contentType, body } = await renderReport(report(), 'pdf');
+  assert.equal(contentType, 'application/pdf');
+  assert.equal(body.subarray(0, 4).toString('latin1'), '%PDF');
+  await assert.rejects(renderReport(report(), 'docx'), /unsupported format/);
+});
@@ -0,0 +1,61 @@
+// reportVersions.test.js — upgrading stored reports to the current schema.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upgradeReport, detectVersion, CURRENT_VERSION } = require('../reportVersions');
+const { listContacts } = require('../contacts');
+
+const current = {
+  schema_version: CURRENT_VERSION, risk_score: 40, risk_label: 'medium', confidence: 0.7,
+  tactics: [], receipts: [], kpis: {}, narrative_md: null,
+  input: { source: 'text', num_images: 0, num_messages: 3 }
+};
+
+test('stored versions are detected, including unversioned drafts', () => {
+  assert.equal(detectVersion({ analysis: { risk_score: 10 } }), '0.1');
+  assert.equal(detectVersion({ risk_score: 10, tactics: [] }), '0.2');
+  assert.equal(detectVersion({ schema_version: '1.1' }), '1.1');
+});
+
+test('the original draft schema upgrades step by step to the current one', () => {
+  const { report, from, unsupported } = upgradeReport({ analysis: { risk_score: 71.6, risk_bucket: 'HIGH', confidence: 0.5, summary: 'x' } });
+  assert.equal(from, '0.1');
+  assert.equal(unsupported, undefined);
+  assert.equal(report.schema_version, CURRENT_VERSION);
+  assert.equal(report.risk_score, 72);
+  assert.equal(report.risk_label, 'high');
+  assert.equal(report.narrative_md, 'x');
+  assert.deepEqual(report.grounding, { ratio: null, verified: 0, total: 0 });
+  assert.equal(report.redaction, null);
+  assert.equal(report.safety, null);
+});
+
+test('current reports pass through unchanged', () => {
+  const { report, from } = upgradeReport(current);
+  assert.equal(report, current);
+  assert.equal(from, CURRENT_VERSION);
+});
+
+test('an unknown or newer version comes back untouched and flagged instead of throwing', () => {
+  const future = { ...current, schema_version: '9.0' };
+  const { report, from, unsupported } = upgradeReport(future);
+  assert.equal(report, future);
+  assert.equal(from, '9.0');
+  assert.equal(unsupported, true);
+});
+
+test('contact listings skip reports they cannot read', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const contacts = listContacts([
+      { reportId: 'r1', contactId: 'c1', createdAt: '2024-01-01T00:00:00Z', json: current },
+      { reportId: 'r2', contactId: 'c1', createdAt: '2024-02-01T00:00:00Z', json: { ...current, schema_version: '9.0' } }
+    ]);
+    assert.equal(contacts.length, 1);
+    assert.equal(contacts[0].reports, 1);
+    assert.equal(contacts[0].last_risk_score, 40);
+  } finally {
+    console.warn = warn;
+  }
+});
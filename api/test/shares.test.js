@@ -0,0 +1,56 @@
+// shares.test.js — share links: creation, opening, revocation and the access log.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Firestore } = require('@google-cloud/firestore');
+const { createMemoryStore } = require('../../shared/backends/memoryStore');
+const { createShares, ShareError } = require('../shares');
+
+function setup() {
+  const firestore = createMemoryStore({ Timestamp: Firestore.Timestamp });
+  return createShares(firestore);
+}
+const isShareError = (status, code) => e => e instanceof ShareError && e.status === status && e.code === code;
+
+test('a link opens its report and every open is logged for the owner', async () => {
+  const shares = setup();
+  const { token, share } = await shares.create({ reportId: 'r1', userId: 'u1' });
+  assert.equal((await shares.open(token, { format: 'html', ip: '203.0.113.7', userAgent: 'x' })).reportId, 'r1');
+  const log = await shares.accessLog(share.shareId, { userId: 'u1', reportId: 'r1' });
+  assert.deepEqual(log.map(a => [a.format, a.ip]), [['html', '203.0.113.7']]);
+  assert.equal((await shares.list('r1', 'u1'))[0].accessCount, 1);
+});
+
+test('the share id is not the token', async () => {
+  const shares = setup();
+  const { token, share } = await shares.create({ reportId: 'r1', userId: 'u1' });
+  assert.notEqual(share.shareId, token);
+  await assert.rejects(shares.open(share.shareId, {}), isShareError(404, 'not_found'));
+});
+
+test('the access log and revocation are only reachable through the share\'s own report', async () => {
+  const shares = setup();
+  const { share } = await shares.create({ reportId: 'r1', userId: 'u1' });
+  await assert.rejects(shares.accessLog(share.shareId, { userId: 'u1', reportId: 'r2' }), isShareError(404, 'not_found'));
+  await assert.rejects(shares.accessLog(share.shareId, { userId: 'u2', reportId: 'r1' }), isShareError(404, 'not_found'));
+  await assert.rejects(shares.revoke(share.shareId, { userId: 'u1', reportId: 'r2' }), isShareError(404, 'not_found'));
+  assert.equal((await shares.list('r1', 'u1'))[0].revokedAt, null);
+});
+
+test('revoked and expired links stop working', async () => {
+  const shares = setup();
+  const a = await shares.create({ reportId: 'r1', userId: 'u1' });
+  const revoked = await shares.revoke(a.share.shareId, { userId: 'u1', reportId: 'r1' });
+  assert.ok(revoked.revokedAt);
+  await assert.rejects(shares.open(a.token, {}), isShareError(410, 'share_revoked'));
+
+  const b = await shares.create({ reportId: 'r1', userId: 'u1', ttlHours: 0.0000001 });
+  await new Promise(r => setTimeout(r, 5));
+  await assert.rejects(shares.open(b.token, {}), isShareError(410, 'share_expired'));
+});
+
+test('ttlHours is bounded', async () => {
+  const shares = setup();
+  await assert.rejects(shares.create({ reportId: 'r1', userId: 'u1', ttlHours: 0 }), e => e.status === 400);
+  await assert.rejects(shares.create({ reportId: 'r1', userId: 'u1', ttlHours: 100000 }), e => e.status === 400);
+});
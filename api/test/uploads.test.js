@@ -0,0 +1,96 @@
+// uploads.test.js — upload request parsing, magic-byte sniffing and upload verification.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUploads, parseUploadRequest, sniffImageType, UploadError, MAX_UPLOAD_BYTES } = require('../uploads');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(12)]);
+const HEIC = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic'), Buffer.alloc(4)]);
+
+// In-memory stand-in for the blob store: path -> Buffer.
+function fakeBlobs(objects) {
+  return {
+    async stat(p) { return objects[p] ? { size: objects[p].length } : null; },
+    async read(p, { start, end }) { return objects[p].subarray(start, end + 1); },
+    async signedUploadUrl(p, { contentType }) { return { url: `https://blobs.test/${p}`, headers: { 'Content-Type': contentType } }; }
+  };
+}
+
+function rejectsWith(promise, reasons) {
+  return assert.rejects(promise, e => {
+    assert.ok(e instanceof UploadError);
+    assert.deepEqual(e.files.map(f => f.reason), reasons);
+    return true;
+  });
+}
+
+test('image types are sniffed from magic bytes, not the declared type', () => {
+  assert.equal(sniffImageType(PNG), 'image/png');
+  assert.equal(sniffImageType(JPEG), 'image/jpeg');
+  assert.equal(sniffImageType(HEIC), 'image/heic');
+  assert.equal(sniffImageType(Buffer.from('<html><body>hi</body></html>')), null);
+  assert.equal(sniffImageType(Buffer.from([0xff, 0xd8])), null);
+});
+
+test('upload requests are normalized and validated', () => {
+  assert.deepEqual(parseUploadRequest({ count: 2 }), [
+    { contentType: 'image/jpeg', size: null },
+    { contentType: 'image/jpeg', size: null }
+  ]);
+  assert.deepEqual(parseUploadRequest({ files: [{ contentType: 'IMAGE/PNG', size: 10 }] }), [{ contentType: 'image/png', size: 10 }]);
+  assert.equal(parseUploadRequest({ count: 0 }), null);
+  assert.equal(parseUploadRequest({ files: 'x' }), null);
+
+  assert.throws(() => parseUploadRequest({ files: [
+    { contentType: 'image/gif', size: 10 },
+    { contentType: 'image/png' },
+    { contentType: 'image/png', size: MAX_UPLOAD_BYTES + 1 }
+  ] }), e => e.files.map(f => f.reason).join() === 'unsupported_type,size_required,too_large');
+  assert.throws(() => parseUploadRequest({ count: 5 }, { maxFiles: 4 }), UploadError);
+  assert.throws(() => parseUploadRequest({ files: [
+    { contentType: 'text/plain', size: 10 },
+    { contentType: 'image/png', size: 10 }
+  ] }), e => e.files[0].reason === 'one_export_per_job');
+});
+
+test('verified uploads report their sniffed type and size', async () => {
+  const uploads = createUploads(fakeBlobs({ 'uploads/j1/0.png': PNG, 'uploads/j1/1.jpg': JPEG }));
+  assert.deepEqual(await uploads.verifyUploads('j1', [{ path: 'uploads/j1/0.png' }, { path: 'uploads/j1/1.jpg' }]), [
+    { path: 'uploads/j1/0.png', size: PNG.length, mime: 'image/png' },
+    { path: 'uploads/j1/1.jpg', size: JPEG.length, mime: 'image/jpeg' }
+  ]);
+});
+
+test('uploads outside the job, missing, duplicated or not images are rejected', async () => {
+  const uploads = createUploads(fakeBlobs({
+    'uploads/j1/0.png': PNG,
+    'uploads/j1/1.png': Buffer.from('not really a png at all'),
+    'uploads/j2/0.png': PNG
+  }));
+  await rejectsWith(uploads.verifyUploads('j1', [
+    { path: 'uploads/j2/0.png' },
+    { path: 'uploads/j1/../j2/0.png' },
+    { path: 'uploads/j1/0.png' },
+    { path: 'uploads/j1/0.png' },
+    { path: 'uploads/j1/1.png' },
+    { path: 'uploads/j1/2.png' }
+  ]), ['bad_path', 'bad_path', 'duplicate', 'not_an_image', 'not_found']);
+});
+
+test('exports must be text and use an export extension', async () => {
+  const uploads = createUploads(fakeBlobs({
+    'uploads/j1/0.txt': Buffer.from('1/2/24, 10:00 - Sam: hi\n'),
+    'uploads/j2/0.txt': Buffer.from([0x68, 0x69, 0, 0x00]),
+    'uploads/j3/0.png': PNG
+  }));
+  assert.equal((await uploads.verifyUploads('j1', [{ path: 'uploads/j1/0.txt' }], { kind: 'export' }))[0].mime, 'text/plain');
+  await rejectsWith(uploads.verifyUploads('j2', [{ path: 'uploads/j2/0.txt' }], { kind: 'export' }), ['not_text']);
+  await rejectsWith(uploads.verifyUploads('j3', [{ path: 'uploads/j3/0.png' }], { kind: 'export' }), ['bad_path']);
+});
+
+test('signed upload URLs follow the upload path layout', async () => {
+  const uploads = createUploads(fakeBlobs({}));
+  const urls = await uploads.buildSignedUploadUrls('j1', [{ contentType: 'image/heic', size: 100 }, { contentType: 'image/jpeg', size: null }]);
+  assert.deepEqual(urls.map(u => [u.path, u.maxBytes]), [['uploads/j1/0.heic', 100], ['uploads/j1/1.jpg', MAX_UPLOAD_BYTES]]);
+});
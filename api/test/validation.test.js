@@ -0,0 +1,59 @@
+// validation.test.js — body shape checks and body-parser error mapping.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bodyShape, bodyErrors } = require('../validation');
+
+// Runs a middleware against a body; -> { passed, status, body, req }.
+function run(mw, body) {
+  const out = { passed: false, status: 200, body: null };
+  const req = { body };
+  const res = {
+    status(s) { out.status = s; return res; },
+    json(b) { out.body = b; return res; }
+  };
+  mw(req, res, () => { out.passed = true; });
+  return { ...out, req };
+}
+
+test('bodies with only allowed fields pass, and a missing body counts as {}', () => {
+  assert.ok(run(bodyShape(['files', 'count']), { count: 3 }).passed);
+  assert.ok(run(bodyShape([]), undefined).passed);
+});
+
+test('unknown fields are rejected', () => {
+  const out = run(bodyShape(['files']), { files: [], admin: true, plan: 'pro' });
+  assert.equal(out.status, 400);
+  assert.deepEqual(out.body, { error: 'invalid_body', detail: 'unknown field(s): admin' });
+});
+
+test('bodies that are not JSON objects are rejected', () => {
+  for (const body of [[1, 2], 'text', 7, null]) {
+    const out = run(bodyShape([]), body);
+    assert.equal(out.status, 400, JSON.stringify(body));
+    assert.deepEqual(out.body, { error: 'invalid_body', detail: 'body must be a JSON object' });
+  }
+});
+
+test('the legacy plan and userId fields are dropped instead of failing the body', () => {
+  const signed = run(bodyShape(['files', 'count']), { plan: 'free', count: 3 });
+  assert.ok(signed.passed);
+  assert.deepEqual(signed.req.body, { count: 3 });
+  const job = run(bodyShape(['source', 'text']), { source: 'text', text: 'hi', plan: 'pro', userId: 'someone-else' });
+  assert.ok(job.passed);
+  assert.deepEqual(job.req.body, { source: 'text', text: 'hi' });
+  assert.ok(run(bodyShape([]), { userId: 'u1' }).passed);
+});
+
+test('body-parser failures become JSON errors', () => {
+  const errorFor = type => {
+    const out = { status: null, body: null, next: null };
+    const res = { status(s) { out.status = s; return res; }, json(b) { out.body = b; return res; } };
+    bodyErrors({ type }, {}, res, e => { out.next = e; });
+    return out;
+  };
+  assert.equal(errorFor('entity.too.large').status, 413);
+  assert.deepEqual(errorFor('entity.parse.failed').body, { error: 'invalid_json' });
+  assert.equal(errorFor('charset.unsupported').status, 415);
+  assert.deepEqual(errorFor('other').next, { type: 'other' });
+});
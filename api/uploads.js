@@ -0,0 +1,164 @@
+// uploads.js — signed upload URLs and server-side verification of uploaded images.
+// ------------------------------------------------------------------------------
+// Clients declare each file's content type and size up front; the signed URL pins the
+// Content-Type and carries an x-goog-content-length-range header so GCS itself rejects
+// oversize bodies. At job creation every object is re-checked: it must live under the
+// job's prefix, exist, be within the size limit, and its magic bytes must match an
+// allowed image format (or, for chat exports, plain text / JSON).
+
+// -------------------------
+// Env
+// -------------------------
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES || String(15 * 1024 * 1024), 10);
+const MAX_EXPORT_BYTES = parseInt(process.env.MAX_EXPORT_BYTES || String(5 * 1024 * 1024), 10);
+const SIGNED_URL_TTL_MS = 15 * 60 * 1000; // 15 mins
+
+const CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/heic': 'heic',
+  'image/heif': 'heic',
+  'image/webp': 'webp'
+};
+// Chat exports (WhatsApp .txt, Telegram/iMessage JSON) for source:"export" jobs.
+const EXPORT_TYPES = {
+  'text/plain': 'txt',
+  'application/json': 'json'
+};
+const EXTENSIONS = { ...CONTENT_TYPES, ...EXPORT_TYPES };
+const SNIFF_BYTES = 32;
+
+// -------------------------
+// Errors
+// -------------------------
+class UploadError extends Error {
+  constructor(files) {
+    super('invalid_upload');
+    this.files = files; // [{ path?, index?, reason }]
+  }
+}
+
+// -------------------------
+// Helpers
+// -------------------------
+// Magic-byte sniffing. Returns a canonical mime type or null.
+function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  // ISO-BMFF: [size]["ftyp"][major brand]
+  if (buf.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buf.toString('ascii', 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  }
+  return null;
+}
+
+// Exports only need to look like text: no NUL bytes in the head.
+function sniffTextType(buf) {
+  if (!buf || !buf.length || buf.includes(0)) return null;
+  const head = buf.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  return head.startsWith('{') || head.startsWith('[') ? 'application/json' : 'text/plain';
+}
+
+function isExportType(contentType) {
+  return !!EXPORT_TYPES[contentType];
+}
+
+// Normalizes the request body into [{ contentType, size }].
+// Accepts { files:[{contentType,size}] } or the legacy { count } (JPEG, size unknown).
+// More than `maxFiles` entries is rejected before anything is allocated.
+function parseUploadRequest(body, { maxFiles = Infinity } = {}) {
+  const { files, count } = body || {};
+  if (files !== undefined && !Array.isArray(files)) return null;
+  if ((files?.length ?? count) > maxFiles) throw new UploadError([{ reason: 'too_many_files', max: maxFiles }]);
+  if (Array.isArray(files)) {
+    const bad = [];
+    const out = files.map((f, index) => {
+      const contentType = String(f?.contentType || '').toLowerCase();
+      const size = Number(f?.size);
+      if (!EXTENSIONS[contentType]) bad.push({ index, reason: 'unsupported_type' });
+      else if (!Number.isInteger(size) || size < 1) bad.push({ index, reason: 'size_required' });
+      else if (size > (isExportType(contentType) ? MAX_EXPORT_BYTES : MAX_UPLOAD_BYTES)) bad.push({ index, reason: 'too_large' });
+      return { contentType, size };
+    });
+    // One upload is either a set of screenshots or a single export file.
+    if (!bad.length && out.some(f => isExportType(f.contentType)) && out.length > 1) {
+      bad.push({ index: 1, reason: 'one_export_per_job' });
+    }
+    if (bad.length) throw new UploadError(bad);
+    return out;
+  }
+  if (count === undefined) return [{ contentType: 'image/jpeg', size: null }];
+  if (!Number.isInteger(count) || count < 1) return null;
+  return Array.from({ length: count }, () => ({ contentType: 'image/jpeg', size: null }));
+}
+
+function uploadPathRe(jobId, kind) {
+  const escaped = jobId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const exts = kind === 'export' ? 'txt|json' : 'jpg|png|heic|webp';
+  return new RegExp(`^uploads/${escaped}/\\d{1,3}\\.(?:${exts})$`);
+}
+
+// -------------------------
+// Factory
+// -------------------------
+// blobs: a blob store from shared/backends (GCS in production, the filesystem locally).
+function createUploads(blobs) {
+  // specs: [{ contentType, size|null }] -> [{ path, uploadUrl, contentType, maxBytes, headers }]
+  async function buildSignedUploadUrls(jobId, specs) {
+    const expires = Date.now() + SIGNED_URL_TTL_MS;
+    const urls = [];
+    for (const [i, spec] of specs.entries()) {
+      const path = `uploads/${jobId}/${i}.${EXTENSIONS[spec.contentType]}`;
+      const maxBytes = spec.size || MAX_UPLOAD_BYTES;
+      const { url, headers } = await blobs.signedUploadUrl(path, { contentType: spec.contentType, maxBytes, expires });
+      urls.push({ path, uploadUrl: url, contentType: spec.contentType, maxBytes, headers });
+    }
+    return urls;
+  }
+
+  // files: client-sent [{ path }]; kind: "image" | "export".
+  // Returns verified [{ path, size, mime }] or throws UploadError.
+  async function verifyUploads(jobId, files, { kind = 'image' } = {}) {
+    const re = uploadPathRe(jobId, kind);
+    const maxBytes = kind === 'export' ? MAX_EXPORT_BYTES : MAX_UPLOAD_BYTES;
+    const seen = new Set();
+    const results = await Promise.all(files.map(async (f, index) => {
+      const path = String(f?.path || '');
+      if (!re.test(path)) return { index, path, reason: 'bad_path' };
+      if (seen.has(path)) return { index, path, reason: 'duplicate' };
+      seen.add(path);
+
+      const meta = await blobs.stat(path);
+      if (!meta) return { index, path, reason: 'not_found' };
+      const size = meta.size;
+      if (!size) return { index, path, reason: 'empty' };
+      if (size > maxBytes) return { index, path, reason: 'too_large' };
+
+      const head = await blobs.read(path, { start: 0, end: SNIFF_BYTES - 1 });
+      const mime = kind === 'export' ? sniffTextType(head) : sniffImageType(head);
+      if (!mime) return { index, path, reason: kind === 'export' ? 'not_text' : 'not_an_image' };
+      return { ok: true, path, size, mime };
+    }));
+
+    const bad = results.filter(r => !r.ok);
+    if (bad.length) throw new UploadError(bad);
+    return results.map(({ path, size, mime }) => ({ path, size, mime }));
+  }
+
+  return { buildSignedUploadUrls, verifyUploads };
+}
+
+module.exports = {
+  createUploads,
+  parseUploadRequest,
+  sniffImageType,
+  isExportType,
+  UploadError,
+  CONTENT_TYPES,
+  EXPORT_TYPES,
+  MAX_UPLOAD_BYTES,
+  MAX_EXPORT_BYTES
+};
@@ -0,0 +1,49 @@
+// validation.js — request body shape checks shared by every route that takes a body.
+// -------------------------------------------------------------------------------
+// Field-level rules stay with their routes (checkJobInput, parseUploadRequest,
+// parseRedactionOptions, ...). This module enforces what is common to all of them: the body is
+// a JSON object of bounded size with no unexpected keys, and parser failures come back as
+// JSON errors instead of Express's HTML pages.
+
+// -------------------------
+// Env
+// -------------------------
+// Inline text jobs (MAX_INLINE_TEXT chars) are the largest legitimate bodies.
+const MAX_BODY_BYTES = process.env.MAX_BODY_BYTES || '2mb';
+
+// Fields older clients still send. The server derives both (userId from the token, plan from
+// entitlements), so they are dropped from every body instead of failing it.
+const LEGACY_FIELDS = ['plan', 'userId'];
+
+// -------------------------
+// Middleware
+// -------------------------
+// Rejects anything but a JSON object whose keys are all in `allowed`. An empty body is
+// treated as {}; LEGACY_FIELDS are removed before the check.
+function bodyShape(allowed) {
+  const keys = new Set(allowed);
+  return (req, res, next) => {
+    const body = req.body === undefined ? {} : req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({ error: 'invalid_body', detail: 'body must be a JSON object' });
+    }
+    for (const k of LEGACY_FIELDS) if (!keys.has(k)) delete body[k];
+    const unknown = Object.keys(body).filter(k => !keys.has(k));
+    if (unknown.length) {
+      return res.status(400).json({ error: 'invalid_body', detail: `unknown field(s): ${unknown.slice(0, 5).join(', ')}` });
+    }
+    return next();
+  };
+}
+
+// Error handler for body-parser failures (malformed JSON, oversize, wrong charset).
+function bodyErrors(err, _req, res, next) {
+  if (err?.type === 'entity.too.large') return res.status(413).json({ error: 'payload_too_large', limit: MAX_BODY_BYTES });
+  if (err?.type === 'entity.parse.failed') return res.status(400).json({ error: 'invalid_json' });
+  if (err?.type === 'charset.unsupported' || err?.type === 'encoding.unsupported') {
+    return res.status(415).json({ error: 'unsupported_encoding' });
+  }
+  return next(err);
+}
+
+module.exports = { bodyShape, bodyErrors, MAX_BODY_BYTES, LEGACY_FIELDS };
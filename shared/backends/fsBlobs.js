@@ -0,0 +1,104 @@
+// fsBlobs.js — filesystem blob store with signed upload URLs (local development).
+// ------------------------------------------------------------------------------
+// Same interface as the GCS adapter (gcp.js). Objects are files under `dir`; upload URLs
+// point at `<baseUrl>/_local/blobs/<path>` and carry an HMAC signature and expiry, like a
+// v4 signed URL. The API mounts `handleUpload` at that route in local mode.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROUTE = '/_local/blobs/';
+
+function createFsBlobs({ dir, baseUrl }) {
+  const secret = crypto.randomBytes(32);
+
+  function fileFor(objectPath) {
+    const full = path.resolve(dir, objectPath);
+    if (!full.startsWith(path.resolve(dir) + path.sep)) throw new Error(`invalid object path: ${objectPath}`);
+    return full;
+  }
+
+  function sign(objectPath, contentType, maxBytes, expires) {
+    return crypto.createHmac('sha256', secret).update([objectPath, contentType, maxBytes, expires].join('\n')).digest('hex');
+  }
+
+  // -> { url, headers } — the client PUTs the body with exactly these headers.
+  async function signedUploadUrl(objectPath, { contentType, maxBytes, expires }) {
+    const qs = new URLSearchParams({ contentType, maxBytes: String(maxBytes), expires: String(expires) });
+    qs.set('sig', sign(objectPath, contentType, maxBytes, expires));
+    return { url: `${baseUrl}${ROUTE}${objectPath}?${qs}`, headers: { 'Content-Type': contentType } };
+  }
+
+  // -> { size } or null when the object does not exist
+  async function stat(objectPath) {
+    try {
+      const s = await fs.promises.stat(fileFor(objectPath));
+      return { size: s.size };
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  // Optional byte range, inclusive like GCS: { start, end }.
+  async function read(objectPath, range) {
+    const buf = await fs.promises.readFile(fileFor(objectPath));
+    return range ? buf.subarray(range.start, range.end + 1) : buf;
+  }
+
+  async function remove(objectPath) {
+    await fs.promises.rm(fileFor(objectPath), { force: true });
+  }
+
+  async function list(prefix) {
+    const out = [];
+    const walk = async rel => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(dir, rel), { withFileTypes: true });
+      } catch (e) {
+        if (e.code === 'ENOENT') return;
+        throw e;
+      }
+      for (const e of entries) {
+        const p = rel ? `${rel}/${e.name}` : e.name;
+        if (e.isDirectory()) await walk(p);
+        else if (p.startsWith(prefix)) out.push(p);
+      }
+    };
+    await walk(prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '');
+    return out;
+  }
+
+  // Node/Express handler for PUT <ROUTE><path>?contentType&maxBytes&expires&sig
+  async function handleUpload(req, res) {
+    const url = new URL(req.originalUrl || req.url, 'http://local');
+    const objectPath = decodeURIComponent(url.pathname.slice(ROUTE.length));
+    const q = Object.fromEntries(url.searchParams);
+    const maxBytes = Number(q.maxBytes);
+    const expected = sign(objectPath, q.contentType, q.maxBytes, q.expires);
+    const fail = (status, error) => res.status(status).json({ error });
+    if (req.method !== 'PUT') return fail(405, 'method_not_allowed');
+    if (!q.sig || q.sig.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(q.sig), Buffer.from(expected))) return fail(403, 'bad_signature');
+    if (Number(q.expires) < Date.now()) return fail(403, 'expired');
+    if ((req.get('content-type') || '').split(';')[0].trim() !== q.contentType) return fail(400, 'content_type_mismatch');
+
+    const chunks = [];
+    let size = 0;
+    for await (const c of req) {
+      size += c.length;
+      if (size > maxBytes) return fail(400, 'too_large');
+      chunks.push(c);
+    }
+    const file = fileFor(objectPath);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, Buffer.concat(chunks));
+    return res.status(200).end();
+  }
+
+  return { signedUploadUrl, stat, read, remove, list, handleUpload, route: ROUTE };
+}
+
+module.exports = { createFsBlobs };
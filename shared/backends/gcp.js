@@ -0,0 +1,69 @@
+// gcp.js — Cloud Storage blob store and Pub/Sub queue adapters.
+// ------------------------------------------------------------
+// Thin wrappers so route handlers and the worker don't call the SDKs directly. The SDK
+// clients are passed in (each service installs its own), keeping shared/ dependency-free.
+// Firestore needs no adapter: the local store (memoryStore.js) implements its API.
+
+// -------------------------
+// Blobs
+// -------------------------
+function createGcsBlobs(storage, bucketName) {
+  function file(objectPath) {
+    if (!bucketName) throw new Error('Missing UPLOAD_BUCKET environment variable');
+    return storage.bucket(bucketName).file(objectPath);
+  }
+
+  // V4 signed PUT. GCS itself enforces the Content-Type and the size range header.
+  async function signedUploadUrl(objectPath, { contentType, maxBytes, expires }) {
+    const range = `0,${maxBytes}`;
+    const [url] = await file(objectPath).getSignedUrl({
+      version: 'v4',
+      action: 'write',
+      expires,
+      // Important: the browser PUT must match this Content-Type and send the range header exactly
+      contentType,
+      extensionHeaders: { 'x-goog-content-length-range': range }
+    });
+    return { url, headers: { 'Content-Type': contentType, 'x-goog-content-length-range': range } };
+  }
+
+  async function stat(objectPath) {
+    try {
+      const [meta] = await file(objectPath).getMetadata();
+      return { size: Number(meta.size) };
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  }
+
+  async function read(objectPath, range) {
+    const [buf] = await file(objectPath).download(range ? { start: range.start, end: range.end } : {});
+    return buf;
+  }
+
+  async function remove(objectPath) {
+    await file(objectPath).delete({ ignoreNotFound: true });
+  }
+
+  async function list(prefix) {
+    if (!bucketName) throw new Error('Missing UPLOAD_BUCKET environment variable');
+    const [files] = await storage.bucket(bucketName).getFiles({ prefix });
+    return files.map(f => f.name);
+  }
+
+  return { signedUploadUrl, stat, read, remove, list };
+}
+
+// -------------------------
+// Queue
+// -------------------------
+// Messages are JSON; the worker's push endpoint decodes them.
+function createPubSubQueue(pubsub, topic) {
+  async function publish(message) {
+    await pubsub.topic(topic).publishMessage({ data: Buffer.from(JSON.stringify(message)) });
+  }
+  return { publish };
+}
+
+module.exports = { createGcsBlobs, createPubSubQueue };
@@ -0,0 +1,40 @@
+// index.js — storage and queue backends shared by the API and the worker.
+// ----------------------------------------------------------------------
+// BACKEND=gcp (default): Firestore, Cloud Storage and Pub/Sub (see gcp.js).
+// BACKEND=local: in-memory store, filesystem blobs and an in-process queue. The local
+// backends are process-wide singletons, so an API and a worker loaded in the same process
+// (api/dev.js) share one store, one blob directory and one queue.
+
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFsBlobs } = require('./fsBlobs');
+const { createLocalQueue } = require('./localQueue');
+const { createGcsBlobs, createPubSubQueue } = require('./gcp');
+
+const BACKEND = process.env.BACKEND || 'gcp';
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || path.join(os.tmpdir(), 'toxella-local');
+// Where the API serves local upload URLs.
+const LOCAL_BLOB_BASE_URL = process.env.LOCAL_BLOB_BASE_URL || `http://localhost:${process.env.PORT || 8080}`;
+
+let local = null;
+
+// Timestamp: Firestore.Timestamp from the caller's SDK.
+function localBackends({ Timestamp }) {
+  if (!local) {
+    local = {
+      firestore: createMemoryStore({ Timestamp }),
+      blobs: createFsBlobs({ dir: path.join(LOCAL_DATA_DIR, 'blobs'), baseUrl: LOCAL_BLOB_BASE_URL }),
+      queue: createLocalQueue()
+    };
+  }
+  return local;
+}
+
+module.exports = {
+  BACKEND,
+  LOCAL_DATA_DIR,
+  localBackends,
+  createGcsBlobs,
+  createPubSubQueue
+};
@@ -0,0 +1,56 @@
+// localQueue.js — in-process job queue (local development).
+// --------------------------------------------------------
+// Stands in for the Pub/Sub push subscription: `publish` hands the message to the
+// subscribed handler on the next tick. The handler returns an HTTP-style status, and
+// anything other than 2xx is redelivered with exponential backoff, as Pub/Sub would.
+//
+// The handler may instead return { status, retryAt }: the job's own schedule (backoff or
+// lease expiry, epoch ms). The redelivery is then timed for retryAt and doesn't count toward
+// MAX_DELIVERIES, so the worker's job state machine, not the queue, decides when a job gives
+// up (dead_letter). MAX_DELIVERIES only bounds failures that come without a schedule.
+
+const RETRY_BASE_MS = parseInt(process.env.LOCAL_QUEUE_RETRY_MS || '1000', 10);
+const MAX_DELIVERIES = parseInt(process.env.LOCAL_QUEUE_MAX_DELIVERIES || '6', 10);
+
+function createLocalQueue() {
+  let handler = null;
+  const pending = [];
+
+  function deliver(message, attempt = 1) {
+    setImmediate(async () => {
+      let result;
+      try {
+        result = await handler(message);
+      } catch (e) {
+        console.error('local queue handler error', e);
+        result = 500;
+      }
+      const { status, retryAt = null } = typeof result === 'object' && result ? result : { status: result };
+      if (status >= 200 && status < 300) return;
+      if (retryAt) {
+        setTimeout(() => deliver(message, attempt), Math.max(0, retryAt - Date.now())).unref();
+        return;
+      }
+      if (attempt >= MAX_DELIVERIES) {
+        console.warn(`local queue: giving up on ${JSON.stringify(message)} after ${attempt} deliveries`);
+        return;
+      }
+      setTimeout(() => deliver(message, attempt + 1), RETRY_BASE_MS * 2 ** (attempt - 1)).unref();
+    });
+  }
+
+  async function publish(message) {
+    if (handler) deliver(message);
+    else pending.push(message); // worker not wired up yet
+  }
+
+  // handler(message) -> HTTP status, or { status, retryAt }
+  function subscribe(fn) {
+    handler = fn;
+    pending.splice(0).forEach(m => deliver(m));
+  }
+
+  return { publish, subscribe };
+}
+
+module.exports = { createLocalQueue };
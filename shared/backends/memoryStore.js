@@ -0,0 +1,232 @@
+// memoryStore.js — in-memory stand-in for the Firestore client (local development).
+// --------------------------------------------------------------------------------
+// Implements the subset of the Firestore API the services use: collection/doc refs,
+// get/set/update/delete/add, where(==,<,<=,>,>=,in) / orderBy / limit / startAfter queries,
+// batches, transactions (serialized) and recursiveDelete. Writes accept the SDK's
+// FieldValue sentinels (serverTimestamp, increment, delete), recognized by `methodName`.
+//
+// `Timestamp` is injected (Firestore.Timestamp) so stored times behave like real ones;
+// this module has no dependencies of its own. Data lives for the life of the process.
+
+const crypto = require('crypto');
+
+// -------------------------
+// Values
+// -------------------------
+function sentinel(v) {
+  return v && typeof v === 'object' && typeof v.methodName === 'string' && v.methodName.startsWith('FieldValue.')
+    ? v.methodName.slice('FieldValue.'.length)
+    : null;
+}
+
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v && typeof v === 'object' && v.constructor === Object) {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  }
+  return v; // Timestamps, Buffers and scalars are stored as-is
+}
+
+// Applies `patch` onto `base` (both plain objects), resolving sentinels.
+function applyPatch(base, patch, Timestamp) {
+  const out = clone(base || {});
+  for (const [k, v] of Object.entries(patch)) {
+    const s = sentinel(v);
+    if (s === 'delete') delete out[k];
+    else if (s === 'serverTimestamp') out[k] = Timestamp.now();
+    else if (s === 'increment') out[k] = (Number(out[k]) || 0) + v.operand;
+    else out[k] = clone(v);
+  }
+  return out;
+}
+
+function comparable(v) {
+  if (v && typeof v.toMillis === 'function') return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  return v;
+}
+
+function compare(a, b) {
+  const x = comparable(a), y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+const OPS = {
+  '==': (a, b) => compare(a, b) === 0,
+  '<': (a, b) => a !== undefined && a !== null && compare(a, b) < 0,
+  '<=': (a, b) => a !== undefined && a !== null && compare(a, b) <= 0,
+  '>': (a, b) => a !== undefined && a !== null && compare(a, b) > 0,
+  '>=': (a, b) => a !== undefined && a !== null && compare(a, b) >= 0,
+  in: (a, b) => b.some(x => compare(a, x) === 0)
+};
+
+function notFound(path) {
+  return Object.assign(new Error(`5 NOT_FOUND: No document to update: ${path}`), { code: 5 });
+}
+
+// -------------------------
+// Snapshots
+// -------------------------
+function docSnapshot(ref, data) {
+  return {
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : clone(data)),
+    get: field => (data === undefined ? undefined : clone(data[field]))
+  };
+}
+
+function querySnapshot(docs) {
+  return { docs, size: docs.length, empty: !docs.length, forEach: fn => docs.forEach(fn) };
+}
+
+// -------------------------
+// Factory
+// -------------------------
+function createMemoryStore({ Timestamp }) {
+  const docs = new Map(); // full path -> data
+
+  function collectionRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      doc: id => docRef(`${path}/${id || crypto.randomBytes(10).toString('hex')}`),
+      add: async data => {
+        const ref = docRef(`${path}/${crypto.randomBytes(10).toString('hex')}`);
+        await ref.set(data);
+        return ref;
+      },
+      ...queryMethods({ path, filters: [], order: [], max: Infinity, after: null })
+    };
+  }
+
+  function docRef(path) {
+    const ref = {
+      id: path.split('/').pop(),
+      path,
+      collection: name => collectionRef(`${path}/${name}`),
+      get: async () => docSnapshot(ref, docs.get(path)),
+      set: async (data, opts) => write(path, data, opts),
+      update: async data => {
+        if (!docs.has(path)) throw notFound(path);
+        write(path, data, { merge: true });
+      },
+      delete: async () => { docs.delete(path); }
+    };
+    return ref;
+  }
+
+  function write(path, data, opts = {}) {
+    docs.set(path, applyPatch(opts.merge ? docs.get(path) : {}, data, Timestamp));
+  }
+
+  function queryMethods(q) {
+    const next = change => queryMethods({ ...q, ...change });
+    return {
+      where: (field, op, value) => {
+        if (!OPS[op]) throw new Error(`memoryStore: unsupported operator ${op}`);
+        return next({ filters: [...q.filters, { field: String(field), op, value }] });
+      },
+      orderBy: (field, dir = 'asc') => next({ order: [...q.order, { field: String(field), dir }] }),
+      limit: n => next({ max: n }),
+      startAfter: (...values) => next({ after: values }),
+      get: async () => querySnapshot(runQuery(q))
+    };
+  }
+
+  function runQuery({ path, filters, order, max, after }) {
+    const depth = path.split('/').length + 1;
+    const fieldOf = (id, data, field) => (field === '__name__' ? id : data[field]);
+    let rows = [...docs.entries()]
+      .filter(([p]) => p.startsWith(`${path}/`) && p.split('/').length === depth)
+      .map(([p, data]) => ({ id: p.split('/').pop(), path: p, data }))
+      .filter(r => filters.every(f => OPS[f.op](fieldOf(r.id, r.data, f.field), f.value)));
+    const sortBy = order.length ? order : [{ field: '__name__', dir: 'asc' }];
+    const cmp = (a, b) => {
+      for (const o of sortBy) {
+        const c = compare(fieldOf(a.id, a.data, o.field), fieldOf(b.id, b.data, o.field));
+        if (c) return o.dir === 'desc' ? -c : c;
+      }
+      return 0;
+    };
+    rows.sort(cmp);
+    if (after) {
+      // startAfter(values...) or startAfter(snapshot)
+      const key = after[0]?.ref ? sortBy.map(o => fieldOf(after[0].id, after[0].data() || {}, o.field)) : after;
+      rows = rows.filter(r => {
+        for (const [i, o] of sortBy.entries()) {
+          if (i >= key.length) return false;
+          const c = compare(fieldOf(r.id, r.data, o.field), key[i]);
+          if (c) return o.dir === 'desc' ? c < 0 : c > 0;
+        }
+        return false;
+      });
+    }
+    return rows.slice(0, max).map(r => docSnapshot(docRef(r.path), r.data));
+  }
+
+  function batch() {
+    const ops = [];
+    const b = {
+      set: (ref, data, opts) => { ops.push(() => write(ref.path, data, opts)); return b; },
+      update: (ref, data) => {
+        ops.push(() => {
+          if (!docs.has(ref.path)) throw notFound(ref.path);
+          write(ref.path, data, { merge: true });
+        });
+        return b;
+      },
+      delete: ref => { ops.push(() => docs.delete(ref.path)); return b; },
+      commit: async () => {
+        // All-or-nothing: roll back if any write fails (e.g. update of a missing doc).
+        const snapshot = new Map(docs);
+        try {
+          ops.forEach(op => op());
+        } catch (e) {
+          docs.clear();
+          snapshot.forEach((v, k) => docs.set(k, v));
+          throw e;
+        }
+      }
+    };
+    return b;
+  }
+
+  // Transactions run one at a time, so reads inside one are always consistent.
+  let txChain = Promise.resolve();
+  function runTransaction(fn) {
+    const run = txChain.then(async () => {
+      const tx = batch();
+      const result = await fn({
+        get: refOrQuery => refOrQuery.get(),
+        set: (ref, data, opts) => { tx.set(ref, data, opts); },
+        update: (ref, data) => { tx.update(ref, data); },
+        delete: ref => { tx.delete(ref); }
+      });
+      await tx.commit();
+      return result;
+    });
+    txChain = run.catch(() => {});
+    return run;
+  }
+
+  async function recursiveDelete(ref) {
+    for (const p of [...docs.keys()]) {
+      if (p === ref.path || p.startsWith(`${ref.path}/`)) docs.delete(p);
+    }
+  }
+
+  return {
+    collection: name => collectionRef(name),
+    doc: path => docRef(path),
+    batch,
+    runTransaction,
+    recursiveDelete
+  };
+}
+
+module.exports = { createMemoryStore };
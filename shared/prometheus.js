@@ -0,0 +1,88 @@
+// prometheus.js — minimal Prometheus metrics registry (text exposition format 0.0.4).
+// ---------------------------------------------------------------------------------
+// Counters and histograms with labels, rendered for a `/metrics` scrape. Dependency-free
+// so both services can use it; values are per process (one Cloud Run instance).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(n => String(labels[n] ?? '')).join('\u0000');
+}
+
+function renderLabels(labelNames, key, extra = '') {
+  const values = key.split('\u0000');
+  const parts = labelNames.map((n, i) => `${n}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    const m = {
+      inc(labels, by = 1) {
+        const k = labelKey(labelNames, labels);
+        values.set(k, (values.get(k) || 0) + by);
+      },
+      render() {
+        const full = prefix + name;
+        const lines = [`# HELP ${full} ${help}`, `# TYPE ${full} counter`];
+        for (const [k, v] of values) lines.push(`${full}${renderLabels(labelNames, k)} ${v}`);
+        return lines.join('\n');
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { counts[], sum, count }
+    const m = {
+      observe(labels, value) {
+        const k = labelKey(labelNames, labels);
+        const s = series.get(k) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+        series.set(k, s);
+      },
+      render() {
+        const full = prefix + name;
+        const lines = [`# HELP ${full} ${help}`, `# TYPE ${full} histogram`];
+        for (const [k, s] of series) {
+          buckets.forEach((b, i) => lines.push(`${full}_bucket${renderLabels(labelNames, k, `le="${b}"`)} ${s.counts[i]}`));
+          lines.push(`${full}_bucket${renderLabels(labelNames, k, 'le="+Inf"')} ${s.count}`);
+          lines.push(`${full}_sum${renderLabels(labelNames, k)} ${s.sum}`);
+          lines.push(`${full}_count${renderLabels(labelNames, k)} ${s.count}`);
+        }
+        return lines.join('\n');
+      }
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function render() {
+    return metrics.map(m => m.render()).join('\n') + '\n';
+  }
+
+  return { counter, histogram, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+// Express handler for GET /metrics. With METRICS_TOKEN set, scrapes must send it as a bearer token.
+// Without one the endpoint is off (404): per-route traffic and cost are not for the public
+// listener. Local development (BACKEND=local) and METRICS_PUBLIC=true serve it unauthenticated.
+function metricsHandler(registry) {
+  const token = process.env.METRICS_TOKEN || '';
+  const open = process.env.METRICS_PUBLIC === 'true' || process.env.BACKEND === 'local';
+  if (!token && !open) console.warn('METRICS_TOKEN not set; GET /metrics is disabled');
+  return (req, res) => {
+    if (!token && !open) return res.status(404).end();
+    if (token && req.get('authorization') !== `Bearer ${token}`) return res.status(401).end();
+    res.type(registry.contentType).send(registry.render());
+  };
+}
+
+module.exports = { createRegistry, metricsHandler, DEFAULT_BUCKETS };
@@ -0,0 +1,173 @@
+// analysis.js — run the analysis provider over a transcript, chunking long ones (map-reduce).
+//
+// Inputs within the provider's token budget go out in one call, as before. Longer inputs are
+// split on line boundaries into overlapping chunks (the rendered transcript is one message per
+// line and keeps its global [n] numbers, so receipts still point at the right message). Each
+// chunk is analyzed without a narrative; the chunk reports are merged — strongest likelihood
+// kept, quotes deduplicated, frequencies recounted — normalized once more, and the narrative is
+// written from the merged result.
+
+const { normalizeReport, clamp } = require('./report');
+const { withRetry } = require('./errors');
+const { normalize } = require('./grounding');
+const { CHUNK_INSTRUCTIONS } = require('./prompt');
+
+// Rough chars-per-token for chat text; only used to size chunks, so it errs on the small side.
+const CHARS_PER_TOKEN = 4;
+// Lines repeated at the start of the next chunk so a tactic that spans the cut is seen whole.
+const CHUNK_OVERLAP_LINES = parseInt(process.env.CHUNK_OVERLAP_LINES || '4', 10);
+const MAX_RECEIPTS = 30;
+
+function estimateTokens(text){ return Math.ceil(String(text || '').length / CHARS_PER_TOKEN); }
+
+// ===== chunking =====
+// -> [{ text, tokens, lines: [first, last] }] covering every line, consecutive chunks sharing
+// up to `overlap` lines. A single line longer than the budget is cut into pieces first.
+function chunkLines(text, budgetTokens, overlap = CHUNK_OVERLAP_LINES){
+  const maxChars = Math.max(1, Math.floor(budgetTokens * CHARS_PER_TOKEN));
+  const lines = [];
+  for (const line of String(text || '').split('\n')) {
+    for (let i = 0; i < Math.max(1, line.length); i += maxChars) lines.push(line.slice(i, i + maxChars));
+  }
+  const chunks = [];
+  let start = 0;
+  while (start < lines.length) {
+    let end = start, chars = 0;
+    while (end < lines.length && (end === start || chars + lines[end].length + 1 <= maxChars)) {
+      chars += lines[end].length + 1;
+      end++;
+    }
+    const body = lines.slice(start, end).join('\n');
+    chunks.push({ text: body, tokens: estimateTokens(body), lines: [start, end - 1] });
+    if (end >= lines.length) break;
+    // Step back for the overlap, but always make progress.
+    start = Math.max(start + 1, end - overlap);
+  }
+  return chunks;
+}
+
+// ===== merging =====
+function quoteKey(s){ return normalize(s).s; }
+
+// Chunk reports (normalized) -> one raw report for normalizeReport. Likelihood and severity
+// keep the strongest chunk (combining them would let weak hits grow with transcript length);
+// examples and receipts are deduplicated by normalized quote (receipts also by message and
+// category), and frequency is recounted from the distinct examples so lines seen by two
+// overlapping chunks count once. It never drops below any single chunk's own count.
+function mergeReports(reports){
+  const tactics = new Map();
+  for (const r of reports) {
+    for (const t of r.tactics) {
+      const key = t.id === 'other' ? `other:${quoteKey(t.name)}` : t.id;
+      const m = tactics.get(key) || { id: t.id, name: t.name, likelihood: 0, severity: 1, frequency: 0, examples: new Map() };
+      m.likelihood = Math.max(m.likelihood, clamp(t.likelihood, 0, 1));
+      m.severity = Math.max(m.severity, t.severity);
+      m.frequency = Math.max(m.frequency, t.frequency);
+      for (const ex of t.examples) if (!m.examples.has(quoteKey(ex))) m.examples.set(quoteKey(ex), ex);
+      tactics.set(key, m);
+    }
+  }
+
+  const receipts = new Map();
+  for (const r of reports) {
+    for (const rc of r.receipts) {
+      if (!rc || typeof rc.quote !== 'string') continue;
+      // Overlapping chunks report the same message twice; distinct messages with the same words stay apart.
+      const key = `${rc.message_index ?? ''}|${rc.category}|${quoteKey(rc.quote)}`;
+      const prev = receipts.get(key);
+      if (!prev || (rc.severity || 0) > (prev.severity || 0)) receipts.set(key, rc);
+    }
+  }
+  // Keep the most severe receipts, then put them back in conversation order.
+  const kept = [...receipts.values()]
+    .sort((a, b) => (b.severity || 0) - (a.severity || 0))
+    .slice(0, MAX_RECEIPTS)
+    .sort((a, b) => (a.message_index ?? Infinity) - (b.message_index ?? Infinity));
+
+  const kpis = {};
+  for (const k of new Set(reports.flatMap(r => Object.keys(r.kpis || {})))) {
+    const vals = reports.map(r => Number(r.kpis?.[k])).filter(Number.isFinite);
+    if (vals.length) kpis[k] = Math.round(vals.reduce((a, b) => a + b, 0) / vals.length);
+  }
+
+  return {
+    confidence: reports.reduce((a, r) => a + r.confidence, 0) / (reports.length || 1),
+    tactics: [...tactics.values()]
+      .map(m => ({
+        id: m.id, name: m.name, likelihood: m.likelihood, severity: m.severity,
+        frequency: Math.max(m.frequency, m.examples.size),
+        examples: [...m.examples.values()]
+      }))
+      .sort((a, b) => b.likelihood - a.likelihood || b.severity - a.severity),
+    receipts: kept,
+    kpis,
+    narrative_md: null
+  };
+}
+
+function addUsage(total, usage){
+  if (!usage) return total;
+  for (const k of ['prompt_tokens', 'completion_tokens', 'total_tokens']) {
+    if (Number.isFinite(usage[k])) total[k] = (total[k] || 0) + usage[k];
+  }
+  return total;
+}
+
+/**
+ * @param provider      see providers/index.js
+ * @param text          rendered transcript or flat text
+ * @param messages      number of transcript messages (for the narrative)
+ * @param instructions  per-job override; replaces the default and chunk prompts
+ * @param outputLanguage  language tag the tactic names, narrative and replies are written in
+ * @param onChunk       async (done, total) progress callback, multi-chunk runs only
+ * @returns { report, meta: { chunks, estimatedTokens, chunkTokens, overlapLines, calls, usage } }
+ */
+async function runAnalysis({ provider, text, messages = 0, instructions, outputLanguage, label = 'analyze', onChunk }){
+  const budget = provider.maxInputTokens || Infinity;
+  const estimatedTokens = estimateTokens(text);
+  const usage = {};
+  const meta = (chunks, calls) => ({
+    chunks: chunks.length,
+    estimatedTokens,
+    chunkTokens: chunks.map(c => c.tokens),
+    overlapLines: chunks.length > 1 ? CHUNK_OVERLAP_LINES : 0,
+    calls,
+    usage: Object.keys(usage).length ? usage : null
+  });
+
+  if (estimatedTokens <= budget) {
+    const { raw, usage: u } = await withRetry(() => provider.analyze({ text, instructions, outputLanguage }), { label });
+    addUsage(usage, u);
+    return { report: normalizeReport(raw || {}), meta: meta([{ tokens: estimatedTokens }], 1) };
+  }
+
+  // Map: analyze each chunk on its own.
+  const chunks = chunkLines(text, budget);
+  console.log(`${label}: ~${estimatedTokens} tokens > ${budget}; ${chunks.length} chunks`);
+  const reports = [];
+  for (const [i, chunk] of chunks.entries()) {
+    const { raw, usage: u } = await withRetry(
+      () => provider.analyze({ text: chunk.text, instructions: instructions || CHUNK_INSTRUCTIONS, outputLanguage }),
+      { label: `${label} chunk ${i + 1}/${chunks.length}` }
+    );
+    addUsage(usage, u);
+    reports.push(normalizeReport(raw || {}));
+    if (onChunk) await onChunk(i + 1, chunks.length);
+  }
+
+  // Reduce: merge, rescore, then write the narrative from the merged report.
+  const report = normalizeReport(mergeReports(reports));
+  let calls = chunks.length;
+  if (provider.narrate) {
+    const { narrative_md, usage: u } = await withRetry(
+      () => provider.narrate({ summary: { ...report, messages_analyzed: messages }, outputLanguage }),
+      { label: `${label} narrative` }
+    );
+    addUsage(usage, u);
+    report.narrative_md = narrative_md || null;
+    calls++;
+  }
+  return { report, meta: meta(chunks, calls) };
+}
+
+module.exports = { runAnalysis, chunkLines, mergeReports, estimateTokens };
@@ -0,0 +1,64 @@
+// errors.js — classify failures as transient (worth retrying) or permanent.
+//
+// Google clients surface gRPC status codes, OpenAI surfaces HTTP statuses, and raw network
+// failures surface Node error codes; all three are mapped here.
+
+// gRPC: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_GRPC = new Set([4, 8, 10, 13, 14]);
+const TRANSIENT_NET = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET']);
+
+function httpStatus(e){
+  const s = Number(e?.status ?? e?.statusCode ?? e?.response?.status);
+  return Number.isFinite(s) ? s : null;
+}
+
+function isTransient(e){
+  if (!e) return false;
+  if (e.transient === true) return true;
+  if (e.transient === false) return false;
+  if (typeof e.code === 'number' && TRANSIENT_GRPC.has(e.code)) return true;
+  if (typeof e.code === 'string' && TRANSIENT_NET.has(e.code)) return true;
+  const s = httpStatus(e);
+  if (s !== null) return s === 408 || s === 429 || s >= 500;
+  // OpenAI SDK connection errors carry no status
+  return e.name === 'APIConnectionError' || e.name === 'APIConnectionTimeoutError';
+}
+
+// Short machine-readable code for job.error.code and metrics.
+function errorCode(e){
+  if (e?.errorCode) return e.errorCode;
+  if (typeof e?.code === 'number') return `grpc_${e.code}`;
+  if (typeof e?.code === 'string') return e.code.toLowerCase();
+  const s = httpStatus(e);
+  return s ? `http_${s}` : 'internal';
+}
+
+// A failure we raise ourselves with an explicit code/transience.
+function jobError(errorCode, message, { transient = false } = {}){
+  const e = new Error(message);
+  e.errorCode = errorCode;
+  e.transient = transient;
+  return e;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// In-process retry for a single call (one Vision request, one LLM request).
+// Only transient errors are retried; jittered exponential backoff.
+async function withRetry(fn, { attempts = 3, baseMs = 500, label = 'call' } = {}){
+  let last;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      return await fn();
+    } catch (e) {
+      last = e;
+      if (!isTransient(e) || i === attempts - 1) break;
+      const wait = baseMs * 2 ** i + Math.floor(Math.random() * baseMs);
+      console.warn(`${label} transient failure (${errorCode(e)}), retry ${i + 1} in ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+  throw last;
+}
+
+module.exports = { isTransient, errorCode, jobError, withRetry };
@@ -0,0 +1,87 @@
+// eval/corpus.js — load and check a labelled fixture corpus.
+//
+// A corpus is a directory of *.json files (each one case or an array of cases) or a single
+// *.jsonl file. A case:
+//
+//   {
+//     "id": "gaslighting-denial",
+//     "notes": "optional free text",
+//     "input": one of
+//       { "text": "...", "format"?: "auto"|"plain"|"whatsapp"|..., "speakers"?: { "self", "contact" } }
+//       { "ocr": [[<Vision fullTextAnnotation per tile>, ...], ...] }   one entry per image
+//       { "ocr_text": "..." }                                           flat OCR text, no layout
+//     "options"?: { "redact_names"?: [...], "instructions"?: "...", "output_language"?: "es", "region"?: "US" },
+//     "expected": {
+//       "tactics": ["gaslighting", ...],        every tactic that should be detected (may be [])
+//       "severity"?: { "gaslighting": [3, 5] }, inclusive range per tactic
+//       "risk_label"?: "high" | ["medium", "high"],
+//       "risk_score"?: [60, 100]                inclusive range
+//       "safety"?: "none" | "elevated" | "urgent"   expected escalation level (safety.js)
+//     }
+//   }
+
+const fs = require('fs');
+const path = require('path');
+const { TACTIC_IDS } = require('../taxonomy');
+const { FORMATS } = require('../ingest');
+const { LEVELS } = require('../safety');
+
+const RISK_LABELS = ['low', 'medium', 'high'];
+
+function isRange(v, lo, hi){
+  return Array.isArray(v) && v.length === 2 && v.every(n => Number.isFinite(n) && n >= lo && n <= hi) && v[0] <= v[1];
+}
+
+// -> array of problems (empty when the case is valid).
+function checkCase(c){
+  const problems = [];
+  if (!c || typeof c !== 'object') return ['case must be an object'];
+  if (typeof c.id !== 'string' || !c.id) problems.push('id must be a non-empty string');
+  const input = c.input || {};
+  const kinds = ['text', 'ocr', 'ocr_text'].filter(k => input[k] !== undefined);
+  if (kinds.length !== 1) problems.push('input needs exactly one of text, ocr, ocr_text');
+  if (input.ocr !== undefined && !(Array.isArray(input.ocr) && input.ocr.every(Array.isArray))) {
+    problems.push('input.ocr must be an array (per image) of arrays (per tile) of annotations');
+  }
+  if (input.format !== undefined && !FORMATS.includes(input.format) && input.format !== 'auto') problems.push(`unknown input.format ${input.format}`);
+  const exp = c.expected;
+  if (!exp || !Array.isArray(exp.tactics)) return [...problems, 'expected.tactics must be an array'];
+  for (const id of exp.tactics) if (!TACTIC_IDS.includes(id)) problems.push(`unknown tactic ${id}`);
+  for (const [id, range] of Object.entries(exp.severity || {})) {
+    if (!TACTIC_IDS.includes(id)) problems.push(`unknown tactic ${id} in severity`);
+    if (!isRange(range, 1, 5)) problems.push(`severity.${id} must be [min, max] within 1-5`);
+  }
+  if (exp.risk_label !== undefined && ![].concat(exp.risk_label).every(l => RISK_LABELS.includes(l))) {
+    problems.push(`risk_label must be one or more of ${RISK_LABELS.join(', ')}`);
+  }
+  if (exp.risk_score !== undefined && !isRange(exp.risk_score, 0, 100)) problems.push('risk_score must be [min, max] within 0-100');
+  if (exp.safety !== undefined && !LEVELS.includes(exp.safety)) problems.push(`safety must be one of ${LEVELS.join(', ')}`);
+  return problems;
+}
+
+function readFile(file){
+  const raw = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.jsonl')) {
+    return raw.split('\n').map((l, i) => [l, i]).filter(([l]) => l.trim()).map(([l, i]) => ({ c: JSON.parse(l), where: `${file}:${i + 1}` }));
+  }
+  return [].concat(JSON.parse(raw)).map(c => ({ c, where: file }));
+}
+
+// Loads every case, sorted by id; throws listing every invalid case and duplicate id.
+function loadCorpus(location){
+  const files = fs.statSync(location).isDirectory()
+    ? fs.readdirSync(location).filter(f => /\.jsonl?$/.test(f)).sort().map(f => path.join(location, f))
+    : [location];
+  const entries = files.flatMap(readFile);
+  const problems = [];
+  const seen = new Set();
+  for (const { c, where } of entries) {
+    for (const p of checkCase(c)) problems.push(`${where} (${c?.id || '?'}): ${p}`);
+    if (seen.has(c?.id)) problems.push(`${where}: duplicate id ${c.id}`);
+    seen.add(c?.id);
+  }
+  if (problems.length) throw new Error(`invalid corpus:\n${problems.join('\n')}`);
+  return entries.map(e => e.c).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+module.exports = { loadCorpus, checkCase };
@@ -0,0 +1,152 @@
+// eval/run.js — run the analysis pipeline over a labelled corpus and score it (`npm run eval`).
+//
+// Each case goes through the same steps as a worker job (pipeline.js): OCR cleanup or text
+// parsing, redaction, the provider (chunked when long), normalizeReport and grounding. No
+// network is needed with the rules provider, a local OpenAI-compatible server, or recorded
+// responses (providers/recorded.js).
+//
+//   node eval/run.js [--corpus eval/corpus] [--provider rules] [--threshold 0.3] [--out run.json] [--json]
+//   node eval/run.js --provider openai --record eval/recordings/gpt-4o.json   call the provider, save responses
+//   node eval/run.js --replay eval/recordings/gpt-4o.json                     offline, from saved responses
+//   node eval/run.js --diff base.json candidate.json                          compare two saved runs
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getProvider, DEFAULT_PROVIDER } = require('../providers');
+const { createRecordedProvider } = require('../providers/recorded');
+const { readImage, combineImages, readText, redactInput, analyzeInput } = require('../pipeline');
+const { DEFAULT_INSTRUCTIONS } = require('../prompt');
+const { TAXONOMY, RISK_WEIGHTS } = require('../taxonomy');
+const { MIN_SIMILARITY } = require('../grounding');
+const { CONFIG_PATH: SAFETY_CONFIG_PATH } = require('../safety');
+const { loadCorpus } = require('./corpus');
+const { scoreRun, diffRuns, formatSummary, formatDiff } = require('./score');
+
+// ===== Env =====
+const DEFAULT_CORPUS = path.join(__dirname, 'corpus');
+const DEFAULT_THRESHOLD = Number(process.env.EVAL_TACTIC_THRESHOLD || 0.3);
+
+function usage(msg){
+  if (msg) console.error(msg);
+  console.error('usage: node eval/run.js [--corpus path] [--provider name] [--record file | --replay file] [--threshold p] [--out file] [--json]\n' +
+    '       node eval/run.js --diff base.json candidate.json [--json]');
+  process.exit(2);
+}
+
+function parseArgs(argv){
+  const opts = { corpus: DEFAULT_CORPUS, threshold: DEFAULT_THRESHOLD, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => (i + 1 < argv.length ? argv[++i] : usage(`${a} needs a value`));
+    if (a === '--json') opts.json = true;
+    else if (a === '--diff') opts.diff = [next(), next()];
+    else if (['--corpus', '--provider', '--record', '--replay', '--out'].includes(a)) opts[a.slice(2)] = next();
+    else if (a === '--threshold') opts.threshold = Number(next());
+    else usage(`unknown argument ${a}`);
+  }
+  if (opts.record && opts.replay) usage('--record and --replay are exclusive');
+  if (!(opts.threshold >= 0 && opts.threshold <= 1)) usage('--threshold must be within 0-1');
+  return opts;
+}
+
+function hash(v){ return crypto.createHash('sha256').update(JSON.stringify(v)).digest('hex').slice(0, 12); }
+
+// ===== Running =====
+function readInput(input){
+  if (input.text !== undefined) return readText(input.text, { format: input.format || 'auto', speakers: input.speakers });
+  const images = input.ocr !== undefined ? input.ocr : [[{ text: input.ocr_text, pages: [] }]];
+  return combineImages(images.map((tiles, i) => readImage(tiles, i)));
+}
+
+async function runCase(c, provider){
+  try {
+    const input = readInput(c.input);
+    const redacted = redactInput(input, {
+      names: [c.input.speakers?.self, c.input.speakers?.contact, ...(c.options?.redact_names || [])]
+    });
+    const { report, analysis } = await analyzeInput({
+      provider,
+      redacted,
+      instructions: c.options?.instructions,
+      outputLanguage: c.options?.output_language,
+      region: c.options?.region,
+      label: `eval ${c.id}`
+    });
+    return {
+      id: c.id,
+      expected: c.expected,
+      predicted: {
+        risk_score: report.risk_score,
+        risk_label: report.risk_label,
+        confidence: report.confidence,
+        tactics: report.tactics.map(({ id, likelihood, severity, frequency }) => ({ id, likelihood, severity, frequency })),
+        grounding: report.grounding,
+        safety: report.safety.level
+      },
+      language: input.language.code,
+      messages: redacted.transcript.length,
+      chunks: analysis.chunks,
+      usage: analysis.usage
+    };
+  } catch (e) {
+    return { id: c.id, expected: c.expected, error: e.message || String(e) };
+  }
+}
+
+function providerFor(opts){
+  if (opts.replay) return createRecordedProvider({ file: opts.replay });
+  const live = getProvider(opts.provider || DEFAULT_PROVIDER);
+  return opts.record ? createRecordedProvider({ file: opts.record, inner: live }) : live;
+}
+
+async function evaluate(opts){
+  const cases = loadCorpus(opts.corpus);
+  const provider = providerFor(opts);
+  const results = [];
+  for (const c of cases) {
+    results.push(await runCase(c, provider));
+    if (!opts.json) process.stderr.write('.');
+  }
+  if (!opts.json) process.stderr.write('\n');
+  if (opts.record && provider.save()) console.error(`recorded responses -> ${opts.record}`);
+
+  return {
+    meta: {
+      corpus: opts.corpus === DEFAULT_CORPUS ? 'eval/corpus' : opts.corpus,
+      started_at: new Date().toISOString(),
+      // What differs between two runs is shown by --diff.
+      config: {
+        provider: provider.name,
+        model: provider.model,
+        threshold: opts.threshold,
+        prompt: hash(DEFAULT_INSTRUCTIONS),
+        taxonomy_version: TAXONOMY.version,
+        risk_weights: hash(RISK_WEIGHTS),
+        grounding_min_similarity: MIN_SIMILARITY,
+        safety_config: hash(fs.readFileSync(SAFETY_CONFIG_PATH, 'utf8'))
+      }
+    },
+    summary: scoreRun(results, { threshold: opts.threshold }),
+    cases: results
+  };
+}
+
+async function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.diff) {
+    const [base, cand] = opts.diff.map(f => JSON.parse(fs.readFileSync(f, 'utf8')));
+    const d = diffRuns(base, cand);
+    console.log(opts.json ? JSON.stringify(d, null, 2) : formatDiff(d));
+    return;
+  }
+  const run = await evaluate(opts);
+  if (opts.out) fs.writeFileSync(opts.out, JSON.stringify(run, null, 2) + '\n');
+  console.log(opts.json ? JSON.stringify(run, null, 2) : formatSummary(run));
+  if (run.summary.errors) process.exitCode = 1;
+}
+
+main().catch(e => {
+  console.error(e.message || e);
+  process.exit(1);
+});
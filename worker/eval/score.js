@@ -0,0 +1,250 @@
+// eval/score.js — metrics over an eval run, and the diff between two runs.
+//
+// A tactic counts as detected when its likelihood reaches the threshold; "other" is never
+// scored (it has no label). Calibration looks at both outputs the UI shows: the risk score
+// against the labelled range, and tactic likelihoods as probabilities (Brier score and
+// reliability bins over every case × taxonomy tactic).
+
+const { TACTIC_IDS } = require('../taxonomy');
+
+const BINS = 5;
+
+function ratio(n, d){ return d ? Math.round((n / d) * 1000) / 1000 : null; }
+// Zero when either side is zero (a tactic that was never detected, or only wrongly).
+function f1(p, r){
+  if (p === 0 || r === 0) return 0;
+  if (p === null || r === null) return null;
+  return Math.round((2 * p * r / (p + r)) * 1000) / 1000;
+}
+function prf({ tp, fp, fn }){
+  const precision = ratio(tp, tp + fp), recall = ratio(tp, tp + fn);
+  return { tp, fp, fn, precision, recall, f1: f1(precision, recall) };
+}
+function inRange(v, [lo, hi]){ return v >= lo && v <= hi; }
+function labels(expected){ return [].concat(expected).filter(Boolean); }
+
+// ===== Per case =====
+// run case -> { id, error, fp, fn, label_ok, score_ok, score_error, safety_ok, severity: [...], grounding }
+function scoreCase(c, threshold){
+  if (c.error) return { id: c.id, error: c.error };
+  const exp = c.expected, pred = c.predicted;
+  const positives = new Set(exp.tactics || []);
+  const detected = new Set(pred.tactics.filter(t => t.id !== 'other' && t.likelihood >= threshold).map(t => t.id));
+  const byId = new Map(pred.tactics.map(t => [t.id, t]));
+  return {
+    id: c.id,
+    tp: [...detected].filter(id => positives.has(id)),
+    fp: [...detected].filter(id => !positives.has(id)),
+    fn: [...positives].filter(id => !detected.has(id)),
+    label_ok: exp.risk_label ? labels(exp.risk_label).includes(pred.risk_label) : null,
+    score_ok: exp.risk_score ? inRange(pred.risk_score, exp.risk_score) : null,
+    // Distance from the labelled range (0 inside it).
+    score_error: exp.risk_score ? Math.max(0, exp.risk_score[0] - pred.risk_score, pred.risk_score - exp.risk_score[1]) : null,
+    safety_ok: exp.safety ? pred.safety === exp.safety : null,
+    // An expected escalation that did not fire at all is the costly mistake.
+    safety_missed: exp.safety ? exp.safety !== 'none' && pred.safety === 'none' : null,
+    severity: Object.entries(exp.severity || {}).map(([id, range]) => {
+      const t = byId.get(id);
+      return { id, range, severity: t ? t.severity : null, ok: t ? inRange(t.severity, range) : null };
+    }),
+    grounding: pred.grounding
+  };
+}
+
+// ===== Run summary =====
+function scoreRun(cases, { threshold }){
+  const scored = cases.map(c => scoreCase(c, threshold));
+  const ok = scored.filter(s => !s.error);
+
+  const perTactic = {};
+  const bump = (id, k) => { (perTactic[id] = perTactic[id] || { tp: 0, fp: 0, fn: 0 })[k]++; };
+  for (const s of ok) {
+    for (const id of s.tp) bump(id, 'tp');
+    for (const id of s.fp) bump(id, 'fp');
+    for (const id of s.fn) bump(id, 'fn');
+  }
+  const micro = Object.values(perTactic).reduce((a, t) => ({ tp: a.tp + t.tp, fp: a.fp + t.fp, fn: a.fn + t.fn }), { tp: 0, fp: 0, fn: 0 });
+  const labelled = Object.values(perTactic).filter(t => t.tp + t.fn > 0).map(prf);
+  const macroF1 = labelled.length ? Math.round((labelled.reduce((a, t) => a + (t.f1 || 0), 0) / labelled.length) * 1000) / 1000 : null;
+
+  const withLabel = ok.filter(s => s.label_ok !== null);
+  const confusion = {};
+  for (const c of cases) {
+    if (c.error || !c.expected.risk_label) continue;
+    const e = labels(c.expected.risk_label).join('|');
+    confusion[e] = confusion[e] || {};
+    confusion[e][c.predicted.risk_label] = (confusion[e][c.predicted.risk_label] || 0) + 1;
+  }
+
+  const withScore = ok.filter(s => s.score_ok !== null);
+  const withSafety = ok.filter(s => s.safety_ok !== null);
+  const sev = ok.flatMap(s => s.severity);
+
+  // Tactic likelihood as a probability of the label, over every case × taxonomy tactic.
+  let brier = 0, pairs = 0;
+  const bins = Array.from({ length: BINS }, () => ({ n: 0, p: 0, positive: 0 }));
+  for (const c of cases) {
+    if (c.error) continue;
+    const positives = new Set(c.expected.tactics || []);
+    const likelihood = new Map(c.predicted.tactics.map(t => [t.id, t.likelihood]));
+    for (const id of TACTIC_IDS) {
+      const p = likelihood.get(id) || 0, y = positives.has(id) ? 1 : 0;
+      brier += (p - y) ** 2;
+      pairs++;
+      const b = bins[Math.min(BINS - 1, Math.floor(p * BINS))];
+      b.n++; b.p += p; b.positive += y;
+    }
+  }
+
+  const g = ok.reduce((a, s) => ({ verified: a.verified + (s.grounding?.verified || 0), total: a.total + (s.grounding?.total || 0) }), { verified: 0, total: 0 });
+
+  return {
+    cases: cases.length,
+    errors: scored.length - ok.length,
+    threshold,
+    tactics: {
+      micro: prf(micro),
+      macro_f1: macroF1,
+      per_tactic: Object.fromEntries(Object.keys(perTactic).sort().map(id => [id, prf(perTactic[id])]))
+    },
+    risk_label: { accuracy: ratio(withLabel.filter(s => s.label_ok).length, withLabel.length), labelled: withLabel.length, confusion },
+    safety: {
+      accuracy: ratio(withSafety.filter(s => s.safety_ok).length, withSafety.length),
+      labelled: withSafety.length,
+      missed: withSafety.filter(s => s.safety_missed).length
+    },
+    severity: { in_range: ratio(sev.filter(s => s.ok).length, sev.filter(s => s.ok !== null).length), checked: sev.length, tactic_missing: sev.filter(s => s.ok === null).length },
+    calibration: {
+      risk_score_in_range: ratio(withScore.filter(s => s.score_ok).length, withScore.length),
+      risk_score_mae: withScore.length ? Math.round((withScore.reduce((a, s) => a + s.score_error, 0) / withScore.length) * 10) / 10 : null,
+      likelihood_brier: pairs ? Math.round((brier / pairs) * 10000) / 10000 : null,
+      likelihood_bins: bins.map((b, i) => ({
+        range: [i / BINS, (i + 1) / BINS],
+        n: b.n,
+        mean_likelihood: b.n ? Math.round((b.p / b.n) * 1000) / 1000 : null,
+        observed: ratio(b.positive, b.n)
+      }))
+    },
+    grounding: { verified: g.verified, total: g.total, ratio: ratio(g.verified, g.total) },
+    per_case: scored
+  };
+}
+
+// ===== Diff =====
+// Headline metrics, where higher is better unless listed in LOWER_IS_BETTER.
+const HEADLINES = [
+  ['tactic precision (micro)', s => s.tactics.micro.precision],
+  ['tactic recall (micro)', s => s.tactics.micro.recall],
+  ['tactic F1 (micro)', s => s.tactics.micro.f1],
+  ['tactic F1 (macro)', s => s.tactics.macro_f1],
+  ['risk label accuracy', s => s.risk_label.accuracy],
+  ['safety level accuracy', s => s.safety.accuracy],
+  ['missed escalations', s => s.safety.missed],
+  ['severity in range', s => s.severity.in_range],
+  ['risk score in range', s => s.calibration.risk_score_in_range],
+  ['risk score MAE', s => s.calibration.risk_score_mae],
+  ['likelihood Brier', s => s.calibration.likelihood_brier],
+  ['receipts grounded', s => s.grounding.ratio],
+  ['errors', s => s.errors]
+];
+const LOWER_IS_BETTER = new Set(['missed escalations', 'risk score MAE', 'likelihood Brier', 'errors']);
+
+function delta(a, b){ return a === null || b === null || a === undefined || b === undefined ? null : Math.round((b - a) * 1000) / 1000; }
+
+// Two saved runs (base, candidate) -> { config, metrics, per_tactic, cases }.
+function diffRuns(base, cand){
+  const metrics = HEADLINES.map(([name, get]) => {
+    const a = get(base.summary), b = get(cand.summary), d = delta(a, b);
+    const better = d === null || d === 0 ? null : (LOWER_IS_BETTER.has(name) ? d < 0 : d > 0);
+    return { metric: name, base: a, candidate: b, delta: d, better };
+  });
+
+  const ids = [...new Set([...Object.keys(base.summary.tactics.per_tactic), ...Object.keys(cand.summary.tactics.per_tactic)])].sort();
+  const perTactic = ids.map(id => {
+    const a = base.summary.tactics.per_tactic[id]?.f1 ?? null, b = cand.summary.tactics.per_tactic[id]?.f1 ?? null;
+    return { id, base: a, candidate: b, delta: delta(a, b) };
+  }).filter(t => t.base !== t.candidate);
+
+  const baseCases = new Map(base.summary.per_case.map(c => [c.id, c]));
+  const cases = [];
+  for (const c of cand.summary.per_case) {
+    const b = baseCases.get(c.id);
+    if (!b) { cases.push({ id: c.id, change: 'new case' }); continue; }
+    const changes = [];
+    if (!!b.error !== !!c.error) changes.push(c.error ? `now fails: ${c.error}` : 'no longer fails');
+    if (!c.error && !b.error) {
+      if (b.label_ok !== c.label_ok && c.label_ok !== null) changes.push(c.label_ok ? 'risk label fixed' : 'risk label regressed');
+      if (b.safety_ok !== c.safety_ok && c.safety_ok !== null) changes.push(c.safety_ok ? 'safety level fixed' : 'safety level regressed');
+      const gainedFp = c.fp.filter(id => !b.fp.includes(id)), gainedFn = c.fn.filter(id => !b.fn.includes(id));
+      const fixedFp = b.fp.filter(id => !c.fp.includes(id)), fixedFn = b.fn.filter(id => !c.fn.includes(id));
+      if (gainedFp.length) changes.push(`new false positives: ${gainedFp.join(', ')}`);
+      if (gainedFn.length) changes.push(`new misses: ${gainedFn.join(', ')}`);
+      if (fixedFp.length) changes.push(`false positives fixed: ${fixedFp.join(', ')}`);
+      if (fixedFn.length) changes.push(`misses fixed: ${fixedFn.join(', ')}`);
+    }
+    if (changes.length) cases.push({ id: c.id, change: changes.join('; ') });
+  }
+  for (const id of baseCases.keys()) if (!cand.summary.per_case.some(c => c.id === id)) cases.push({ id, change: 'case removed' });
+
+  const keys = [...new Set([...Object.keys(base.meta.config), ...Object.keys(cand.meta.config)])];
+  const config = keys
+    .filter(k => JSON.stringify(base.meta.config[k]) !== JSON.stringify(cand.meta.config[k]))
+    .map(k => ({ key: k, base: base.meta.config[k], candidate: cand.meta.config[k] }));
+
+  return { config, metrics, per_tactic: perTactic, cases };
+}
+
+// ===== Text output =====
+function fmt(v){ return v === null || v === undefined ? '—' : String(v); }
+function table(rows, headers){
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => fmt(r[i]).length)));
+  const line = r => r.map((v, i) => fmt(v).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+function formatSummary(run){
+  const s = run.summary;
+  const out = [
+    `${run.meta.corpus}: ${s.cases} case(s), ${s.errors} error(s) — ${run.meta.config.provider}/${run.meta.config.model}, threshold ${s.threshold}`,
+    '',
+    table(HEADLINES.map(([name, get]) => [name, get(s)]), ['metric', 'value']),
+    '',
+    table(Object.entries(s.tactics.per_tactic).map(([id, t]) => [id, t.tp, t.fp, t.fn, t.precision, t.recall, t.f1]),
+      ['tactic', 'tp', 'fp', 'fn', 'precision', 'recall', 'f1']),
+    '',
+    table(s.calibration.likelihood_bins.map(b => [`${b.range[0]}–${b.range[1]}`, b.n, b.mean_likelihood, b.observed]),
+      ['likelihood', 'n', 'mean', 'observed'])
+  ];
+  const failing = s.per_case.filter(c => c.error || c.fp?.length || c.fn?.length || c.label_ok === false || c.score_ok === false || c.safety_ok === false);
+  if (failing.length) {
+    out.push('', 'Cases with errors or mismatches:');
+    for (const c of failing) {
+      if (c.error) { out.push(`- ${c.id}: error: ${c.error}`); continue; }
+      const bits = [];
+      if (c.fn.length) bits.push(`missed ${c.fn.join(', ')}`);
+      if (c.fp.length) bits.push(`false positive ${c.fp.join(', ')}`);
+      if (c.label_ok === false) bits.push('risk label');
+      if (c.score_ok === false) bits.push(`risk score off by ${c.score_error}`);
+      if (c.safety_ok === false) bits.push(c.safety_missed ? 'missed safety escalation' : 'safety level');
+      out.push(`- ${c.id}: ${bits.join('; ')}`);
+    }
+  }
+  return out.join('\n');
+}
+
+function formatDiff(d){
+  const out = [];
+  out.push(d.config.length
+    ? table(d.config.map(c => [c.key, JSON.stringify(c.base), JSON.stringify(c.candidate)]), ['config', 'base', 'candidate'])
+    : 'Configurations are identical.');
+  out.push('', table(d.metrics.map(m => [m.metric, m.base, m.candidate, m.delta === null ? null : (m.delta > 0 ? '+' : '') + m.delta, m.better === null ? '' : m.better ? 'better' : 'worse']),
+    ['metric', 'base', 'candidate', 'delta', '']));
+  if (d.per_tactic.length) {
+    out.push('', table(d.per_tactic.map(t => [t.id, t.base, t.candidate, t.delta]), ['tactic F1', 'base', 'candidate', 'delta']));
+  }
+  out.push('', d.cases.length ? 'Changed cases:' : 'No per-case changes.');
+  for (const c of d.cases) out.push(`- ${c.id}: ${c.change}`);
+  return out.join('\n');
+}
+
+module.exports = { scoreRun, scoreCase, diffRuns, formatSummary, formatDiff };
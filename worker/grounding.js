@@ -0,0 +1,207 @@
+// grounding.js — check quoted evidence against the text that was actually analyzed.
+//
+// Models paraphrase and sometimes invent quotes. Each receipt quote and tactic example is
+// fuzzy-matched against the job transcript (or the flat OCR text when there is no
+// transcript). Matched receipts get the message/image/character position they came from;
+// unmatched ones are flagged `verified: false` (or dropped), unmatched examples are removed,
+// and confidence and tactic frequency are scaled by how much of the evidence held up.
+
+const { tacticScore, applyRisk, riskLabel } = require('./report');
+
+// Minimum similarity (1 - edit distance / quote length) for a fuzzy match; OCR noise and
+// small model paraphrases ("dont" for "don't") pass, invented sentences do not.
+const MIN_SIMILARITY = Number(process.env.GROUNDING_MIN_SIMILARITY || 0.8);
+// Remove unverified receipts instead of flagging them.
+const DROP_UNVERIFIED = process.env.GROUNDING_DROP_UNVERIFIED === 'true';
+// Confidence keeps this share even when nothing verifies; the rest scales with the ratio.
+const CONFIDENCE_FLOOR = 0.5;
+// Quotes shorter than this (after normalizing) are too generic to ground ("ok", "no").
+const MIN_QUOTE_CHARS = 4;
+
+// ===== normalization =====
+// Lowercase, strip accents and apostrophes, collapse everything else that is not a letter or
+// digit to single spaces. `map[i]` is the index in the original string of normalized char i.
+function normalize(s){
+  const src = String(s || '');
+  let out = '';
+  const map = [];
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (/^['’‘`]$/.test(c)) continue;
+    if (/^[\p{L}\p{N}]+$/u.test(c)) {
+      for (const ch of c) { out += ch; map.push(i); }
+    } else if (out && out[out.length - 1] !== ' ') {
+      out += ' '; map.push(i);
+    }
+  }
+  if (out.endsWith(' ')) { out = out.slice(0, -1); map.pop(); }
+  return { s: out, map };
+}
+
+// Strip what models wrap around quotes: surrounding quote marks and a rendered-transcript
+// prefix ("[3] OTHER (9:41 PM): ..."). Ellipses split the quote into parts matched in order.
+const RENDERED_PREFIX_RE = /^\s*(?:\[\d+\]\s*)?(?:USER|OTHER)(?:\s+\([^)]*\))?:\s*/i;
+function quoteParts(quote){
+  const q = String(quote || '').replace(RENDERED_PREFIX_RE, '').trim().replace(/^["“”'‘’]+|["“”'‘’]+$/g, '');
+  return q.split(/\s*(?:\.{3}|…)\s*/).map(p => normalize(p).s).filter(p => p.length >= MIN_QUOTE_CHARS);
+}
+
+function tokens(s){ return s.split(' ').filter(w => w.length >= 3); }
+
+// ===== approximate substring match =====
+// Smallest edit distance between `p` and any substring of `t` (Sellers). Returns
+// { dist, start, end } in normalized coordinates of `t`, searching from `from`.
+function bestSubstring(p, t, from = 0){
+  const m = p.length;
+  let prevD = new Array(t.length - from + 1).fill(0);
+  let prevS = prevD.map((_, j) => j);
+  for (let i = 1; i <= m; i++) {
+    const d = [i], st = [0];
+    for (let j = 1; j <= t.length - from; j++) {
+      const sub = prevD[j - 1] + (p[i - 1] === t[from + j - 1] ? 0 : 1);
+      const del = prevD[j] + 1, ins = d[j - 1] + 1;
+      if (sub <= del && sub <= ins) { d[j] = sub; st[j] = prevS[j - 1]; }
+      else if (del <= ins) { d[j] = del; st[j] = prevS[j]; }
+      else { d[j] = ins; st[j] = st[j - 1]; }
+    }
+    prevD = d; prevS = st;
+  }
+  let best = { dist: m, start: from, end: from };
+  for (let j = 1; j < prevD.length; j++) {
+    if (prevD[j] < best.dist) best = { dist: prevD[j], start: from + prevS[j], end: from + j };
+  }
+  return best;
+}
+
+// All parts must occur in order within the segment. Returns { similarity, start, end } or null.
+function matchSegment(parts, seg){
+  let from = 0, start = null, errors = 0, total = 0;
+  for (const p of parts) {
+    const exact = seg.s.indexOf(p, from);
+    const hit = exact >= 0 ? { dist: 0, start: exact, end: exact + p.length } : bestSubstring(p, seg.s, from);
+    if (hit.end <= hit.start) return null;
+    errors += hit.dist; total += p.length;
+    if (start === null) start = hit.start;
+    from = hit.end;
+  }
+  return { similarity: 1 - errors / total, start, end: from };
+}
+
+// ===== grounding =====
+// Segments are transcript messages, or lines of the flat text (offsets into the whole text).
+function buildSegments({ transcript, flatText }){
+  if (transcript?.length) {
+    return transcript.map((m, i) => ({ ...normalize(m.text), index: i, sourceImage: m.sourceImage ?? null, offset: 0 }));
+  }
+  const segs = [];
+  let offset = 0;
+  for (const line of String(flatText || '').split('\n')) {
+    const n = normalize(line);
+    if (n.s) segs.push({ ...n, index: null, sourceImage: null, offset });
+    offset += line.length + 1;
+  }
+  return segs;
+}
+
+function locate(quote, segments, hint){
+  const parts = quoteParts(quote);
+  if (!parts.length) return null;
+  const want = new Set(parts.flatMap(tokens));
+  // Only run the edit-distance search on segments that share most of the quote's words.
+  const candidates = segments.filter(seg => {
+    if ((hint != null && seg.index === hint) || parts.every(p => seg.s.includes(p))) return true;
+    if (!want.size) return false;
+    const have = new Set(tokens(seg.s));
+    let n = 0;
+    for (const w of want) if (have.has(w)) n++;
+    return n / want.size >= 0.5;
+  });
+  let best = null;
+  for (const seg of candidates) {
+    const hit = matchSegment(parts, seg);
+    if (!hit || hit.similarity < MIN_SIMILARITY) continue;
+    // Prefer the better match; on a tie, the message the model pointed at.
+    if (!best || hit.similarity > best.similarity || (hit.similarity === best.similarity && hint != null && seg.index === hint)) {
+      best = {
+        similarity: hit.similarity,
+        segment: seg,
+        charStart: seg.offset + seg.map[hit.start],
+        charEnd: seg.offset + seg.map[hit.end - 1] + 1
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * Ground receipts and tactic examples in the analyzed text. Mutates and returns `report`.
+ * @param report  normalizeReport output
+ * @param source  { transcript: [{ text, sourceImage? }], flatText }
+ */
+function groundReport(report, source){
+  const segments = buildSegments(source);
+  let total = 0, verified = 0, dropped = 0;
+  const byTactic = {}; // tactic id -> { total, verified }
+  const tally = (id, ok) => {
+    total++; if (ok) verified++;
+    const t = byTactic[id] || (byTactic[id] = { total: 0, verified: 0 });
+    t.total++; if (ok) t.verified++;
+  };
+
+  const receipts = [];
+  for (const r of report.receipts || []) {
+    if (!r || typeof r !== 'object') { receipts.push(r); continue; }
+    const { message_index, ...rest } = r;
+    const hit = locate(r.quote, segments, message_index);
+    tally(r.category, !!hit);
+    if (!hit) {
+      if (DROP_UNVERIFIED) dropped++;
+      else receipts.push({ ...rest, verified: false });
+      continue;
+    }
+    receipts.push({
+      ...rest,
+      verified: true,
+      ...(hit.segment.index !== null ? { message_index: hit.segment.index } : {}),
+      ...(hit.segment.sourceImage !== null ? { source_image: hit.segment.sourceImage } : {}),
+      char_start: hit.charStart,
+      char_end: hit.charEnd,
+      match_score: Math.round(hit.similarity * 100) / 100
+    });
+  }
+  report.receipts = receipts;
+
+  for (const t of report.tactics || []) {
+    const kept = [];
+    for (const ex of t.examples) {
+      const ok = !!locate(ex, segments, null);
+      tally(t.id, ok);
+      if (ok) kept.push(ex);
+      else dropped++;
+    }
+    t.examples = kept;
+    const ev = byTactic[t.id];
+    if (ev?.total) {
+      t.frequency = Math.round(t.frequency * (ev.verified / ev.total) * 10) / 10;
+      t.score = tacticScore(t);
+    }
+  }
+
+  const ratio = total ? verified / total : null;
+  if (ratio !== null) {
+    report.confidence = Math.round(report.confidence * (CONFIDENCE_FLOOR + (1 - CONFIDENCE_FLOOR) * ratio) * 100) / 100;
+    // A model-supplied risk_label is kept; a derived one follows the rescored risk.
+    const derivedLabel = report.risk_label === riskLabel(report.risk_score);
+    report.risk_score = applyRisk(report.tactics);
+    if (derivedLabel) report.risk_label = riskLabel(report.risk_score);
+  }
+  report.grounding = {
+    ratio: ratio === null ? null : Math.round(ratio * 1000) / 1000,
+    verified,
+    total,
+    dropped
+  };
+  return report;
+}
+
+module.exports = { groundReport, normalize, MIN_SIMILARITY };
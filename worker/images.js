@@ -0,0 +1,59 @@
+// images.js — decode uploads (JPEG, PNG, WebP, HEIC) and prepare OCR-ready tiles.
+//
+// sharp's prebuilt libvips has no HEVC decoder, so HEIC/HEIF goes through heic-convert first.
+// Very tall scrolling captures are cut into overlapping tiles: Vision downsamples large
+// images, which makes small chat text unreadable, and the overlap lets stitch.js drop
+// bubbles that appear in two neighbouring tiles.
+
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+// Height/width ratio above which an image is tiled, tile height as a multiple of width, overlap between tiles.
+const TILE_ASPECT = parseFloat(process.env.TILE_ASPECT || '2.5');
+const TILE_HEIGHT_RATIO = 2;
+const TILE_OVERLAP = 0.15;
+
+function isHeic(buf){
+  if (!buf || buf.length < 12 || buf.toString('ascii', 4, 8) !== 'ftyp') return false;
+  return ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(buf.toString('ascii', 8, 12));
+}
+
+async function decode(buf){
+  if (!isHeic(buf)) return buf;
+  return Buffer.from(await heicConvert({ buffer: buf, format: 'JPEG', quality: 0.95 }));
+}
+
+// Tile boundaries [top, height] covering `height` px with overlap.
+function tileRanges(width, height){
+  const tileH = Math.round(width * TILE_HEIGHT_RATIO);
+  const step = Math.max(1, Math.round(tileH * (1 - TILE_OVERLAP)));
+  const out = [];
+  for (let top = 0; top < height; top += step) {
+    const h = Math.min(tileH, height - top);
+    out.push([top, h]);
+    if (top + h >= height) break;
+  }
+  return out;
+}
+
+// Raw upload bytes -> [JPEG buffer] (one per tile, top to bottom).
+async function prepareForOcr(buf){
+  const input = await decode(buf);
+  const { data, info } = await sharp(input)
+    .rotate()
+    .grayscale()
+    .sharpen()
+    .png() // lossless intermediate; tiles are re-encoded below
+    .toBuffer({ resolveWithObject: true });
+
+  if (info.height / info.width <= TILE_ASPECT) {
+    return [await sharp(data).jpeg({ quality: 92 }).toBuffer()];
+  }
+  const tiles = [];
+  for (const [top, height] of tileRanges(info.width, info.height)) {
+    tiles.push(await sharp(data).extract({ left: 0, top, width: info.width, height }).jpeg({ quality: 92 }).toBuffer());
+  }
+  return tiles;
+}
+
+module.exports = { prepareForOcr, tileRanges, isHeic };
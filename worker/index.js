@@ -2,8 +2,15 @@ const express = require('express');
 const { Firestore } = require('@google-cloud/firestore');
 const { Storage } = require('@google-cloud/storage');
 const vision = require('@google-cloud/vision');
-const sharp = require('sharp');
-const { OpenAI } = require('openai');
+const { providerForJob, DEFAULT_PROVIDER } = require('./providers');
+const { prepareForOcr } = require('./images');
+const { finalizeReport } = require('./schema');
+const { readImage, combineImages, readText, redactInput, analyzeInput } = require('./pipeline');
+const { createJobState } = require('./jobState');
+const { isTransient, errorCode, jobError, withRetry } = require('./errors');
+const { BACKEND, localBackends, createGcsBlobs } = require('../shared/backends');
+const { metricsHandler } = require('../shared/prometheus');
+const { createJobMetrics, registry: metricsRegistry } = require('./metrics');
 
 const app = express();
 app.use(express.json());
@@ -13,298 +20,330 @@ const PORT = process.env.PORT || 8080;
 const UPLOAD_BUCKET = process.env.UPLOAD_BUCKET || 'toxella-id-uploads';
 const FREE_MAX = parseInt(process.env.FREE_MAX_IMAGES || '3', 10);
 const PRO_MAX  = parseInt(process.env.PRO_MAX_IMAGES  || '15', 10);
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
-const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4o';
+// Report language when the job doesn't ask for one (job.outputLanguage).
+const DEFAULT_OUTPUT_LANGUAGE = process.env.DEFAULT_OUTPUT_LANGUAGE || 'en';
+// Crisis resources region when the job doesn't give one (job.region); unset -> generic list.
+const SAFETY_DEFAULT_REGION = process.env.SAFETY_DEFAULT_REGION || null;
 
 // ===== Clients =====
-const firestore = new Firestore();
-const storage   = new Storage();
-const visionClient = new vision.ImageAnnotatorClient();
-const openai    = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+// BACKEND=local: in-memory store, filesystem blobs, in-process queue (see shared/backends).
+const { firestore, blobs, queue } = BACKEND === 'local'
+  ? localBackends({ Timestamp: Firestore.Timestamp })
+  : { firestore: new Firestore(), blobs: createGcsBlobs(new Storage(), UPLOAD_BUCKET), queue: null };
+// Created on first OCR so text-only (and local) runs never look up GCP credentials.
+let visionClient = null;
 
 const jobsCol    = firestore.collection('jobs');
 const reportsCol = firestore.collection('reports');
+const entitlementsCol = firestore.collection('entitlements');
+// placeholder -> original text, kept only for users who opted in to re-hydrating their report
+const redactionsCol = firestore.collection('redactions');
+const jobState = createJobState(firestore);
 
 function maxForPlan(plan){ return plan === 'pro' ? PRO_MAX : FREE_MAX; }
+// Re-read the plan from entitlements (source of truth) rather than trusting job.plan.
+async function planForJob(job){
+  if (!job.userId) return 'free';
+  const snap = await entitlementsCol.doc(job.userId).get();
+  const ent = snap.exists ? snap.data() : null;
+  const until = ent?.validUntil?.toDate?.();
+  if (!ent || (until && until.getTime() < Date.now())) return 'free';
+  return ent.plan === 'pro' ? 'pro' : 'free';
+}
 function b64(str){ return Buffer.from(str, 'base64').toString('utf8'); }
 
 // ===== OCR helpers =====
-async function preprocessImageToBuffer(bucketName, path) {
-  const [file] = await storage.bucket(bucketName).file(path).download();
-  const buf = await sharp(file)
-    .rotate()
-    .grayscale()
-    .sharpen()
-    .jpeg({ quality: 92 })
-    .toBuffer();
-  return buf;
+// Returns the full annotation (text + page/block/paragraph layout) so the transcript can be rebuilt.
+// languageHints (job.languageHints) only help when they are right; without them Vision auto-detects.
+async function ocrBuffer(buf, languageHints) {
+  visionClient = visionClient || new vision.ImageAnnotatorClient();
+  const [res] = await visionClient.documentTextDetection({
+    image: { content: buf },
+    ...(languageHints?.length ? { imageContext: { languageHints } } : {})
+  });
+  return res.fullTextAnnotation || { text: '', pages: [] };
 }
 
-async function ocrBuffer(buf) {
-  const [res] = await visionClient.documentTextDetection({ image: { content: buf } });
-  const full = res.fullTextAnnotation?.text || '';
-  return full;
+// ===== purge helper =====
+async function purgeImages(files) {
+  try {
+    await Promise.all(
+      (files||[]).map(f => blobs.remove(f.path))
+    );
+    return true;
+  } catch (e) {
+    console.error('purgeImages error', e.message);
+    return false;
+  }
 }
 
-function cleanOcr(s){
-  if (!s) return '';
-  return s
-    .replace(/\b(Messages|iMessage|Text Message|Delivered|Read)\b/gi, ' ')
-    .replace(/\b(Today|Yesterday)\b/gi, ' ')
-    .replace(/\b([0-1]?\d:[0-5]\d\s?(AM|PM))\b/gi, ' ')
-    .replace(/[ \t]+\n/g, '\n')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+// A job deleted mid-run may already have written its report; remove it and the uploads.
+async function discardOutputs(jobId, job) {
+  const batch = firestore.batch();
+  batch.delete(reportsCol.doc(jobId));
+  batch.delete(redactionsCol.doc(jobId));
+  await batch.commit();
+  await purgeImages(job.files);
 }
 
-// ===== 12-tactic scoring =====
-const TACTIC_IDS = [
-  "gaslighting","darvo","blame-shifting","minimization","stonewalling","contempt",
-  "guilt-tripping","threats","coercion","triangulation","boundaries","projection"
-];
-const RISK_WEIGHTS = {
-  threats:1.40, coercion:1.30, gaslighting:1.20, darvo:1.10,
-  "blame-shifting":1.00, minimization:1.00, stonewalling:0.95,
-  contempt:1.05, "guilt-tripping":1.00, triangulation:1.00,
-  boundaries:1.00, projection:1.00
-};
-function clamp(n, lo, hi){ n = Number(n||0); return Math.max(lo, Math.min(hi, n)); }
-function tacticScore(t){
-  const p = clamp(t.likelihood, 0, 1);
-  const s = clamp(t.severity,   1, 5);
-  const f = Math.min(5, Number(t.frequency ?? (t.examples?.length || 0)));
-  return Math.round( 40*p + 35*((s-1)/4) + 25*Math.min(1, f/5) );
+// Stores the delivery's cost/latency summary on the job (see metrics.js). Best-effort.
+async function saveMetrics(jobRef, metrics, outcome) {
+  const summary = metrics.finish(outcome);
+  if (outcome.status === 'user_deleted') return; // tombstones keep no details
+  // `metrics` describes the latest delivery; spend_usd accumulates across retried deliveries.
+  await jobRef.update({
+    metrics: summary,
+    ...(summary.cost_usd.total ? { spend_usd: Firestore.FieldValue.increment(summary.cost_usd.total) } : {})
+  }).catch(e => console.error('save metrics error', e.message));
 }
-function riskLabel(score){ return score < 34 ? "low" : score <= 66 ? "medium" : "high"; }
-
-function normalizeReport(raw){
-  const out = {
-    risk_score: 0,
-    risk_label: "low",
-    confidence: clamp(raw.confidence ?? 0.85, 0, 1),
-    tactics: [],
-    receipts: [],
-    kpis: raw.kpis || {}
-  };
 
-  // carry through narrative if present
-  out.narrative_md = (typeof raw.narrative_md === 'string' && raw.narrative_md.trim()) ? raw.narrative_md : null;
-
-  // tactics
-  const list = Array.isArray(raw.tactics) ? raw.tactics : [];
-  out.tactics = list.map(t => {
-    const id = (t.id || t.name || "").toString().toLowerCase();
-    const name = t.name || (id ? id.replace(/(^|[-_])(\w)/g, (_,a,b)=> (a?" ":"") + b.toUpperCase()) : "Other");
-    const obj = {
-      id: id && TACTIC_IDS.includes(id) ? id : "other",
-      name,
-      likelihood: clamp(t.likelihood ?? t.p ?? 0, 0, 1),
-      severity: clamp(t.severity ?? 3, 1, 5),
-      frequency: Math.max(0, Math.min(5, Number(t.frequency ?? (t.examples?.length || 0)))),
-      examples: Array.isArray(t.examples) ? t.examples.slice(0,5) : []
-    };
-    obj.score = tacticScore(obj);
-    return obj;
-  });
+// ===== Delivery =====
+// Runs one delivery of a job and returns { status, body, retryAt? }. The status drives
+// redelivery (Pub/Sub push, or the local queue): 2xx acks, anything else is redelivered with
+// backoff. Only transient failures are redelivered. retryAt (epoch ms) is when the job will
+// next accept a delivery; the local queue schedules its redelivery for then.
+async function handleDelivery(jobId) {
+  const jobRef = jobsCol.doc(jobId);
 
-  // overall + contribution %
-  const seen = out.tactics.length ? out.tactics : [{ id:"other", score:0 }];
-  let num=0, den=0, sumWeightScore=0;
-  for (const t of seen){
-    const w = RISK_WEIGHTS[t.id] || 1.0;
-    num += (t.score/100) * w;
-    den += w;
-    sumWeightScore += (t.score) * w;
+  let claim;
+  try {
+    claim = await jobState.acquire(jobRef);
+  } catch (e) {
+    console.error('acquire error', jobId, e);
+    return { status: isTransient(e) ? 503 : 200, body: 'acquire-failed' };
   }
-  out.risk_score = Math.round(100 * (den ? num/den : 0));
-  out.risk_label = raw.risk_label || riskLabel(out.risk_score);
-  for (const t of out.tactics){
-    const w = RISK_WEIGHTS[t.id] || 1.0;
-    const part = (t.score) * w;
-    t.contribution_pct = sumWeightScore > 0 ? Math.round((part / sumWeightScore) * 1000)/10 : 0; // 1 dp
+  if (claim.skip) {
+    console.log(`job ${jobId}: skip (${claim.skip})`);
+    return { status: claim.retryable ? 409 : 200, body: claim.skip, retryAt: claim.retryAt || null };
   }
 
-  // receipts (flat or highlights)
-  out.receipts = Array.isArray(raw.receipts) ? raw.receipts.slice(0,30)
-                : Array.isArray(raw.receipts?.highlights) ? raw.receipts.highlights.slice(0,30)
-                : [];
-
-  return out;
-}
-
-// ===== default instructions (includes narrative_md) =====
-const DEFAULT_INSTRUCTIONS = `
-You are Toxella. Analyze 2–3 chat/screenshot texts for manipulation.
-
-Return STRICT JSON only with this schema (no prose outside JSON):
-
-{
-  "risk_score": 0-100,
-  "risk_label": "low" | "medium" | "high",
-  "confidence": 0.0-1.0,
-  "tactics": [
-    { "id": "<one of: gaslighting, darvo, blame-shifting, minimization, stonewalling, contempt, guilt-tripping, threats, coercion, triangulation, boundaries, projection>",
-      "name": "Human name",
-      "likelihood": 0-1,
-      "severity": 1-5,
-      "frequency": 0-5,
-      "examples": ["<=280 chars", "..."]
+  const metrics = createJobMetrics();
+  try {
+    await processJob(jobId, jobRef, claim.job, metrics);
+    await saveMetrics(jobRef, metrics, { status: 'complete' });
+    return { status: 200, body: 'ok' }; // ack
+  } catch (e) {
+    const transient = isTransient(e);
+    const code = errorCode(e);
+    if (code === 'user_deleted') {
+      console.log(`job ${jobId}: deleted while processing, discarding output`);
+      await discardOutputs(jobId, claim.job).catch(e2 => console.error('discard error', jobId, e2.message));
+      await saveMetrics(jobRef, metrics, { status: 'user_deleted', code });
+      return { status: 200, body: 'user_deleted' };
     }
-  ],
-  "receipts": [
-    { "quote": "<=280 chars>", "category": "<tactic id or 'other'>", "source_hint": "filename/page", "severity": 1-5 }
-  ],
-  "kpis": { "communication_balance": 0-100, "emotional_stability": 0-100 },
-
-  "narrative_md": "A human-readable FULL REPORT in Markdown, with sections and emoji like:\\n\\n📑 Toxella Manipulation Report\\nContact Analyzed: '<name or Unknown>'\\nConversation Window: <start–end if inferable or Unknown>\\nTotal Messages Analyzed: <approx count>\\n\\n🔢 Scores\\nManipulation Risk: <risk_score> / 100 (<risk_label>)\\nCommunication Balance: <if known, else omit>\\nEmotional Stability: <if known, else omit>\\nConfidence: <High/Medium/Low> (<confidence as 0.xx>)\\n\\n🧩 Tactic Breakdown\\n1. <Tactic name>\\nLikelihood: <High/Med/Low> (p≈0.xx)\\nContribution to Risk: <xx.x%>\\nExamples:\\n- \\\"<quote 1>\\\"\\n- \\\"<quote 2>\\\"\\n(Do 3–7 tactics)\\n\\n📌 Receipts (Flagged Quotes)\\n<group by category with short lists>\\n\\n📊 Summary\\n<2–4 sentence summary in neutral tone>\\n\\n✅ Suggested Responses (Non-Escalating)\\n- \\\"<scripted reply 1>\\\"\\n- \\\"<scripted reply 2>\\\"\\n\\n🚦 Risk Level: <LOW/MEDIUM/HIGH>"
+    console.error(`worker error job=${jobId} attempt=${claim.job.attempts} code=${code} transient=${transient}`, e);
+    let failed = { state: null, retryAt: null };
+    try {
+      failed = await jobState.fail(jobRef, { code, message: e.message || String(e), transient });
+    } catch (e2) {
+      console.error('failed to record job failure', e2.message);
+    }
+    const { state, retryAt } = failed;
+    await saveMetrics(jobRef, metrics, { status: state || 'error', code });
+    // Nack only when the job went back to queued; everything else is final.
+    return { status: state === 'queued' ? 503 : 200, body: state || 'error', retryAt };
+  }
 }
 
-Rules:
-- ALWAYS include 3–12 receipts if any quotable text exists (trim to ≤280 chars each).
-- Include the top 5 tactics by likelihood; if none exceed 0.15, include at least 3 with low likelihood values.
-- severity: 1=mild snark, 5=explicit threat/coercion/psych harm.
-- frequency = distinct quotes (cap 5).
-- Trim phone UI boilerplate (e.g., “Messages”, “iMessage”, timestamps) unless meaning-critical.
-- Redact names/phones where possible.
-- Output VALID JSON ONLY. No markdown outside the "narrative_md" field.
-`;
-
-// ===== LLM call =====
-function extractJson(text){
-  try{
-    const s = text.indexOf('{');
-    const e = text.lastIndexOf('}');
-    if (s >= 0 && e > s) return JSON.parse(text.slice(s, e+1));
-  }catch{}
-  return {};
-}
+// ===== Pub/Sub push endpoint =====
+app.post('/_pubsub/analyze', async (req, res) => {
+  const msg = req.body?.message;
+  if (!msg || !msg.data) return res.status(200).send('no-message'); // ack to avoid retries
 
-async function analyzeWithOpenAI({ ocrText, instructions }) {
-  if (!openai) throw new Error('OPENAI_API_KEY not set');
-  const instr = (instructions && String(instructions).trim()) || DEFAULT_INSTRUCTIONS;
+  let jobId;
+  try {
+    ({ jobId } = JSON.parse(b64(msg.data)));
+  } catch {
+    return res.status(200).send('bad-message'); // ack: redelivery won't fix malformed data
+  }
+  if (!jobId) return res.status(200).send('bad-message');
+  const { status, body } = await handleDelivery(jobId);
+  return res.status(status).send(body);
+});
 
-  const resp = await openai.chat.completions.create({
-    model: LLM_MODEL,
-    temperature: 0.2,
-    max_tokens: 1400,
-    messages: [
-      { role: "system", content: instr },
-      { role: "user", content: `Analyze the following conversation text and return STRICT JSON only.\n\n${ocrText}` }
-    ],
-    response_format: { type: "json_object" }
+// ===== Local queue =====
+if (queue) {
+  queue.subscribe(async ({ jobId }) => {
+    if (!jobId) return 200;
+    const { status, retryAt } = await handleDelivery(jobId);
+    return { status, retryAt };
   });
+}
 
-  const text = resp.choices?.[0]?.message?.content || "{}";
-  // response_format usually ensures plain JSON, but we still guard:
-  const raw = extractJson(text) || {};
-  return normalizeReport(raw);
+// OCR — transient failures propagate (the whole job is retried); a file that can't be
+// read at all is recorded and skipped.
+async function ocrStage(jobRef, job, metrics) {
+  const files = job.files || [];
+  const images = [];
+  const fileStatus = [];
+  for (const [i, f] of files.entries()) {
+    try {
+      // JPEG/PNG/WebP/HEIC -> one or more OCR-ready JPEG tiles (see images.js)
+      const buf = await metrics.time('download', () => withRetry(() => blobs.read(f.path), { label: `download ${f.path}` }));
+      const tiles = await metrics.time('preprocess', () => prepareForOcr(buf));
+      metrics.count('tiles', tiles.length);
+      const annotations = [];
+      for (const tile of tiles) {
+        annotations.push(await metrics.time('ocr', () => withRetry(() => {
+          metrics.count('vision_calls');
+          return ocrBuffer(tile, job.languageHints);
+        }, { label: `ocr ${f.path}` })));
+      }
+      const image = readImage(annotations, i);
+      console.log(`OCR ${f.path}: ${tiles.length} tile(s), ${image.text.length} chars, ${image.messages.length} messages`);
+      images.push(image);
+      fileStatus.push({ index: i, status: 'done', tiles: tiles.length, messages: image.messages.length });
+    } catch (e) {
+      if (isTransient(e)) throw e;
+      console.warn('OCR failed for', f?.path, e.message);
+      fileStatus.push({ index: i, status: 'failed', code: errorCode(e) });
+    }
+    await jobState.progress(jobRef, { stage: 'ocr', filesTotal: files.length, filesDone: i + 1, files: fileStatus });
+  }
+
+  // Stitch overlapping scrolling captures (see pipeline.js).
+  const combined = combineImages(images);
+  const { stitch } = combined.meta;
+  console.log(`Stitched ${files.length} image(s): ${stitch.dropped} overlapping ${stitch.unit}s dropped`);
+  return { ...combined, fileStatus };
 }
 
-// ===== purge helper =====
-async function purgeImages(files) {
-  try {
-    await Promise.all(
-      (files||[]).map(f => storage.bucket(UPLOAD_BUCKET).file(f.path).delete({ ignoreNotFound: true }))
-    );
-    return true;
-  } catch (e) {
-    console.error('purgeImages error', e.message);
-    return false;
+// Pasted text (job.text) or a chat export (inline job.text, or an uploaded job.files[0]).
+async function textStage(job, metrics) {
+  let content = job.text;
+  if (!content && job.files?.[0]) {
+    const buf = await metrics.time('download', () => withRetry(
+      () => blobs.read(job.files[0].path),
+      { label: `download ${job.files[0].path}` }
+    ));
+    content = buf.toString('utf8');
   }
+  if (!content) throw jobError('empty_input', 'no text or export content');
+  const parsed = readText(content, { format: job.format || 'auto', speakers: job.speakers });
+  console.log(`Parsed ${parsed.meta.ingest.format}: ${parsed.transcript.length} messages`);
+  return {
+    ...parsed,
+    fileStatus: (job.files || []).map((_, index) => ({ index, status: 'done', messages: parsed.transcript.length }))
+  };
 }
 
-// ===== Pub/Sub push endpoint =====
-app.post('/_pubsub/analyze', async (req, res) => {
-  try {
-    const msg = req.body?.message;
-    if (!msg || !msg.data) return res.status(200).send('no-message'); // ack to avoid retries
+async function processJob(jobId, jobRef, job, metrics) {
+  // plan limit
+  const plan = await planForJob(job);
+  const maxAllowed = maxForPlan(plan);
+  const files = job.files || [];
+  metrics.set({ plan, images: job.source === 'images' || !job.source ? files.length : 0 });
+  if (files.length > maxAllowed) {
+    throw jobError('too_many_files', `max ${maxAllowed} for plan`);
+  }
 
-    const { jobId } = JSON.parse(b64(msg.data));
-    const jobRef = jobsCol.doc(jobId);
-    const jobSnap = await jobRef.get();
-    if (!jobSnap.exists) return res.status(200).send('job-not-found'); // ack
+  // Screenshots go through OCR; pasted text and chat exports are parsed directly.
+  const input = job.source === 'text' || job.source === 'export'
+    ? await textStage(job, metrics)
+    : await ocrStage(jobRef, job, metrics);
 
-    const job = jobSnap.data();
+  // Redact PII before the transcript is stored on the job or sent to a provider (see redact.js).
+  // The pasted original (job.text) is cleared when the job finishes (see jobState.js).
+  const redacted = redactInput(input, {
+    names: [job.speakers?.self, job.speakers?.contact, job.contactLabel, ...(job.redaction?.names || [])]
+  });
+  const { transcript, redactor } = redacted;
+  const redaction = redactor.summary();
+  console.log(`Redacted ${redaction.total} item(s)`);
+  console.log(`Input chars: ${redacted.text.length} (${transcript.length} messages)`);
+  // Detected from what was read; the report is written in the requested output language.
+  const language = {
+    detected: input.language.code,
+    confidence: input.language.confidence,
+    source: input.language.source,
+    output: job.outputLanguage || DEFAULT_OUTPUT_LANGUAGE
+  };
+  console.log(`Language: ${language.detected} (${language.source}, ${language.confidence}) -> report in ${language.output}`);
+  const progressBase = { stage: 'analyzing', filesTotal: files.length, filesDone: files.length, files: input.fileStatus };
+  await jobState.advance(jobRef, 'analyzing', { transcript, ...input.meta, language, progress: progressBase });
+
+  // Provider is chosen per deployment (ANALYSIS_PROVIDER) or per job; see providers/index.js.
+  // Long transcripts are analyzed in chunks and merged (see analysis.js); quotes are grounded.
+  const provider = providerForJob(job);
+  metrics.set({ provider: provider.name, model: provider.model });
+  const { report, analysis } = await metrics.time('llm', () => analyzeInput({
+    provider,
+    redacted,
+    instructions: job.instructions,
+    outputLanguage: language.output,
+    region: job.region || SAFETY_DEFAULT_REGION,
+    label: `analyze ${jobId}`,
+    onChunk: (chunksDone, chunksTotal) => jobState.progress(jobRef, { ...progressBase, chunksDone, chunksTotal })
+  }));
+  metrics.set({ usage: analysis.usage });
+  console.log(`Analysis: ${analysis.chunks} chunk(s), ~${analysis.estimatedTokens} tokens, ${analysis.calls} call(s)`);
+  console.log(`Grounding: ${report.grounding.verified}/${report.grounding.total} quotes verified`);
+  // Level and categories only: admin metrics count escalations without any content.
+  const categories = [...new Set(report.safety.triggers.map(t => t.category))];
+  metrics.set({ safety: { level: report.safety.level, categories } });
+  if (report.safety.level !== 'none') console.log(`Safety: ${report.safety.level} (${categories.join(', ')})`);
+  const rehydratable = !!job.redaction?.rehydrate && redaction.total > 0;
+  report.redaction = { ...redaction, rehydratable };
+  const source = job.source || 'images';
+  const reportJson = finalizeReport(report, {
+    source,
+    num_images: source === 'images' ? files.length : 0,
+    num_messages: transcript.length,
+    ...(language.detected !== 'und' ? { language: language.detected } : {})
+  });
 
-    // plan limit
-    const maxAllowed = maxForPlan(job.plan);
-    if ((job.files || []).length > maxAllowed) {
-      await jobRef.update({
-        status: 'error',
-        error: { code: 'too_many_files', message: `max ${maxAllowed} for plan` },
-        updatedAt: Firestore.FieldValue.serverTimestamp()
+  const reportId = jobId;
+  await jobState.ensureLive(jobRef);
+  await metrics.time('save', async () => {
+    if (rehydratable) {
+      await redactionsCol.doc(reportId).set({
+        reportId,
+        userId: job.userId || null,
+        jobId,
+        mapping: redactor.mapping,
+        createdAt: Firestore.FieldValue.serverTimestamp()
       });
-      return res.status(200).send('ok');
-    }
-
-    await jobRef.update({ status: 'processing', updatedAt: Firestore.FieldValue.serverTimestamp() });
-
-    // OCR
-    const texts = [];
-    for (const f of job.files || []) {
-      try {
-        const buf = await preprocessImageToBuffer(UPLOAD_BUCKET, f.path);
-        const fullText = await ocrBuffer(buf);
-        console.log(`OCR ${f.path}: ${fullText.length} chars`);
-        texts.push(fullText);
-      } catch (e) {
-        console.warn('OCR failed for', f?.path, e.message);
-      }
     }
-    const ocrCombined = cleanOcr(texts.join('\n\n'));
-    console.log(`OCR total chars after clean: ${ocrCombined.length}`);
-
-    // If OCR is empty, still send a minimal stub so UI shows something
-    const reportJson = await analyzeWithOpenAI({
-      ocrText: ocrCombined || 'NO_TEXT_EXTRACTED',
-      instructions: job.instructions
-    });
-
-    const reportId = jobId;
     await reportsCol.doc(reportId).set({
       reportId,
       userId: job.userId || null,
       jobId,
+      contactId: job.contactId || null,
+      contactLabel: job.contactLabel || null,
+      schema_version: reportJson.schema_version,
       json: reportJson,
+      provider: { name: provider.name, model: provider.model },
       images_deleted: false,
       createdAt: Firestore.FieldValue.serverTimestamp(),
       updatedAt: Firestore.FieldValue.serverTimestamp()
     });
+  });
 
-    // Best-effort purge (bucket lifecycle also applies)
-    const deleted = await purgeImages(job.files);
-    await jobRef.update({
-      status: 'complete',
-      reportId,
-      updatedAt: Firestore.FieldValue.serverTimestamp(),
-      ...(deleted ? {} : { warn: 'purge_failed_lifecycle_will_cleanup' })
+  // Best-effort purge (bucket lifecycle also applies)
+  const deleted = await metrics.time('purge', () => purgeImages(job.files));
+  await jobState.advance(jobRef, 'complete', {
+    reportId,
+    analysis,
+    error: null,
+    progress: { stage: 'complete', filesTotal: files.length, filesDone: files.length, files: input.fileStatus },
+    ...(deleted ? {} : { warn: 'purge_failed_lifecycle_will_cleanup' })
+  });
+  if (deleted) {
+    await reportsCol.doc(reportId).update({
+      images_deleted: true,
+      updatedAt: Firestore.FieldValue.serverTimestamp()
     });
-    if (deleted) {
-      await reportsCol.doc(reportId).update({
-        images_deleted: true,
-        updatedAt: Firestore.FieldValue.serverTimestamp()
-      });
-    }
-
-    return res.status(200).send('ok'); // ack
-  } catch (e) {
-    console.error('worker error', e);
-    // Mark job as failed but ACK so Pub/Sub doesn't retry forever
-    try {
-      const msg = req.body?.message;
-      const { jobId } = msg?.data ? JSON.parse(b64(msg.data)) : {};
-      if (jobId) {
-        await jobsCol.doc(jobId).update({
-          status: 'error',
-          error: String(e.message || e).slice(0, 500),
-          updatedAt: Firestore.FieldValue.serverTimestamp()
-        });
-      }
-    } catch {}
-    return res.status(200).send('ok');
   }
-});
+}
+
+// Prometheus scrape (job outcomes, stage latency, tokens, estimated cost); see metrics.js.
+app.get('/metrics', metricsHandler(metricsRegistry));
 
-app.get('/healthz', (_req, res) => res.json({ ok: true, bucket: UPLOAD_BUCKET, model: LLM_MODEL }));
+app.get('/healthz', (_req, res) => res.json({ ok: true, backend: BACKEND, bucket: UPLOAD_BUCKET, provider: DEFAULT_PROVIDER }));
+
+// Not started when required (api/dev.js runs it in-process with the API).
+if (require.main === module) {
+  app.listen(PORT, () => console.log(`Worker listening on ${PORT} • backend=${BACKEND} • bucket=${UPLOAD_BUCKET} • provider=${DEFAULT_PROVIDER}`));
+}
 
-app.listen(PORT, () => console.log(`Worker listening on ${PORT} • bucket=${UPLOAD_BUCKET} • model=${LLM_MODEL}`));
+module.exports = { app, handleDelivery };
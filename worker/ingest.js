@@ -0,0 +1,160 @@
+// ingest.js — turn pasted text and chat exports into the same transcript OCR produces.
+//
+// Supported inputs:
+//   plain     "Name: message" lines (pasted conversations); unlabelled text stays flat
+//   whatsapp  WhatsApp "Export chat" .txt (Android "12/31/23, 9:41 PM - Name: msg" and
+//             iOS "[31/12/2023, 21:41:05] Name: msg"), multi-line messages included
+//   telegram  Telegram Desktop JSON export (result.json)
+//   imessage  JSON array of { text, is_from_me|sender, date } (imessage-exporter and similar)
+//
+// Speakers: a name equal to `self` (or an explicit from-me flag) is "user"; a name equal to
+// `contact` is "other". With neither hint, the export's chat name is the contact (Telegram);
+// failing that the first author is assumed to be the other party and the job is flagged.
+
+const { jobError } = require('./errors');
+
+// Flat (unlabelled) text sent to analysis is capped; structured exports are capped by message count downstream.
+const MAX_TEXT_CHARS = 200000;
+
+const WA_ANDROID_RE = /^(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]\.?\s?m\.?)?)\s+[-–]\s+([^:]{1,60}?):\s?(.*)$/i;
+const WA_IOS_RE = /^‎?\[(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]\.?\s?m\.?)?)\]\s+([^:]{1,60}?):\s?(.*)$/i;
+// Lines that only start a WhatsApp system notice ("Messages and calls are end-to-end encrypted")
+const WA_SYSTEM_RE = /^‎?\[?\d{1,4}[./-]\d{1,2}[./-]\d{1,4},?\s+\d{1,2}:\d{2}/;
+const WA_MEDIA_RE = /^‎?<(?:media omitted|attached:[^>]*)>$|^‎?(?:image|video|audio|sticker|gif) omitted$/i;
+const PLAIN_RE = /^([A-Za-zÀ-ɏ][\w .'À-ɏ-]{0,29}):\s+(.+)$/;
+const SELF_NAMES = new Set(['me', 'i', 'myself', 'you (me)']);
+
+function norm(s){ return String(s || '').trim().toLowerCase(); }
+
+function speakerResolver({ self, contact, chatName } = {}){
+  const selfN = norm(self), contactN = norm(contact) || norm(chatName);
+  let first = null;
+  const state = { inferred: false };
+  function resolve(name, fromMe){
+    if (fromMe === true) return 'user';
+    if (fromMe === false) return 'other';
+    const n = norm(name);
+    if (selfN && n === selfN) return 'user';
+    if (contactN && n === contactN) return 'other';
+    if (selfN) return 'other';
+    if (contactN) return 'user';
+    if (SELF_NAMES.has(n)) return 'user';
+    // No hints: guess the first author is the other party and flag the guess on the job.
+    state.inferred = true;
+    if (first === null) first = n;
+    return n === first ? 'other' : 'user';
+  }
+  return { resolve, state };
+}
+
+function detectFormat(content){
+  const s = String(content || '').trimStart();
+  if (s.startsWith('{') || s.startsWith('[')) {
+    try {
+      const j = JSON.parse(s);
+      if (Array.isArray(j?.messages) || Array.isArray(j?.chats?.list)) return 'telegram';
+      if (Array.isArray(j)) return 'imessage';
+    } catch {}
+  }
+  const lines = s.split(/\r?\n/).slice(0, 20);
+  if (lines.some(l => WA_ANDROID_RE.test(l) || WA_IOS_RE.test(l))) return 'whatsapp';
+  return 'plain';
+}
+
+function parseWhatsApp(content, hints){
+  const { resolve, state } = speakerResolver(hints);
+  const out = [];
+  for (const line of String(content).split(/\r?\n/)) {
+    const m = WA_ANDROID_RE.exec(line) || WA_IOS_RE.exec(line);
+    if (m) {
+      const [, date, time, name, text] = m;
+      if (WA_MEDIA_RE.test(text.trim())) continue;
+      out.push({ speaker: resolve(name), text: text.trim(), ts: `${date} ${time}`, sourceImage: null });
+    } else if (WA_SYSTEM_RE.test(line)) {
+      continue; // timestamped line without "Name:" = system notice
+    } else if (out.length && line.trim()) {
+      out[out.length - 1].text += '\n' + line.trim(); // continuation of a multi-line message
+    }
+  }
+  return { messages: out.filter(m => m.text), inferred: state.inferred };
+}
+
+function telegramText(t){
+  if (typeof t === 'string') return t;
+  if (Array.isArray(t)) return t.map(p => (typeof p === 'string' ? p : p?.text || '')).join('');
+  return '';
+}
+
+function parseTelegram(content, hints){
+  const j = JSON.parse(content);
+  // Full-account export: pick the first personal chat; single-chat export: the object itself.
+  const chat = Array.isArray(j.messages) ? j : (j.chats.list.find(c => c.type === 'personal_chat') || j.chats.list[0]);
+  const selfName = hints.self || (j.personal_information ? [j.personal_information.first_name, j.personal_information.last_name].filter(Boolean).join(' ') : '');
+  const { resolve, state } = speakerResolver({ ...hints, self: selfName, chatName: chat?.name });
+  const out = [];
+  for (const m of chat?.messages || []) {
+    if (m.type !== 'message') continue;
+    const text = telegramText(m.text).trim();
+    if (!text) continue;
+    out.push({ speaker: resolve(m.from), text, ...(m.date ? { ts: m.date } : {}), sourceImage: null });
+  }
+  return { messages: out, inferred: state.inferred };
+}
+
+function parseIMessage(content, hints){
+  const arr = JSON.parse(content);
+  const { resolve, state } = speakerResolver(hints);
+  const out = [];
+  for (const m of Array.isArray(arr) ? arr : []) {
+    const text = String(m?.text ?? m?.body ?? m?.message ?? '').trim();
+    if (!text) continue;
+    const fromMe = m.is_from_me ?? m.isFromMe ?? m.fromMe;
+    const speaker = resolve(m.sender ?? m.from ?? m.handle ?? m.author, fromMe === undefined ? undefined : !!fromMe);
+    const ts = m.date ?? m.timestamp ?? null;
+    out.push({ speaker, text, ...(ts ? { ts: String(ts) } : {}), sourceImage: null });
+  }
+  return { messages: out, inferred: state.inferred };
+}
+
+// "Name: message" lines. Needs most non-empty lines labelled, else we keep the text flat.
+function parsePlain(content, hints){
+  const lines = String(content).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const labelled = lines.filter(l => PLAIN_RE.test(l)).length;
+  if (!lines.length || labelled / lines.length < 0.6) return { messages: [], inferred: false };
+  const { resolve, state } = speakerResolver(hints);
+  const out = [];
+  for (const line of lines) {
+    const m = PLAIN_RE.exec(line);
+    if (m) out.push({ speaker: resolve(m[1]), text: m[2].trim(), sourceImage: null });
+    else if (out.length) out[out.length - 1].text += '\n' + line;
+  }
+  return { messages: out, inferred: state.inferred };
+}
+
+const PARSERS = { whatsapp: parseWhatsApp, telegram: parseTelegram, imessage: parseIMessage, plain: parsePlain };
+
+/**
+ * @param content  raw text or JSON string
+ * @param opts     { format?: 'auto'|'plain'|'whatsapp'|'telegram'|'imessage', self?, contact? }
+ * @returns { format, messages, flatText, inferredSpeakers }
+ */
+function parseConversation(content, { format = 'auto', self, contact } = {}){
+  const text = String(content || '');
+  const fmt = !format || format === 'auto' ? detectFormat(text) : format;
+  const parser = PARSERS[fmt];
+  if (!parser) throw jobError('unsupported_format', `unsupported format: ${fmt}`);
+  let parsed;
+  try {
+    parsed = parser(text, { self, contact });
+  } catch (e) {
+    throw jobError('parse_failed', `could not parse ${fmt} export: ${e.message}`);
+  }
+  return {
+    format: fmt,
+    messages: parsed.messages,
+    flatText: parsed.messages.length ? '' : text.trim().slice(0, MAX_TEXT_CHARS),
+    inferredSpeakers: parsed.inferred
+  };
+}
+
+module.exports = { parseConversation, detectFormat, MAX_TEXT_CHARS, FORMATS: Object.keys(PARSERS) };
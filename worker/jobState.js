@@ -0,0 +1,191 @@
+// jobState.js — job lifecycle state machine, attempt counting and processing lease.
+//
+//   uploaded → queued → ocr → analyzing → complete
+//                 ↑______|________|            (transient failure: back to queued, retried)
+//   any non-terminal → error | dead_letter     (permanent failure | attempts exhausted)
+//   any → user_deleted
+//
+// Every transition is validated and written in a Firestore transaction. While a worker
+// processes a job it holds a lease (leaseOwner/leaseUntil) so duplicate Pub/Sub deliveries
+// don't run the same job twice.
+
+const crypto = require('crypto');
+const { Firestore } = require('@google-cloud/firestore');
+
+const TRANSITIONS = {
+  uploaded:     ['queued', 'ocr', 'error', 'user_deleted'],
+  queued:       ['ocr', 'error', 'dead_letter', 'user_deleted'],
+  ocr:          ['analyzing', 'queued', 'error', 'dead_letter', 'user_deleted'],
+  analyzing:    ['complete', 'queued', 'error', 'dead_letter', 'user_deleted'],
+  complete:     ['user_deleted'],
+  error:        ['user_deleted'],
+  dead_letter:  ['user_deleted'],
+  user_deleted: []
+};
+const TERMINAL = new Set(['complete', 'error', 'dead_letter', 'user_deleted']);
+// Pre-state-machine docs used "processing" for everything between queued and complete.
+const LEGACY = { processing: 'ocr' };
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS || String(10 * 60 * 1000), 10);
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS || '30000', 10);
+
+const WORKER_ID = `${process.env.K_REVISION || 'worker'}-${crypto.randomBytes(4).toString('hex')}`;
+
+class TransitionError extends Error {
+  constructor(from, to) {
+    super(`invalid job transition ${from} → ${to}`);
+    this.from = from;
+    this.to = to;
+    this.transient = false;
+  }
+}
+
+function stateOf(job){
+  // Older /delete-all only set the flag, without touching status.
+  if (job?.userDeleted) return 'user_deleted';
+  const s = job?.status || 'uploaded';
+  return LEGACY[s] || s;
+}
+
+function canTransition(from, to){
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function ts(){ return Firestore.FieldValue.serverTimestamp(); }
+
+// Pasted text is kept on the job only while an attempt may still need to re-read it; once the
+// job is finished it is cleared, so the unredacted original doesn't outlive the analysis.
+function clearInput(){ return { text: Firestore.FieldValue.delete() }; }
+
+function backoffMs(attempts){
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), 60 * 60 * 1000);
+}
+
+function createJobState(firestore){
+  // Claim a job for processing. Returns { job } on success, or { skip, retryable, retryAt? }
+  // when this delivery should not run (terminal, someone else holds the lease, or backoff not
+  // elapsed). retryAt (epoch ms) is when a redelivery can next succeed.
+  async function acquire(jobRef){
+    return firestore.runTransaction(async tx => {
+      const snap = await tx.get(jobRef);
+      if (!snap.exists) return { skip: 'job-not-found' };
+      const job = snap.data();
+      const from = stateOf(job);
+      if (TERMINAL.has(from)) return { skip: `already-${from}` };
+
+      const now = Date.now();
+      const leaseUntil = job.leaseUntil?.toMillis?.() || 0;
+      if (job.leaseOwner && job.leaseOwner !== WORKER_ID && leaseUntil > now) {
+        return { skip: 'leased', retryable: true, retryAt: leaseUntil };
+      }
+      const notBefore = job.nextAttemptAt?.toMillis?.() || 0;
+      if (notBefore > now) return { skip: 'backoff', retryable: true, retryAt: notBefore };
+
+      const attempts = (job.attempts || 0) + 1;
+      if (attempts > MAX_ATTEMPTS) {
+        tx.update(jobRef, {
+          status: 'dead_letter',
+          error: job.error || { code: 'max_attempts', message: `gave up after ${MAX_ATTEMPTS} attempts` },
+          leaseOwner: null, leaseUntil: null,
+          ...clearInput(),
+          updatedAt: ts()
+        });
+        return { skip: 'dead_letter' };
+      }
+      // ocr/analyzing here means the previous holder's lease expired mid-stage; restart from ocr.
+      const restarting = from === 'ocr' || from === 'analyzing';
+      if (!restarting && !canTransition(from, 'ocr')) throw new TransitionError(from, 'ocr');
+
+      tx.update(jobRef, {
+        status: 'ocr',
+        attempts,
+        leaseOwner: WORKER_ID,
+        leaseUntil: Firestore.Timestamp.fromMillis(now + LEASE_MS),
+        nextAttemptAt: null,
+        progress: { stage: 'ocr', filesTotal: (job.files || []).length, filesDone: 0, files: [] },
+        attemptStartedAt: ts(),
+        updatedAt: ts()
+      });
+      return { job: { ...job, status: 'ocr', attempts } };
+    });
+  }
+
+  // Validated transition while holding the lease. Extends the lease as a side effect.
+  async function advance(jobRef, to, extra = {}){
+    return firestore.runTransaction(async tx => {
+      const snap = await tx.get(jobRef);
+      const job = snap.data() || {};
+      const from = stateOf(job);
+      if (from === 'user_deleted') throw Object.assign(new TransitionError(from, to), { errorCode: 'user_deleted' });
+      if (job.leaseOwner !== WORKER_ID) throw Object.assign(new Error('lease lost'), { errorCode: 'lease_lost', transient: false });
+      if (from !== to && !canTransition(from, to)) throw new TransitionError(from, to);
+      const done = TERMINAL.has(to);
+      tx.update(jobRef, {
+        status: to,
+        ...extra,
+        ...(done
+          ? { leaseOwner: null, leaseUntil: null, ...clearInput() }
+          : { leaseUntil: Firestore.Timestamp.fromMillis(Date.now() + LEASE_MS) }),
+        updatedAt: ts()
+      });
+    });
+  }
+
+  // Throws errorCode 'user_deleted' if the job was deleted (or removed) since it was acquired.
+  // Called right before results are written so a deleted job leaves nothing behind.
+  async function ensureLive(jobRef){
+    const snap = await jobRef.get();
+    if (!snap.exists || stateOf(snap.data()) === 'user_deleted') {
+      throw Object.assign(new Error('job deleted by user'), { errorCode: 'user_deleted', transient: false });
+    }
+  }
+
+  // Progress within the current stage; cheap (no transaction) and also renews the lease.
+  async function progress(jobRef, progress){
+    await jobRef.update({
+      progress,
+      leaseUntil: Firestore.Timestamp.fromMillis(Date.now() + LEASE_MS),
+      updatedAt: ts()
+    });
+  }
+
+  // Record a failed attempt: permanent → error; transient → queued with backoff, or
+  // dead_letter once attempts are exhausted. Returns { state, retryAt }: the state written and,
+  // when requeued, the epoch ms from which the next attempt may run.
+  async function fail(jobRef, { code, message, transient }){
+    return firestore.runTransaction(async tx => {
+      const snap = await tx.get(jobRef);
+      if (!snap.exists) return { state: null, retryAt: null };
+      const job = snap.data();
+      const from = stateOf(job);
+      if (TERMINAL.has(from)) return { state: from, retryAt: null };
+      const attempts = job.attempts || 0;
+      const error = { code, message: String(message || '').slice(0, 500), attempt: attempts, transient: !!transient };
+      const to = !transient ? 'error' : attempts >= MAX_ATTEMPTS ? 'dead_letter' : 'queued';
+      const retryAt = to === 'queued' ? Date.now() + backoffMs(attempts) : null;
+      tx.update(jobRef, {
+        status: to,
+        error,
+        leaseOwner: null,
+        leaseUntil: null,
+        ...(to === 'queued' ? { nextAttemptAt: Firestore.Timestamp.fromMillis(retryAt) } : clearInput()),
+        updatedAt: ts()
+      });
+      return { state: to, retryAt };
+    });
+  }
+
+  return { acquire, advance, ensureLive, progress, fail };
+}
+
+module.exports = {
+  createJobState,
+  canTransition,
+  stateOf,
+  TransitionError,
+  TRANSITIONS,
+  TERMINAL,
+  MAX_ATTEMPTS,
+  WORKER_ID
+};
@@ -0,0 +1,191 @@
+// language.js — conversation language detection and per-locale chat UI strings.
+//
+// Vision reports detected languages per page; when it doesn't (or for pasted text and
+// exports), a stopword count picks among the languages below, with a script check for
+// non-Latin text. The UI tables drive transcript.js's boilerplate stripping: status lines
+// ("Leído", "Gelesen"), day headers ("Hoy", "Gestern") and 12h/24h clocks per locale.
+
+// ===== Detection =====
+const STOPWORDS = {
+  en: 'the and you that is to it what are this not have with was for my me your just i\'m don\'t can\'t',
+  es: 'que de no el la es y en lo un por qué me una te los se con para mi está pero eso yo tú',
+  fr: 'je de est pas le la tu que et les un une il vous ne ça c\'est moi toi mais pour avec qui',
+  de: 'ich du nicht das ist die der und es sie zu ein was mir mich dich wir hast bist auch aber mit wenn',
+  pt: 'que não de é o a você eu um uma para com do da em me te isso mas está tá por meu minha',
+  it: 'che non di è il la e un per mi ti sono ma con cosa io tu questo anche sei hai ho',
+  nl: 'ik je het de een niet dat is en van wat jij mij maar met voor ook zijn heb hebt'
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([k, v]) => [k, new Set(v.split(' '))]));
+// Letters that only (or mostly) one of the Latin-script languages uses.
+const MARKERS = { es: /[ñ¿¡]/g, pt: /[ãõ]/g, de: /[ßäöü]/g, fr: /[œêè]/g };
+// Script -> language for text that isn't Latin at all.
+const SCRIPTS = [
+  ['ru', /\p{Script=Cyrillic}/u], ['ar', /\p{Script=Arabic}/u], ['he', /\p{Script=Hebrew}/u],
+  ['el', /\p{Script=Greek}/u], ['ko', /\p{Script=Hangul}/u], ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ['zh', /\p{Script=Han}/u], ['hi', /\p{Script=Devanagari}/u], ['th', /\p{Script=Thai}/u]
+];
+const MIN_WORDS = 3;
+const UNKNOWN = { code: 'und', confidence: 0, source: 'none' };
+
+function baseCode(tag){ return String(tag || '').toLowerCase().split(/[-_]/)[0]; }
+
+// Vision's page-level detectedLanguages -> { code, confidence } of the top one, or null.
+function visionLanguage(annotation){
+  const langs = annotation?.pages?.[0]?.property?.detectedLanguages || [];
+  const top = [...langs].filter(l => l.languageCode).sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0];
+  return top ? { code: baseCode(top.languageCode), confidence: top.confidence || 0 } : null;
+}
+
+function heuristicLanguage(text){
+  const s = String(text || '').toLowerCase();
+  for (const [code, re] of SCRIPTS) {
+    const n = (s.match(new RegExp(re.source, 'gu')) || []).length;
+    if (n >= 5) return { code, confidence: 0.9 };
+  }
+  const words = s.match(/[\p{L}']+/gu) || [];
+  if (words.length < MIN_WORDS) return null;
+  const scores = Object.fromEntries(Object.keys(STOPWORD_SETS).map(k => [k, 0]));
+  for (const w of words) for (const [k, set] of Object.entries(STOPWORD_SETS)) if (set.has(w)) scores[k]++;
+  for (const [k, re] of Object.entries(MARKERS)) scores[k] += (s.match(re) || []).length * 0.5;
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[code, best], [, second]] = ranked;
+  if (!best) return null;
+  // Margin over the runner-up, discounted when few words were stopwords at all.
+  const coverage = Math.min(1, (3 * best) / words.length);
+  return { code, confidence: Math.round(((best - second) / best) * coverage * 100) / 100 };
+}
+
+/**
+ * Detect the language of OCR output or pasted text.
+ * @param text        plain text
+ * @param annotation  Vision fullTextAnnotation, when the text came from OCR
+ * @returns { code: ISO 639-1 or 'und', confidence: 0-1, source: 'vision'|'heuristic'|'none' }
+ */
+function detectLanguage(text, { annotation } = {}){
+  const v = visionLanguage(annotation);
+  if (v && v.code !== 'und') return { ...v, source: 'vision' };
+  const h = heuristicLanguage(text);
+  return h ? { ...h, source: 'heuristic' } : UNKNOWN;
+}
+
+// Combine per-image detections, weighted by how much text each covered.
+function dominantLanguage(detections){
+  const weights = new Map();
+  for (const { code, confidence, weight = 1 } of detections) {
+    if (!code || code === 'und') continue;
+    const w = weights.get(code) || { weight: 0, confidence: 0, n: 0 };
+    weights.set(code, { weight: w.weight + weight, confidence: w.confidence + confidence, n: w.n + 1 });
+  }
+  const top = [...weights.entries()].sort((a, b) => b[1].weight - a[1].weight)[0];
+  if (!top) return UNKNOWN;
+  const source = detections.find(d => d.code === top[0])?.source || 'heuristic';
+  return { code: top[0], confidence: Math.round((top[1].confidence / top[1].n) * 100) / 100, source };
+}
+
+// ===== Chat UI strings =====
+// status: whole-line app chrome. days: words that open a date header and may stand alone
+// ("Yesterday"). short: day abbreviations, only a header when a date or time follows ("Mo.,
+// 4. März"): on their own they are ordinary words ("So", "Do", "Sun"). months: month names
+// and abbreviations a written date is built from. at: joins date and time.
+const UI = {
+  en: {
+    status: ['messages', 'imessage', 'text message', 'sms', 'delivered', 'read', 'seen', 'sent', 'edited'],
+    days: ['today', 'yesterday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    short: ['mon', 'tue', 'tues', 'wed', 'thu', 'thurs', 'fri', 'sat', 'sun'],
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+      'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'],
+    at: ['at']
+  },
+  es: {
+    status: ['mensajes', 'mensaje de texto', 'entregado', 'leído', 'leido', 'visto', 'enviado', 'editado'],
+    days: ['hoy', 'ayer', 'lunes', 'martes', 'miércoles', 'miercoles', 'jueves', 'viernes', 'sábado', 'sabado', 'domingo'],
+    short: ['lun', 'mar', 'mié', 'mie', 'jue', 'vie', 'sáb', 'sab', 'dom'],
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'setiembre', 'octubre', 'noviembre', 'diciembre',
+      'ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'sept', 'oct', 'nov', 'dic'],
+    at: ['a las', 'a la']
+  },
+  fr: {
+    status: ['messages', 'message texte', 'distribué', 'remis', 'lu', 'vu', 'envoyé', 'modifié'],
+    days: ["aujourd'hui", 'aujourd’hui', 'hier', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi', 'dimanche'],
+    short: ['lun', 'mar', 'mer', 'jeu', 'ven', 'sam', 'dim'],
+    months: ['janvier', 'février', 'fevrier', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'aout', 'septembre', 'octobre', 'novembre', 'décembre', 'decembre',
+      'janv', 'févr', 'fevr', 'avr', 'juil', 'sept', 'oct', 'nov', 'déc', 'dec'],
+    at: ['à']
+  },
+  de: {
+    status: ['nachrichten', 'zugestellt', 'gelesen', 'gesehen', 'gesendet', 'bearbeitet'],
+    days: ['heute', 'gestern', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag', 'sonntag'],
+    short: ['mo', 'di', 'mi', 'do', 'fr', 'sa', 'so'],
+    months: ['januar', 'jänner', 'februar', 'märz', 'maerz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember',
+      'jan', 'feb', 'mär', 'mrz', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'okt', 'nov', 'dez'],
+    at: ['um']
+  },
+  pt: {
+    status: ['mensagens', 'entregue', 'lida', 'lido', 'visto', 'vista', 'visualizada', 'enviada', 'enviado', 'editada'],
+    days: ['hoje', 'ontem', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado', 'sabado', 'domingo'],
+    short: ['seg', 'ter', 'qua', 'qui', 'sex', 'sáb', 'sab', 'dom'],
+    months: ['janeiro', 'fevereiro', 'março', 'marco', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro',
+      'jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'],
+    at: ['às', 'as']
+  },
+  it: {
+    status: ['messaggi', 'consegnato', 'letto', 'visualizzato', 'inviato', 'modificato'],
+    days: ['oggi', 'ieri', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato', 'domenica'],
+    short: ['lun', 'mar', 'mer', 'gio', 'ven', 'sab', 'dom'],
+    months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre',
+      'gen', 'feb', 'mar', 'apr', 'mag', 'giu', 'lug', 'ago', 'set', 'ott', 'nov', 'dic'],
+    at: ['alle']
+  }
+};
+const UI_LANGUAGES = Object.keys(UI);
+
+function escapeRe(s){ return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+function alt(words){ return [...new Set(words)].sort((a, b) => b.length - a.length).map(escapeRe).join('|'); }
+
+// 12h ("9:41 PM", "9:41 p. m."), 24h ("21:41", "21h41") and German "21:41 Uhr".
+const CLOCK = '[0-2]?\\d[:h][0-5]\\d(?:\\s?(?:[ap]\\.?\\s?m\\.?|uhr))?';
+// "Mar 4", "4 mars", "4. März", "4 de marzo de 2024", "04/03/2024". `months` is an alternation
+// of month names, so a word followed by a number ("Wait 10") is not a date.
+function datePattern(months){
+  const month = `(?:${months})(?![\\p{L}])\\.?`;
+  return `(?:${month}\\s+\\d{1,2}(?:,\\s*\\d{4})?|\\d{1,2}\\.?\\s+(?:de\\s+)?${month}(?:\\s+(?:de\\s+)?\\d{4})?|\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4})`;
+}
+
+const patternCache = new Map();
+
+// Regexes for the given languages (English always included). An unknown language gets all
+// of them: whole-paragraph matches are conservative enough to apply across locales.
+function uiPatterns(code){
+  const langs = UI[code] ? [...new Set([code, 'en'])] : UI_LANGUAGES;
+  const key = langs.join(',');
+  if (patternCache.has(key)) return patternCache.get(key);
+  const status = alt(langs.flatMap(l => UI[l].status));
+  const days = alt(langs.flatMap(l => UI[l].days));
+  const short = alt(langs.flatMap(l => UI[l].short));
+  const at = alt(langs.flatMap(l => UI[l].at));
+  const date = datePattern(alt(langs.flatMap(l => UI[l].months)));
+  // A date and/or a clock time; every header needs one of them unless it is a whole day word.
+  const when = `(?:${date}(?:\\s*,?\\s*(?:(?:${at})\\s+)?${CLOCK})?|(?:(?:${at})\\s+)?${CLOCK})`;
+  const p = {
+    // Whole-paragraph UI chrome (status lines, app titles), optionally followed by a time.
+    boilerplate: new RegExp(`^(?:${status})(?![\\p{L}])[\\s\\d:.h]*(?:[ap]\\.?\\s?m\\.?|uhr)?$`, 'iu'),
+    // Whole-paragraph timestamp headers, e.g. "Today 9:41 AM", "Ayer 21:05", "Mo., 4. März um 10:12".
+    tsHeader: new RegExp(`^(?:(?:${days})(?![\\p{L}])\\.?(?:,?\\s*${when})?|(?:(?:${short})\\.?,?\\s+)?${when})$`, 'iu'),
+    // A bare clock time on its own line.
+    clock: new RegExp(`^${CLOCK}$`, 'i'),
+    // A clock time trailing a bubble, as WhatsApp/Telegram render it inside the bubble.
+    trailingTs: new RegExp(`\\s+(${CLOCK})\\s*(?:✓✓?|√√?)?$`, 'i')
+  };
+  patternCache.set(key, p);
+  return p;
+}
+
+// ===== Output language =====
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// 'es' -> 'Spanish'; falls back to the tag itself.
+function languageName(tag){
+  try { return displayNames.of(tag) || tag; } catch { return tag; }
+}
+
+module.exports = { detectLanguage, dominantLanguage, uiPatterns, languageName, baseCode, UI_LANGUAGES };
@@ -0,0 +1,109 @@
+// metrics.js — per-job cost and latency accounting, plus the worker's Prometheus metrics.
+//
+// Each delivery gets a recorder: stages are timed (download, preprocess, ocr, llm, save,
+// purge), Vision calls and tiles counted, and token usage priced per model. The summary is
+// stored on the job as `metrics` (aggregated by the API's GET /admin/metrics) and fed into
+// the process-wide Prometheus registry served at /metrics.
+
+const { createRegistry } = require('../shared/prometheus');
+
+// ===== Pricing =====
+// USD per 1M tokens. LLM_PRICES (JSON, same shape) adds or overrides models.
+const DEFAULT_PRICES = {
+  'gpt-4o':       { input: 2.5,  output: 10 },
+  'gpt-4o-mini':  { input: 0.15, output: 0.6 },
+  'gpt-4.1':      { input: 2,    output: 8 },
+  'gpt-4.1-mini': { input: 0.4,  output: 1.6 }
+};
+const LLM_PRICES = { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES || '{}') };
+// Cloud Vision DOCUMENT_TEXT_DETECTION, USD per 1000 images (tiles).
+const VISION_PRICE_PER_1000 = parseFloat(process.env.VISION_PRICE_PER_1000 || '1.5');
+// Providers that run without a per-token bill.
+const FREE_PROVIDERS = new Set(['rules']);
+
+function round6(n){ return Math.round(n * 1e6) / 1e6; }
+
+// null when the model has no known price (cost unknown, not zero).
+function llmCost({ provider, model, usage }){
+  if (FREE_PROVIDERS.has(provider)) return 0;
+  if (!usage) return 0;
+  const p = LLM_PRICES[model];
+  if (!p) return null;
+  return round6(((usage.prompt_tokens || 0) * p.input + (usage.completion_tokens || 0) * p.output) / 1e6);
+}
+
+function visionCost(calls){
+  return round6(calls * VISION_PRICE_PER_1000 / 1000);
+}
+
+// ===== Prometheus =====
+const registry = createRegistry({ prefix: 'toxella_worker_' });
+const jobsTotal = registry.counter('jobs_total', 'Job deliveries by outcome', ['status', 'code', 'plan', 'model']);
+const jobSeconds = registry.histogram('job_seconds', 'Wall time per delivery', ['status']);
+const stageSeconds = registry.histogram('stage_seconds', 'Time spent per processing stage', ['stage']);
+const tokensTotal = registry.counter('llm_tokens_total', 'LLM tokens used', ['model', 'kind']);
+const costTotal = registry.counter('cost_usd_total', 'Estimated spend', ['kind', 'model']);
+const visionCalls = registry.counter('vision_calls_total', 'Cloud Vision OCR requests');
+const safetyEscalations = registry.counter('safety_escalations_total', 'Completed reports with a safety escalation', ['level', 'category']);
+
+// ===== Per-job recorder =====
+function createJobMetrics(){
+  const started = Date.now();
+  const stages = {};
+  const counts = { vision_calls: 0, tiles: 0 };
+  const info = { provider: null, model: null, usage: null, plan: null, images: 0, safety: null };
+
+  function add(stage, ms){ stages[stage] = (stages[stage] || 0) + ms; }
+
+  // Times fn() under `stage`; failed attempts count too.
+  async function time(stage, fn){
+    const t = Date.now();
+    try { return await fn(); }
+    finally { add(stage, Date.now() - t); }
+  }
+
+  function count(name, n = 1){ counts[name] = (counts[name] || 0) + n; }
+  function set(fields){ Object.assign(info, fields); }
+
+  // -> the `metrics` object stored on the job; also updates Prometheus.
+  function finish({ status, code = null }){
+    const llm = llmCost(info);
+    const vision = visionCost(counts.vision_calls);
+    const summary = {
+      status,
+      code,
+      total_ms: Date.now() - started,
+      stages_ms: { ...stages },
+      images: info.images,
+      tiles: counts.tiles,
+      vision_calls: counts.vision_calls,
+      provider: info.provider,
+      model: info.model,
+      plan: info.plan,
+      usage: info.usage,
+      safety: info.safety,
+      cost_usd: { llm, vision, total: llm === null ? null : round6(llm + vision) }
+    };
+
+    const model = info.model || 'none';
+    jobsTotal.inc({ status, code: code || '', plan: info.plan || 'unknown', model });
+    jobSeconds.observe({ status }, summary.total_ms / 1000);
+    for (const [stage, ms] of Object.entries(stages)) stageSeconds.observe({ stage }, ms / 1000);
+    if (info.usage) {
+      tokensTotal.inc({ model, kind: 'prompt' }, info.usage.prompt_tokens || 0);
+      tokensTotal.inc({ model, kind: 'completion' }, info.usage.completion_tokens || 0);
+    }
+    if (llm) costTotal.inc({ kind: 'llm', model }, llm);
+    if (vision) costTotal.inc({ kind: 'vision', model: 'vision' }, vision);
+    if (counts.vision_calls) visionCalls.inc({}, counts.vision_calls);
+    // Once per report, not per failed attempt.
+    if (status === 'complete' && info.safety && info.safety.level !== 'none') {
+      for (const category of info.safety.categories) safetyEscalations.inc({ level: info.safety.level, category });
+    }
+    return summary;
+  }
+
+  return { time, add, count, set, finish };
+}
+
+module.exports = { createJobMetrics, llmCost, visionCost, registry, LLM_PRICES };
@@ -0,0 +1,98 @@
+// pipeline.js — the analysis path from what was read to a grounded report, without I/O.
+//
+// OCR annotations or conversation text -> transcript (per-locale UI cleanup, stitching) ->
+// PII redaction -> provider (chunked when long) -> normalizeReport -> grounding -> safety
+// escalation. The worker (index.js) wraps these steps with downloads, retries, job state and
+// metrics; the eval harness (eval/) runs them directly over a labelled corpus.
+
+const { cleanOcr, buildTranscript, renderTranscript, MAX_MESSAGES } = require('./transcript');
+const { stitchTranscripts, stitchTexts, mergeTiles } = require('./stitch');
+const { parseConversation } = require('./ingest');
+const { groundReport } = require('./grounding');
+const { applySafety } = require('./safety');
+const { runAnalysis } = require('./analysis');
+const { createRedactor } = require('./redact');
+const { detectLanguage, dominantLanguage } = require('./language');
+
+// ===== Reading =====
+// One image's Vision annotations (one per tile) -> { index, messages, text, detections }.
+function readImage(annotations, index){
+  const detections = [];
+  const tileMessages = annotations.map(annotation => {
+    // Detect per tile so the right locale's status lines and date headers are stripped.
+    const lang = detectLanguage(annotation.text, { annotation });
+    detections.push({ ...lang, weight: (annotation.text || '').length });
+    return buildTranscript(annotation, index, { language: lang.code });
+  });
+  const text = annotations.map(a => a.text || '').join('\n');
+  return { index, messages: mergeTiles(tileMessages), text, detections };
+}
+
+// readImage results (files that failed are left out) -> { transcript, flatText, language, meta }.
+// Overlapping scrolling captures are stitched; layout-less OCR (e.g. a photo of a document)
+// falls back to stitching the flat text line by line. One layout-less image among chat
+// screenshots sends the whole job down the flat path: its lines have no speakers to merge into
+// the transcript, and dropping them would hide those messages from the analysis.
+function combineImages(images){
+  const language = dominantLanguage(images.flatMap(img => img.detections));
+  // No messages, but text left once UI chrome (headers, status lines) is stripped.
+  const layoutless = images.filter(img => !img.messages.length && cleanOcr(img.text, { language: language.code }).trim());
+  const stitched = stitchTranscripts(images.map(img => img.messages));
+  const flat = stitched.items.length && !layoutless.length
+    ? null
+    : stitchTexts(images.map(img => ({ id: img.index, text: img.text })));
+  const { order, overlaps, dropped } = flat || stitched;
+  return {
+    transcript: flat ? [] : stitched.items,
+    flatText: flat ? cleanOcr(flat.text, { language: language.code }) : '',
+    language,
+    meta: {
+      stitch: {
+        order, overlaps, dropped, unit: flat ? 'line' : 'message',
+        ...(flat && stitched.items.length ? { layoutless: layoutless.map(img => img.index) } : {})
+      }
+    }
+  };
+}
+
+// Pasted text or a chat export -> { transcript, flatText, language, meta }.
+function readText(content, { format = 'auto', speakers } = {}){
+  const parsed = parseConversation(content, { format, self: speakers?.self, contact: speakers?.contact });
+  return {
+    transcript: parsed.messages,
+    flatText: parsed.flatText,
+    language: detectLanguage(parsed.messages.length ? parsed.messages.map(m => m.text).join('\n') : parsed.flatText),
+    meta: { ingest: { format: parsed.format, inferredSpeakers: parsed.inferredSpeakers } }
+  };
+}
+
+// ===== Redaction =====
+// PII out before anything is stored or sent to a provider (see redact.js). `text` is the
+// provider input: the rendered transcript, or the flat text when there is no layout.
+function redactInput(input, { names = [] } = {}){
+  const redactor = createRedactor({ names });
+  const transcript = redactor.redactMessages(input.transcript.slice(0, MAX_MESSAGES));
+  const flatText = redactor.redact(input.flatText);
+  return { transcript, flatText, text: transcript.length ? renderTranscript(transcript) : flatText, redactor };
+}
+
+// ===== Analysis =====
+// -> { report, analysis }. Every quote is checked against what was actually read; an empty
+// input still gets a stub analysis so the UI shows something. Safety triggers run last, on
+// grounded receipts, and get resources for `region` (see safety.js).
+async function analyzeInput({ provider, redacted, instructions, outputLanguage, region, label, onChunk }){
+  const { report, meta: analysis } = await runAnalysis({
+    provider,
+    text: redacted.text || 'NO_TEXT_EXTRACTED',
+    messages: redacted.transcript.length,
+    instructions,
+    outputLanguage,
+    label,
+    onChunk
+  });
+  groundReport(report, { transcript: redacted.transcript, flatText: redacted.flatText });
+  applySafety(report, { transcript: redacted.transcript, flatText: redacted.flatText, region, outputLanguage });
+  return { report, analysis };
+}
+
+module.exports = { readImage, combineImages, readText, redactInput, analyzeInput };
@@ -0,0 +1,104 @@
+// prompt.js — default system instructions for the LLM-backed analysis providers.
+// The tactic list is generated from shared/taxonomy.json.
+
+const { TACTICS, TACTIC_IDS } = require('./taxonomy');
+const { languageName, baseCode } = require('./language');
+
+const TACTIC_GLOSSARY = TACTICS.map(t => `- ${t.id} (${t.name}): ${t.description}`).join('\n');
+
+// Report template the model fills in; shared by the single-pass and narrative-only prompts.
+const NARRATIVE_TEMPLATE = "\\n\\n📑 Toxella Manipulation Report\\nContact Analyzed: '<name or Unknown>'\\nConversation Window: <start–end if inferable or Unknown>\\nTotal Messages Analyzed: <approx count>\\n\\n🔢 Scores\\nManipulation Risk: <risk_score> / 100 (<risk_label>)\\nCommunication Balance: <if known, else omit>\\nEmotional Stability: <if known, else omit>\\nConfidence: <High/Medium/Low> (<confidence as 0.xx>)\\n\\n🧩 Tactic Breakdown\\n1. <Tactic name>\\nLikelihood: <High/Med/Low> (p≈0.xx)\\nContribution to Risk: <xx.x%>\\nExamples:\\n- \\\"<quote 1>\\\"\\n- \\\"<quote 2>\\\"\\n(Do 3–7 tactics)\\n\\n📌 Receipts (Flagged Quotes)\\n<group by category with short lists>\\n\\n📊 Summary\\n<2–4 sentence summary in neutral tone>\\n\\n✅ Suggested Responses (Non-Escalating)\\n- \\\"<scripted reply 1>\\\"\\n- \\\"<scripted reply 2>\\\"\\n\\n🚦 Risk Level: <LOW/MEDIUM/HIGH>";
+
+const NARRATIVE_FIELD = `  "narrative_md": "A human-readable FULL REPORT in Markdown, with sections and emoji like:${NARRATIVE_TEMPLATE}"`;
+
+// ===== analysis instructions =====
+// chunk: analyzing one part of a long conversation (map step); the narrative is written
+// afterwards from the merged result, so the model skips it here.
+function analysisInstructions({ chunk = false } = {}){
+  const intro = chunk
+    ? 'You are Toxella. Analyze ONE PART of a longer chat conversation for manipulation.'
+    : 'You are Toxella. Analyze a chat conversation (screenshots, pasted text or an export) for manipulation.';
+  const narrativeField = chunk ? '  "narrative_md": null' : NARRATIVE_FIELD;
+  // A chunk with nothing in it must say so: forced low-likelihood picks would pile up in the merge.
+  const tacticsRule = chunk
+    ? '- Include only tactics seen in this part (up to 5 by likelihood); an empty list is fine.'
+    : '- Include the top 5 tactics by likelihood; if none exceed 0.15, include at least 3 with low likelihood values.';
+  const extraRules = chunk
+    ? '- This is part of a longer conversation: judge only the messages shown, keep their [n] numbers as message_index, and set narrative_md to null.\n'
+    : '';
+  return `
+${intro}
+
+Return STRICT JSON only with this schema (no prose outside JSON):
+
+{
+  "risk_score": 0-100,
+  "risk_label": "low" | "medium" | "high",
+  "confidence": 0.0-1.0,
+  "tactics": [
+    { "id": "<one of: ${TACTIC_IDS.join(', ')}>",
+      "name": "Human name",
+      "likelihood": 0-1,
+      "severity": 1-5,
+      "frequency": 0-5,
+      "examples": ["<=280 chars", "..."]
+    }
+  ],
+  "receipts": [
+    { "quote": "<=280 chars>", "category": "<tactic id or 'other'>", "message_index": <n from [n] or omit>, "source_hint": "filename/page", "severity": 1-5 }
+  ],
+  "kpis": { "communication_balance": 0-100, "emotional_stability": 0-100 },
+
+${narrativeField}
+}
+
+Tactics (use these ids exactly; anything else is "other"):
+${TACTIC_GLOSSARY}
+
+Input format:
+- Usually one message per line as "[n] OTHER (time): text" or "[n] USER (time): text".
+- OTHER is the person being analyzed; USER is the person who uploaded the screenshots. Attribute tactics to OTHER unless USER clearly uses them.
+- If the input has no [n] prefixes, it is unlabelled text; omit message_index.
+
+Rules:
+- ALWAYS include 3–12 receipts if any quotable text exists (trim to ≤280 chars each).
+- Quotes and examples must be copied VERBATIM from the input (no paraphrasing, no [n]/speaker prefix); quotes that cannot be found in the input are discarded.
+${tacticsRule}
+- severity: 1=mild snark, 5=explicit threat/coercion/psych harm.
+- frequency = distinct quotes (cap 5).
+- Trim phone UI boilerplate in any language (e.g., “Messages”, “iMessage”, “Leído”, “Gelesen”, timestamps) unless meaning-critical.
+- Personal details are already replaced with placeholders such as [PHONE_1], [EMAIL_1] or [CONTACT_A]. Keep placeholders exactly as written in quotes and never guess what they stand for.
+- Output VALID JSON ONLY. No markdown outside the "narrative_md" field.
+${extraRules}`;
+}
+
+// ===== default instructions (includes narrative_md) =====
+const DEFAULT_INSTRUCTIONS = analysisInstructions();
+const CHUNK_INSTRUCTIONS = analysisInstructions({ chunk: true });
+
+// ===== narrative from a merged report (reduce step) =====
+const NARRATIVE_INSTRUCTIONS = `
+You are Toxella. You receive the merged analysis of a long chat conversation as JSON
+(risk score, tactics with examples, receipts, KPIs, and the number of messages analyzed).
+Write the report narrative from that data only; do not invent quotes or tactics.
+
+Return STRICT JSON only: { "narrative_md": "<Markdown report>" }
+
+The report follows this template:
+${NARRATIVE_TEMPLATE.replace(/\\n/g, '\n').replace(/\\"/g, '"').trim()}
+`;
+
+// ===== output language =====
+// Appended to whichever instructions are used (default, chunk, narrative or a per-job
+// override). Quotes stay verbatim so grounding can still find them in the input.
+function withOutputLanguage(instructions, tag){
+  if (!tag || baseCode(tag) === 'en') return instructions;
+  const name = languageName(tag);
+  return `${instructions}
+Output language:
+- Write narrative_md (headings, summary and suggested responses) in ${name} (${tag}), whatever language the conversation is in.
+- Keep quotes, examples and receipts EXACTLY as written in the input (do not translate them), and keep JSON keys, tactic ids and placeholders in English as specified.
+`;
+}
+
+module.exports = { DEFAULT_INSTRUCTIONS, CHUNK_INSTRUCTIONS, NARRATIVE_INSTRUCTIONS, analysisInstructions, withOutputLanguage };
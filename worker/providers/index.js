@@ -0,0 +1,67 @@
+// providers/index.js — analysis provider registry.
+//
+// A provider is { name, model, maxInputTokens, analyze({ text, instructions, outputLanguage }) ->
+// { raw, usage }, narrate({ summary, outputLanguage }) -> { narrative_md, usage } }. `raw` is the
+// unnormalized report JSON; callers always pass it through normalizeReport. recorded.js wraps
+// any provider for the eval harness and is not selectable here.
+//
+// Selection: job.provider (if allowed) -> ANALYSIS_PROVIDER -> "openai" when a key is set, else "rules".
+
+const { createOpenAIProvider } = require('./openai');
+const { createRulesProvider } = require('./rules');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4o';
+const LLM_BASE_URL = process.env.LLM_BASE_URL || '';       // e.g. http://localhost:11434/v1 (Ollama)
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || LLM_MODEL;
+const LLM_JSON_MODE = (process.env.LLM_JSON_MODE || 'true') !== 'false';
+// Output cap per call, and the transcript budget per call before the worker chunks it.
+const LLM_MAX_OUTPUT_TOKENS = parseInt(process.env.LLM_MAX_OUTPUT_TOKENS || '2000', 10);
+const LLM_MAX_INPUT_TOKENS = parseInt(process.env.LLM_MAX_INPUT_TOKENS || '12000', 10);
+const LIMITS = { maxTokens: LLM_MAX_OUTPUT_TOKENS, maxInputTokens: LLM_MAX_INPUT_TOKENS };
+
+const DEFAULT_PROVIDER = process.env.ANALYSIS_PROVIDER || (OPENAI_API_KEY ? 'openai' : 'rules');
+// Which names a job may request for itself. Empty = per-job override disabled.
+const ALLOWED_JOB_PROVIDERS = (process.env.ALLOWED_JOB_PROVIDERS || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+const FACTORIES = {
+  openai: () => createOpenAIProvider({ name: 'openai', apiKey: OPENAI_API_KEY, model: LLM_MODEL, ...LIMITS }),
+  'openai-compatible': () => {
+    if (!LLM_BASE_URL) throw new Error('openai-compatible: LLM_BASE_URL not set');
+    return createOpenAIProvider({
+      name: 'openai-compatible',
+      apiKey: LLM_API_KEY,
+      baseURL: LLM_BASE_URL,
+      model: LOCAL_LLM_MODEL,
+      jsonMode: LLM_JSON_MODE,
+      ...LIMITS
+    });
+  },
+  rules: () => createRulesProvider()
+};
+FACTORIES.local = FACTORIES['openai-compatible'];
+
+const cache = new Map();
+
+function getProvider(name) {
+  const key = String(name || DEFAULT_PROVIDER);
+  if (!FACTORIES[key]) throw new Error(`unknown analysis provider: ${key}`);
+  if (!cache.has(key)) cache.set(key, FACTORIES[key]());
+  return cache.get(key);
+}
+
+function providerForJob(job) {
+  const requested = job?.provider;
+  if (requested && ALLOWED_JOB_PROVIDERS.includes(requested)) return getProvider(requested);
+  if (requested) console.warn(`provider override "${requested}" not allowed; using ${DEFAULT_PROVIDER}`);
+  return getProvider(DEFAULT_PROVIDER);
+}
+
+module.exports = {
+  getProvider,
+  providerForJob,
+  DEFAULT_PROVIDER,
+  PROVIDER_NAMES: Object.keys(FACTORIES)
+};
@@ -0,0 +1,57 @@
+// providers/openai.js — OpenAI and OpenAI-compatible chat backends.
+// The same client works against api.openai.com or any server exposing /v1/chat/completions
+// (llama.cpp server, Ollama, vLLM, LM Studio) by pointing baseURL at it.
+
+const { OpenAI } = require('openai');
+const { DEFAULT_INSTRUCTIONS, NARRATIVE_INSTRUCTIONS, withOutputLanguage } = require('../prompt');
+
+function extractJson(text){
+  try{
+    const s = text.indexOf('{');
+    const e = text.lastIndexOf('}');
+    if (s >= 0 && e > s) return JSON.parse(text.slice(s, e+1));
+  }catch{}
+  return {};
+}
+
+// maxInputTokens: transcript budget per call; longer inputs are chunked by the worker (see analysis.js).
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model, jsonMode = true, maxTokens = 2000, maxInputTokens = 12000 }) {
+  if (!apiKey && !baseURL) throw new Error(`${name}: OPENAI_API_KEY not set`);
+  if (!model) throw new Error(`${name}: model not set`);
+
+  // Local servers usually ignore the key, but the SDK refuses to construct without one.
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) });
+
+  async function complete(system, user) {
+    const resp = await client.chat.completions.create({
+      model,
+      temperature: 0.2,
+      max_tokens: maxTokens,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: user }
+      ],
+      ...(jsonMode ? { response_format: { type: "json_object" } } : {})
+    });
+    const content = resp.choices?.[0]?.message?.content || "{}";
+    // response_format usually ensures plain JSON, but we still guard (and local models often wrap it):
+    return { raw: extractJson(content) || {}, usage: resp.usage || null };
+  }
+
+  return {
+    name,
+    model,
+    maxInputTokens,
+    async analyze({ text, instructions, outputLanguage }) {
+      const instr = withOutputLanguage((instructions && String(instructions).trim()) || DEFAULT_INSTRUCTIONS, outputLanguage);
+      return complete(instr, `Analyze the following conversation text and return STRICT JSON only.\n\n${text}`);
+    },
+    // Narrative for a merged (chunked) report; `summary` is the merged report without narrative.
+    async narrate({ summary, outputLanguage }) {
+      const { raw, usage } = await complete(withOutputLanguage(NARRATIVE_INSTRUCTIONS, outputLanguage), JSON.stringify(summary));
+      return { narrative_md: typeof raw.narrative_md === 'string' ? raw.narrative_md : null, usage };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, extractJson };
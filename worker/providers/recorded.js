@@ -0,0 +1,65 @@
+// providers/recorded.js — replay provider responses from a recordings file, or record them.
+// Lets the eval harness (eval/) rerun a corpus offline and deterministically: record once
+// against a live provider, then replay while changing anything downstream of the model
+// (normalization, RISK_WEIGHTS, grounding). Responses are keyed by a hash of the call's
+// inputs, so a different transcript or per-call instructions misses instead of replaying stale output.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// File shape: { provider, model, maxInputTokens, responses: { <key>: { raw | narrative_md, usage } } }.
+// maxInputTokens is kept so a replay chunks long transcripts exactly as the recording did.
+function loadRecordings(file){
+  const empty = { provider: null, model: null, maxInputTokens: null, responses: {} };
+  if (!fs.existsSync(file)) return empty;
+  return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+function callKey(kind, args){
+  const { text = null, summary = null, instructions = null, outputLanguage = null } = args;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([kind, text, summary, instructions, outputLanguage]))
+    .digest('hex');
+}
+
+/**
+ * @param file   recordings JSON path
+ * @param inner  live provider to record from; without one, calls are replayed and a miss throws
+ */
+function createRecordedProvider({ file, inner = null }){
+  const data = loadRecordings(file);
+  if (inner) {
+    const budget = Number.isFinite(inner.maxInputTokens) ? inner.maxInputTokens : null;
+    Object.assign(data, { provider: inner.name, model: inner.model, maxInputTokens: budget });
+  }
+  let dirty = false;
+
+  async function call(kind, args){
+    const key = callKey(kind, args);
+    if (!inner) {
+      if (!data.responses[key]) throw new Error(`recorded: no ${kind} response for this input in ${file}; re-record it`);
+      return data.responses[key];
+    }
+    const res = await inner[kind](args);
+    data.responses[key] = res;
+    dirty = true;
+    return res;
+  }
+
+  return {
+    name: 'recorded',
+    model: data.model ? `${data.provider}/${data.model}` : 'recorded',
+    maxInputTokens: data.maxInputTokens ?? Infinity,
+    analyze: args => call('analyze', args),
+    narrate: args => call('narrate', args),
+    // Writes new recordings back to `file` (record mode only).
+    save(){
+      if (!dirty) return false;
+      fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+      dirty = false;
+      return true;
+    }
+  };
+}
+
+module.exports = { createRecordedProvider };
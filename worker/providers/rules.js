@@ -0,0 +1,227 @@
+// providers/rules.js — offline, deterministic lexicon/pattern analyzer.
+// No network, no model: scans each line for per-tactic phrase patterns and builds a raw
+// report in the same shape the LLM providers return. Useful for local end-to-end runs,
+// CI, and as a fallback when no LLM is configured.
+
+const { TACTIC_IDS, clamp } = require('../report');
+const { parseRenderedLine } = require('../transcript');
+const { baseCode } = require('../language');
+
+// tactic id -> { severity, patterns }. Patterns are matched case-insensitively per line.
+const LEXICON = {
+  gaslighting: { severity: 4, patterns: [
+    /\bthat never happened\b/, /\byou(?:'re| are) (?:crazy|imagining (?:things|it)|delusional|overreacting)\b/,
+    /\byou(?:'re| are) remembering (?:it )?wrong\b/, /\bi never said that\b/, /\byou made (?:that|it) up\b/,
+    /\bno one (?:else )?(?:would|will) believe you\b/
+  ]},
+  darvo: { severity: 4, patterns: [
+    /\bi(?:'m| am) the (?:real )?victim\b/, /\byou(?:'re| are) (?:the one )?attacking me\b/,
+    /\bhow dare you accuse me\b/, /\bafter everything i(?:'ve| have) done\b/, /\byou(?:'re| are) abusing me\b/
+  ]},
+  "blame-shifting": { severity: 3, patterns: [
+    /\b(?:this|it)(?:'s| is) (?:all )?your fault\b/, /\byou made me (?:do|say|act|like)\b/,
+    /\bif you hadn'?t\b/, /\blook what you made me\b/, /\bbecause of you\b/
+  ]},
+  minimization: { severity: 2, patterns: [
+    /\b(?:it|that) was (?:just|only) a joke\b/, /\byou(?:'re| are) (?:too|so) sensitive\b/,
+    /\bit(?:'s| is|was) not (?:a|that) big (?:of a )?deal\b/, /\bcalm down\b/, /\byou(?:'re| are) being dramatic\b/,
+    /\bget over it\b/
+  ]},
+  stonewalling: { severity: 2, patterns: [
+    /\bi(?:'m| am) (?:not|done) (?:talking|discussing)\b/, /\bwhatever\b/, /\bi don'?t want to talk about (?:it|this)\b/,
+    /\bleave me alone\b/, /\bthis conversation is over\b/
+  ]},
+  contempt: { severity: 3, patterns: [
+    /\byou(?:'re| are) (?:so |such an? )?(?:pathetic|stupid|worthless|useless|idiot|loser|joke)\b/,
+    /\bno wonder (?:no one|nobody)\b/, /\bwhat a joke\b/, /\bdisgusting\b/
+  ]},
+  "guilt-tripping": { severity: 2, patterns: [
+    /\bafter all i(?:'ve| have) done for you\b/, /\bi guess i(?:'m| am) just a terrible\b/,
+    /\byou don'?t (?:even )?care about me\b/, /\bif you (?:really )?loved me\b/, /\bi sacrificed\b/
+  ]},
+  threats: { severity: 5, patterns: [
+    /\byou(?:'ll| will) regret (?:it|this)\b/, /\bor else\b/, /\bi(?:'ll| will) (?:hurt|kill|ruin|destroy|expose)\b/,
+    /\byou(?:'ll| will) be sorry\b/, /\bwatch your back\b/, /\bi know where you live\b/
+  ]},
+  coercion: { severity: 5, patterns: [
+    /\byou (?:have|need) to do (?:it|this|what i say)\b/, /\bif you don'?t[^.?!]*\bi(?:'ll| will)\b/,
+    /\byou(?:'re| are) not allowed\b/, /\bgive me your (?:password|phone|money)\b/, /\byou owe me\b/
+  ]},
+  triangulation: { severity: 3, patterns: [
+    /\b(?:my ex|she|he|they) would never\b/, /\beveryone (?:else )?(?:agrees|thinks|says)\b/,
+    /\bwhy can'?t you be (?:more )?like\b/, /\beven \w+ (?:says|thinks|agrees)\b/
+  ]},
+  boundaries: { severity: 3, patterns: [
+    /\bi don'?t care (?:what|if) you (?:want|said|asked)\b/, /\bstop being so (?:private|secretive)\b/,
+    /\bwhy (?:didn'?t|won'?t) you answer\b/, /\bi(?:'m| am) coming over (?:anyway|whether)\b/, /\bno isn'?t an (?:option|answer)\b/
+  ]},
+  projection: { severity: 3, patterns: [
+    /\byou(?:'re| are) the one who(?:'s| is)? (?:lying|cheating|controlling|manipulating)\b/,
+    /\byou(?:'re| are) (?:always )?(?:lying|cheating|so controlling|manipulative)\b/,
+    /\byou(?:'re| are) the (?:toxic|abusive) one\b/
+  ]},
+  "silent-treatment": { severity: 3, patterns: [
+    /\bdon'?t (?:text|talk to|call) me\b/, /\bi(?:'m| am) not (?:speaking|talking) to you\b/,
+    /\byou(?:'ll| will) (?:hear from me|get a reply) when\b/, /\benjoy the silence\b/
+  ]},
+  shaming: { severity: 3, patterns: [
+    /\byou should be ashamed\b/, /\bwhat is wrong with you\b/, /\bwhat kind of (?:person|mother|father|partner)\b/,
+    /\beveryone (?:will|would) (?:know|see) what you\b/, /\bembarrass(?:ing|ment) to me\b/
+  ]},
+  deflection: { severity: 2, patterns: [
+    /\bwhat about (?:you|when you|the time you)\b/, /\bthat(?:'s| is) not the point\b/,
+    /\bwhy are you changing the subject\b/, /\byou do (?:it|that) too\b/
+  ]},
+  "moving-goalposts": { severity: 3, patterns: [
+    /\bthat(?:'s| is) not (?:enough|what i meant)\b/, /\bnow you (?:also )?(?:need|have) to\b/,
+    /\bit(?:'s| is) (?:still )?not good enough\b/, /\bthat doesn'?t count\b/
+  ]},
+  "love-bombing": { severity: 2, patterns: [
+    /\byou(?:'re| are) my (?:soulmate|everything)\b/, /\bi(?:'ve| have) never felt this way\b/,
+    /\bno one will ever love you like i\b/, /\bwe(?:'re| are) meant to be\b/
+  ]},
+  "future-faking": { severity: 2, patterns: [
+    /\bi promise (?:things|it) will (?:change|be different)\b/, /\bone day we(?:'ll| will)\b/,
+    /\bi(?:'ll| will) change,? i promise\b/, /\bas soon as \w+ (?:is over|calms down),? we(?:'ll| will)\b/
+  ]}
+};
+
+function titleCase(id){
+  return id.replace(/(^|[-_])(\w)/g, (_,a,b)=> (a?" ":"") + b.toUpperCase());
+}
+
+// Speaker-labelled transcripts (see transcript.js) are scanned per message, and only the
+// other party's messages count; free text is split into sentences and scanned as-is.
+// -> { lines, messages }: messages is the transcript's size (both speakers), the same count the
+// report stores as input.num_messages; 0 for free text, which has no messages.
+function splitLines(text){
+  const raw = String(text || '').split(/\n+/).map(s => s.trim()).filter(Boolean);
+  const parsed = raw.map(parseRenderedLine);
+  if (parsed.length && parsed.every(Boolean)) {
+    const lines = parsed.filter(m => m.speaker === 'other' && m.text.length >= 3)
+      .map(m => ({ text: m.text, message_index: m.index }));
+    return { lines, messages: parsed.length };
+  }
+  const lines = raw
+    .flatMap(s => s.split(/(?<=[.!?])\s+(?=[A-Z])/))
+    .map(s => s.trim())
+    .filter(s => s.length >= 3)
+    .map(s => ({ text: s }));
+  return { lines, messages: 0 };
+}
+
+function analyzeText(text, { outputLanguage } = {}){
+  const { lines, messages } = splitLines(text);
+  const hits = {}; // id -> [quote]
+  const receipts = [];
+
+  for (const { text: line, message_index } of lines) {
+    const lower = line.toLowerCase();
+    const quote = line.slice(0, 280);
+    for (const id of TACTIC_IDS) {
+      const entry = LEXICON[id];
+      if (!entry) continue;
+      if (entry.patterns.some(re => re.test(lower))) {
+        (hits[id] = hits[id] || []).push(quote);
+        receipts.push({
+          quote, category: id, source_hint: 'transcript', severity: entry.severity,
+          ...(message_index !== undefined ? { message_index } : {})
+        });
+      }
+    }
+  }
+
+  const tactics = Object.keys(hits).map(id => {
+    const examples = [...new Set(hits[id])];
+    return {
+      id,
+      name: titleCase(id),
+      // Saturating: one hit is suggestive, three or more is strong.
+      likelihood: clamp(0.35 + 0.2 * (examples.length - 1), 0, 0.95),
+      severity: LEXICON[id].severity,
+      frequency: Math.min(5, examples.length),
+      examples: examples.slice(0, 5)
+    };
+  }).sort((a, b) => b.likelihood - a.likelihood || b.severity - a.severity);
+
+  const flagged = new Set(receipts.map(r => r.quote)).size;
+  const raw = {
+    // Pattern matching is blunt; keep confidence modest so the UI does not overstate it.
+    confidence: lines.length ? 0.5 : 0.2,
+    tactics: tactics.slice(0, 5),
+    receipts: receipts.slice(0, 12),
+    kpis: {
+      emotional_stability: lines.length ? Math.round(100 * (1 - flagged / lines.length)) : 100
+    }
+  };
+  raw.narrative_md = narrative(raw, messages, outputLanguage);
+  return raw;
+}
+
+// Fixed narrative strings per output language; anything else falls back to English.
+const STRINGS = {
+  en: {
+    title: '📑 Toxella Manipulation Report', contact: "Contact Analyzed: 'Unknown'", total: 'Total Messages Analyzed',
+    tactics: '🧩 Tactic Breakdown', none: 'No known manipulation patterns were matched.', likelihood: 'Likelihood', examples: 'Examples:',
+    summary: '📊 Summary',
+    disclaimer: 'This report was produced by the offline rule-based analyzer, which matches known phrasing patterns only. ' +
+      'It does not understand context or sarcasm; treat results as a starting point.'
+  },
+  es: {
+    title: '📑 Informe de manipulación de Toxella', contact: "Contacto analizado: 'Desconocido'", total: 'Mensajes analizados',
+    tactics: '🧩 Desglose de tácticas', none: 'No se encontraron patrones de manipulación conocidos.', likelihood: 'Probabilidad', examples: 'Ejemplos:',
+    summary: '📊 Resumen',
+    disclaimer: 'Este informe lo generó el analizador sin conexión basado en reglas, que solo reconoce frases conocidas. ' +
+      'No entiende el contexto ni el sarcasmo; tómalo como un punto de partida.'
+  },
+  fr: {
+    title: '📑 Rapport de manipulation Toxella', contact: "Contact analysé : 'Inconnu'", total: 'Messages analysés',
+    tactics: '🧩 Détail des tactiques', none: 'Aucun schéma de manipulation connu n’a été détecté.', likelihood: 'Probabilité', examples: 'Exemples :',
+    summary: '📊 Résumé',
+    disclaimer: 'Ce rapport a été produit par l’analyseur hors ligne à base de règles, qui ne reconnaît que des formulations connues. ' +
+      'Il ne comprend ni le contexte ni le sarcasme ; considérez ces résultats comme un point de départ.'
+  },
+  de: {
+    title: '📑 Toxella-Manipulationsbericht', contact: "Analysierter Kontakt: 'Unbekannt'", total: 'Analysierte Nachrichten',
+    tactics: '🧩 Taktiken im Überblick', none: 'Es wurden keine bekannten Manipulationsmuster gefunden.', likelihood: 'Wahrscheinlichkeit', examples: 'Beispiele:',
+    summary: '📊 Zusammenfassung',
+    disclaimer: 'Dieser Bericht stammt vom regelbasierten Offline-Analysator, der nur bekannte Formulierungen erkennt. ' +
+      'Er versteht weder Kontext noch Sarkasmus; betrachte die Ergebnisse als Ausgangspunkt.'
+  },
+  pt: {
+    title: '📑 Relatório de manipulação da Toxella', contact: "Contato analisado: 'Desconhecido'", total: 'Mensagens analisadas',
+    tactics: '🧩 Detalhamento das táticas', none: 'Nenhum padrão de manipulação conhecido foi encontrado.', likelihood: 'Probabilidade', examples: 'Exemplos:',
+    summary: '📊 Resumo',
+    disclaimer: 'Este relatório foi gerado pelo analisador offline baseado em regras, que só reconhece frases conhecidas. ' +
+      'Ele não entende contexto nem sarcasmo; trate os resultados como um ponto de partida.'
+  }
+};
+
+// The message total is left out for free text, which has no message count.
+function narrative(raw, messages, outputLanguage){
+  const s = STRINGS[baseCode(outputLanguage)] || STRINGS.en;
+  const out = [s.title, s.contact, ...(messages ? [`${s.total}: ${messages}`] : []), '', s.tactics];
+  if (!raw.tactics.length) out.push(s.none);
+  raw.tactics.forEach((t, i) => {
+    out.push(`${i + 1}. ${t.name}`, `${s.likelihood}: p≈${t.likelihood.toFixed(2)}`, s.examples);
+    for (const ex of t.examples.slice(0, 2)) out.push(`- "${ex}"`);
+  });
+  out.push('', s.summary, s.disclaimer);
+  return out.join('\n');
+}
+
+function createRulesProvider() {
+  return {
+    name: 'rules',
+    model: 'lexicon-v1',
+    maxInputTokens: Infinity, // no context window; never chunked
+    async analyze({ text, outputLanguage }) {
+      return { raw: analyzeText(text, { outputLanguage }), usage: null };
+    },
+    async narrate({ summary, outputLanguage }) {
+      return { narrative_md: narrative(summary, summary.messages_analyzed ?? 0, outputLanguage), usage: null };
+    }
+  };
+}
+
+module.exports = { createRulesProvider, analyzeText, LEXICON };
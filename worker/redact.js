@@ -0,0 +1,107 @@
+// redact.js — deterministic PII redaction before text reaches an analysis provider.
+//
+// Emails, URLs, card numbers (Luhn-checked), phone numbers, street addresses and the names
+// the user gave us are replaced with stable placeholders: the same value always becomes the
+// same placeholder within a job ("[PHONE_1]", "[CONTACT_A]"), so the model can still see that
+// two messages mention the same number. Everything downstream — analysis, grounding, the
+// transcript stored on the job, receipts — only ever sees the redacted text. The
+// placeholder → original mapping is returned to the caller, which persists it only when the
+// user opted in to re-hydrating their own report.
+
+// Order matters: earlier kinds claim text first (an email's domain is not also a URL).
+const PATTERNS = [
+  ['EMAIL', /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+  ['URL', /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+/gi],
+  ['CARD', /\b\d(?:[ -]?\d){12,18}\b/g],
+  // 7–15 digits with optional +country code, parentheses and space/dot/dash separators.
+  // Times ("9:41") and dates ("12/31/23") never match: ":" and "/" are not separators.
+  ['PHONE', /(?<![\w+])\+?\(?\d{1,4}\)?(?:[ .-]?\(?\d{2,4}\)?){1,4}(?![\w])/g],
+  ['ADDRESS', /\b\d{1,5}\s+(?:[A-Za-z0-9.'-]+\s+){1,4}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|parkway|pkwy|circle|cir|highway|hwy)\b\.?(?:,?\s*(?:apt|apartment|unit|suite|ste|#)\.?\s*[\w-]+)?/gi]
+];
+const MIN_PHONE_DIGITS = 7;
+const MAX_PHONE_DIGITS = 15;
+const MIN_NAME_CHARS = 2;
+// Speaker labels like "Me" are not names; redacting them would mangle ordinary sentences.
+const NOT_NAMES = new Set(['me', 'i', 'myself', 'you', 'him', 'her', 'them', 'us', 'we', 'other', 'user']);
+
+function digits(s){ return s.replace(/\D/g, ''); }
+
+function luhn(num){
+  let sum = 0;
+  for (let i = 0; i < num.length; i++) {
+    let d = Number(num[num.length - 1 - i]);
+    if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Filters applied to raw matches; a rejected match is left in the text.
+const ACCEPT = {
+  CARD: m => luhn(digits(m)),
+  PHONE: m => { const n = digits(m).length; return n >= MIN_PHONE_DIGITS && n <= MAX_PHONE_DIGITS; }
+};
+
+function escapeRe(s){ return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+// Contact placeholders are lettered (A, B, ... Z, AA, ...); the rest are numbered.
+function letter(n){
+  let s = '';
+  for (n += 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+/**
+ * @param names  user-supplied names to redact (speaker hints, contact names)
+ * @returns { redact(text), redactMessages(messages), summary(), mapping }
+ */
+function createRedactor({ names = [] } = {}){
+  const mapping = {};       // placeholder -> original
+  const byValue = new Map(); // kind + normalized value -> placeholder
+  const counts = {};        // kind -> occurrences replaced
+  const next = {};          // kind -> placeholders issued
+
+  const cleanNames = [...new Set(names.map(n => String(n || '').trim()).filter(n => n.length >= MIN_NAME_CHARS && !NOT_NAMES.has(n.toLowerCase())))]
+    // longest first so "Anna Maria" wins over "Anna"
+    .sort((a, b) => b.length - a.length);
+  const nameRe = cleanNames.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${cleanNames.map(escapeRe).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    : null;
+
+  function placeholder(kind, value){
+    const key = `${kind}:${kind === 'PHONE' || kind === 'CARD' ? digits(value) : value.toLowerCase()}`;
+    let ph = byValue.get(key);
+    if (!ph) {
+      const n = next[kind] = (next[kind] || 0) + 1;
+      ph = kind === 'CONTACT' ? `[CONTACT_${letter(n - 1)}]` : `[${kind}_${n}]`;
+      byValue.set(key, ph);
+      mapping[ph] = value;
+    }
+    counts[kind] = (counts[kind] || 0) + 1;
+    return ph;
+  }
+
+  function redact(text){
+    if (!text) return text;
+    let out = String(text);
+    for (const [kind, re] of PATTERNS) {
+      out = out.replace(re, m => (ACCEPT[kind] && !ACCEPT[kind](m) ? m : placeholder(kind, m)));
+    }
+    if (nameRe) out = out.replace(nameRe, m => placeholder('CONTACT', m));
+    return out;
+  }
+
+  function redactMessages(messages){
+    return messages.map(m => ({ ...m, text: redact(m.text) }));
+  }
+
+  // Stored on the report; never includes the original values.
+  function summary(){
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    return { counts: { ...counts }, total };
+  }
+
+  return { redact, redactMessages, summary, mapping };
+}
+
+module.exports = { createRedactor };
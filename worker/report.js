@@ -0,0 +1,91 @@
+// report.js — tactic scoring + report normalization.
+// Every analysis provider feeds its raw JSON through normalizeReport so the stored shape is identical.
+
+const { TACTIC_IDS, RISK_WEIGHTS, NAMES, canonicalTacticId } = require('./taxonomy');
+
+// ===== tactic scoring (ids + weights from shared/taxonomy.json) =====
+function clamp(n, lo, hi){ n = Number(n||0); return Math.max(lo, Math.min(hi, n)); }
+function tacticScore(t){
+  const p = clamp(t.likelihood, 0, 1);
+  const s = clamp(t.severity,   1, 5);
+  const f = Math.min(5, Number(t.frequency ?? (t.examples?.length || 0)));
+  return Math.round( 40*p + 35*((s-1)/4) + 25*Math.min(1, f/5) );
+}
+function riskLabel(score){ return score < 34 ? "low" : score <= 66 ? "medium" : "high"; }
+
+// Overall risk score from scored tactics; sets each tactic's contribution_pct.
+function applyRisk(tactics){
+  const seen = tactics.length ? tactics : [{ id:"other", score:0 }];
+  let num=0, den=0, sumWeightScore=0;
+  for (const t of seen){
+    const w = RISK_WEIGHTS[t.id] || 1.0;
+    num += (t.score/100) * w;
+    den += w;
+    sumWeightScore += (t.score) * w;
+  }
+  for (const t of tactics){
+    const w = RISK_WEIGHTS[t.id] || 1.0;
+    const part = (t.score) * w;
+    t.contribution_pct = sumWeightScore > 0 ? Math.round((part / sumWeightScore) * 1000)/10 : 0; // 1 dp
+  }
+  return Math.round(100 * (den ? num/den : 0));
+}
+
+function normalizeReport(raw){
+  const out = {
+    risk_score: 0,
+    risk_label: "low",
+    confidence: clamp(raw.confidence ?? 0.85, 0, 1),
+    tactics: [],
+    receipts: [],
+    kpis: raw.kpis || {}
+  };
+
+  // carry through narrative if present
+  out.narrative_md = (typeof raw.narrative_md === 'string' && raw.narrative_md.trim()) ? raw.narrative_md : null;
+
+  // tactics
+  const list = Array.isArray(raw.tactics) ? raw.tactics : [];
+  out.tactics = list.map(t => {
+    // map ids, display names and aliases onto the taxonomy; keep the model's label for "other"
+    const id = canonicalTacticId(t.id) !== "other" ? canonicalTacticId(t.id) : canonicalTacticId(t.name);
+    const obj = {
+      id,
+      name: NAMES[id] || (t.name ? String(t.name) : "Other"),
+      likelihood: clamp(t.likelihood ?? t.p ?? 0, 0, 1),
+      severity: clamp(t.severity ?? 3, 1, 5),
+      frequency: Math.max(0, Math.min(5, Number(t.frequency ?? (t.examples?.length || 0)))),
+      examples: Array.isArray(t.examples) ? t.examples.slice(0,5) : []
+    };
+    obj.score = tacticScore(obj);
+    return obj;
+  });
+
+  out.risk_score = applyRisk(out.tactics);
+  out.risk_label = raw.risk_label || riskLabel(out.risk_score);
+
+  // receipts (flat or highlights)
+  const receipts = Array.isArray(raw.receipts) ? raw.receipts.slice(0,30)
+                : Array.isArray(raw.receipts?.highlights) ? raw.receipts.highlights.slice(0,30)
+                : [];
+  // message_index points into the job transcript; drop it if the model made up something unusable
+  out.receipts = receipts.map(r => {
+    if (!r || typeof r !== 'object') return r;
+    const idx = Number(r.message_index);
+    const { message_index, ...rest } = r;
+    if (rest.category !== undefined) rest.category = canonicalTacticId(rest.category);
+    return Number.isInteger(idx) && idx >= 0 ? { ...rest, message_index: idx } : rest;
+  });
+
+  return out;
+}
+
+module.exports = {
+  TACTIC_IDS,
+  RISK_WEIGHTS,
+  clamp,
+  tacticScore,
+  riskLabel,
+  applyRisk,
+  normalizeReport
+};
@@ -0,0 +1,200 @@
+// safety.js — escalate reports that suggest someone may be in danger.
+//
+// A grounded report is checked against the triggers in shared/safety.json (or SAFETY_CONFIG):
+// tactic triggers (e.g. threats at severity >= 4) and danger phrases in the redacted transcript
+// (self-harm, violence). When one fires, the report gets a `safety` block with the level, the
+// evidence and crisis resources for the user's region, and the narrative's "Suggested Responses"
+// scripts are replaced by a safety notice — de-escalation advice is the wrong answer to a threat.
+
+const fs = require('fs');
+const path = require('path');
+const { baseCode } = require('./language');
+
+// ===== Config =====
+const CONFIG_PATH = process.env.SAFETY_CONFIG || path.join(__dirname, '..', 'shared', 'safety.json');
+const LEVELS = ['none', 'elevated', 'urgent'];
+const MAX_EVIDENCE = 3;
+const MAX_QUOTE = 280;
+
+// Reads and checks the config once; a broken pattern or level fails at startup, not mid-job.
+function loadConfig(file){
+  const cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const level = (l, where) => {
+    if (!LEVELS.includes(l) || l === 'none') throw new Error(`${file}: ${where} has invalid level ${l}`);
+    return l;
+  };
+  if (!cfg.resources?.default) throw new Error(`${file}: resources.default is required`);
+  if (!cfg.notices?.en) throw new Error(`${file}: notices.en is required`);
+  for (const [region, list] of Object.entries(cfg.resources)) {
+    list.forEach((r, i) => {
+      if (typeof r.name !== 'string' && !r.name?.en) throw new Error(`${file}: resources.${region}[${i}] needs a name (or name.en)`);
+    });
+  }
+  return {
+    version: String(cfg.version || 'unversioned'),
+    tactics: (cfg.tactics || []).map((t, i) => ({
+      tactic: t.tactic,
+      minSeverity: Number(t.min_severity) || 1,
+      minLikelihood: Number(t.min_likelihood) || 0,
+      level: level(t.level, `tactics[${i}]`),
+      category: t.category || t.tactic
+    })),
+    phrases: (cfg.phrases || []).map((p, i) => ({
+      category: p.category,
+      level: level(p.level, `phrases[${i}]`),
+      speakers: p.speakers || ['user', 'other'],
+      patterns: p.patterns.map(s => new RegExp(s, 'iu'))
+    })),
+    resources: cfg.resources,
+    notices: cfg.notices
+  };
+}
+const CONFIG = loadConfig(CONFIG_PATH);
+
+function higher(a, b){ return LEVELS.indexOf(b) > LEVELS.indexOf(a) ? b : a; }
+function quote(s){ return String(s).replace(/\s+/g, ' ').trim().slice(0, MAX_QUOTE); }
+
+// ===== Triggers =====
+// Strongest matching rule per tactic; evidence is that tactic's grounded receipts.
+function tacticTriggers(report, cfg){
+  const out = new Map();
+  for (const rule of cfg.tactics) {
+    const t = (report.tactics || []).find(x => x.id === rule.tactic);
+    if (!t || t.severity < rule.minSeverity || t.likelihood < rule.minLikelihood) continue;
+    const prev = out.get(rule.tactic);
+    if (prev && higher(prev.level, rule.level) === prev.level) continue;
+    const evidence = (report.receipts || [])
+      .filter(r => r.category === rule.tactic && r.verified !== false)
+      .slice(0, MAX_EVIDENCE)
+      .map(r => ({ quote: quote(r.quote), ...(Number.isInteger(r.message_index) ? { message_index: r.message_index } : {}) }));
+    out.set(rule.tactic, {
+      type: 'tactic', level: rule.level, category: rule.category, tactic: t.id,
+      severity: t.severity, likelihood: t.likelihood, evidence
+    });
+  }
+  return [...out.values()];
+}
+
+// Danger phrases per message (speaker-filtered), or per line of flat OCR text where speakers
+// are unknown and every phrase counts.
+function phraseTriggers(transcript, flatText, cfg){
+  const units = transcript.length
+    ? transcript.map((m, i) => ({ text: m.text, speaker: m.speaker, message_index: i }))
+    : String(flatText || '').split('\n').filter(l => l.trim()).map(text => ({ text, speaker: null }));
+  const out = [];
+  for (const p of cfg.phrases) {
+    const evidence = [];
+    for (const u of units) {
+      if (u.speaker && !p.speakers.includes(u.speaker)) continue;
+      if (!p.patterns.some(re => re.test(u.text))) continue;
+      evidence.push({
+        quote: quote(u.text),
+        ...(u.message_index !== undefined ? { message_index: u.message_index } : {}),
+        ...(u.speaker ? { speaker: u.speaker } : {})
+      });
+      if (evidence.length === MAX_EVIDENCE) break;
+    }
+    if (evidence.length) out.push({ type: 'phrase', level: p.level, category: p.category, evidence });
+  }
+  return out;
+}
+
+// ===== Resources =====
+// Notice copy and resource text share one language: the output language when there is notice
+// copy for it, English otherwise.
+function noticeLanguage(outputLanguage, cfg){
+  const code = baseCode(outputLanguage);
+  return cfg.notices[code] ? code : 'en';
+}
+
+// Names and descriptions are a string or { <lang>: text }. A name falls back to English (the
+// resource must be listed); a description without copy in `lang` is left out rather than shown
+// in another language. Plain-string descriptions are English.
+function localize({ name, description, ...r }, lang){
+  const label = typeof name === 'object' ? name[lang] || name.en : name;
+  const desc = typeof description === 'object' ? description?.[lang] : lang === 'en' && description;
+  return { name: label, ...r, ...(desc ? { description: desc } : {}) };
+}
+
+// Region entries for the triggered categories ("any" always applies); urgent_only entries
+// (emergency numbers) only at the urgent level. Unknown regions get the default list.
+function resourcesFor(region, level, categories, lang, cfg){
+  const pick = list => (list || [])
+    .filter(r => !r.urgent_only || level === 'urgent')
+    .filter(r => (r.categories || ['any']).some(c => c === 'any' || categories.includes(c)))
+    .map(({ categories: _c, urgent_only: _u, ...r }) => localize(r, lang));
+  const regional = region ? pick(cfg.resources[region]) : [];
+  return regional.length ? regional : pick(cfg.resources.default);
+}
+
+/**
+ * Evaluate the safety triggers for a grounded report.
+ * @param report      normalized, grounded report (tactics + receipts)
+ * @param transcript  redacted messages, as analyzed
+ * @param flatText    redacted flat text (used when there are no messages)
+ * @param region      ISO 3166-1 alpha-2 code, or null
+ * @param outputLanguage  report language; resource text follows the notice's language
+ * @returns { level, triggers, resources, region, config_version }
+ */
+function assessSafety(report, { transcript = [], flatText = '', region = null, outputLanguage = null } = {}){
+  const triggers = [...tacticTriggers(report, CONFIG), ...phraseTriggers(transcript, flatText, CONFIG)];
+  const level = triggers.reduce((l, t) => higher(l, t.level), 'none');
+  const categories = [...new Set(triggers.map(t => t.category))];
+  const code = region ? String(region).toUpperCase() : null;
+  return {
+    level,
+    triggers,
+    resources: level === 'none' ? [] : resourcesFor(code, level, categories, noticeLanguage(outputLanguage, CONFIG), CONFIG),
+    region: code,
+    config_version: CONFIG.version
+  };
+}
+
+// ===== Narrative =====
+// Headings of the reply-script section, as the prompt template and its translations write them.
+const REPLIES_HEADING = /^\s*(?:#{1,6}\s*)?(?:\*\*)?\s*(?:✅|suggested responses|respuestas sugeridas|réponses suggérées|vorgeschlagene antworten|respostas sugeridas|risposte suggerite)/iu;
+const NEXT_SECTION = /^\s*(?:#{1,6}\s|\p{Extended_Pictographic})/u;
+
+// -> { text, removed }: the narrative without its "Suggested Responses" section(s).
+function stripReplies(md){
+  const out = [];
+  let skipping = false, removed = false;
+  for (const line of String(md || '').split('\n')) {
+    if (REPLIES_HEADING.test(line)) { skipping = removed = true; continue; }
+    if (skipping && NEXT_SECTION.test(line)) skipping = false;
+    if (!skipping) out.push(line);
+  }
+  return { text: out.join('\n').replace(/\n{3,}/g, '\n\n'), removed };
+}
+
+function formatResource(r){
+  const how = [r.phone, r.sms, r.url].filter(Boolean).join(' · ');
+  return `- ${r.name}${how ? `: ${how}` : ''}${r.description ? ` — ${r.description}` : ''}`;
+}
+
+// The notice shown at the top of the narrative, in the output language when there is copy for it.
+function safetyNotice(safety, outputLanguage){
+  const n = { ...CONFIG.notices.en, ...CONFIG.notices[noticeLanguage(outputLanguage, CONFIG)] };
+  const lines = [n.title, n[safety.level]];
+  if (safety.triggers.some(t => t.category === 'self_harm') && n.self_harm) lines.push(n.self_harm);
+  if (safety.resources.length) lines.push('', n.resources, ...safety.resources.map(formatResource));
+  return lines.join('\n');
+}
+
+/**
+ * Attach `report.safety` and, when it escalates, swap the reply scripts for the safety notice.
+ * Mutates and returns `report`.
+ */
+function applySafety(report, opts = {}){
+  const safety = assessSafety(report, opts);
+  let suppressed = false;
+  if (safety.level !== 'none') {
+    const { text, removed } = stripReplies(report.narrative_md);
+    suppressed = removed;
+    report.narrative_md = `${safetyNotice(safety, opts.outputLanguage)}\n\n${text.trim()}`;
+  }
+  report.safety = { ...safety, suppressed_replies: suppressed };
+  return report;
+}
+
+module.exports = { applySafety, assessSafety, stripReplies, safetyNotice, LEVELS, CONFIG_PATH };
@@ -0,0 +1,61 @@
+// schema.js — validate normalized reports against shared/report.schema.json before saving.
+//
+// normalizeReport already clamps numbers, but receipts and examples are passed through from
+// the model and can be malformed. Invalid reports get one repair pass (drop unusable receipts,
+// strip unknown keys, coerce types); if that still fails the job fails rather than storing
+// something clients can't render.
+
+const Ajv = require('ajv');
+const schema = require('../shared/report.schema.json');
+const { jobError } = require('./errors');
+
+const SCHEMA_VERSION = schema.properties.schema_version.const;
+
+function compile(opts){
+  const ajv = new Ajv({ allErrors: true, ...opts });
+  ajv.addKeyword('version'); // informational top-level field in the schema file
+  return ajv.compile(schema);
+}
+const validate = compile();
+// Same schema, but mutating: removes unknown properties and coerces scalar types in place.
+const repairInPlace = compile({ removeAdditional: true, coerceTypes: true });
+
+function describe(errors){
+  return (errors || []).slice(0, 5).map(e => `${e.instancePath || '/'} ${e.message}`).join('; ');
+}
+
+function repair(report){
+  const r = JSON.parse(JSON.stringify(report));
+  r.receipts = (Array.isArray(r.receipts) ? r.receipts : [])
+    .filter(x => x && typeof x === 'object' && typeof x.quote === 'string' && x.quote.trim())
+    .map(x => ({ ...x, quote: x.quote.slice(0, 280), category: typeof x.category === 'string' ? x.category : 'other' }));
+  r.tactics = (Array.isArray(r.tactics) ? r.tactics : []).map(t => ({
+    ...t,
+    examples: (Array.isArray(t.examples) ? t.examples : []).filter(e => typeof e === 'string').slice(0, 5)
+  }));
+  if (!r.kpis || typeof r.kpis !== 'object' || Array.isArray(r.kpis)) r.kpis = {};
+  for (const [k, v] of Object.entries(r.kpis)) {
+    if (!Number.isFinite(Number(v))) delete r.kpis[k];
+  }
+  repairInPlace(r);
+  return r;
+}
+
+// Stamp schema_version + input metadata, validate, repair once. Returns the report to store.
+// The worker only writes SCHEMA_VERSION; a version carried in on the report is replaced.
+function finalizeReport(report, input){
+  const { schema_version: _carried, ...body } = report;
+  const stamped = { schema_version: SCHEMA_VERSION, ...body, input };
+  if (validate(stamped)) return stamped;
+
+  const firstErrors = describe(validate.errors);
+  const repaired = repair(stamped);
+  if (validate(repaired)) {
+    console.warn(`report repaired: ${firstErrors}`);
+    return repaired;
+  }
+  // Usually a malformed model response; another attempt may well produce a valid one.
+  throw jobError('invalid_report', `report failed schema validation: ${describe(validate.errors)}`, { transient: true });
+}
+
+module.exports = { finalizeReport, validateReport: r => validate(r), SCHEMA_VERSION };
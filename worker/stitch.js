@@ -0,0 +1,135 @@
+// stitch.js — merge overlapping scrolling screenshots into one ordered sequence.
+//
+// Consecutive captures of a scrolling chat usually repeat a run of messages: the tail of
+// one image is the head of the next. We find those suffix→prefix overlaps between every
+// pair of images, chain images along the strongest overlaps (so upload order does not
+// matter), and drop the repeated run from the later image.
+
+// A single-message overlap only counts if the message is long enough not to be a coincidence ("ok", "lol").
+const MIN_SINGLE_OVERLAP_CHARS = 12;
+
+function normKey(s){
+  return String(s || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Edge messages are often cropped by the screenshot boundary, so allow containment there.
+function edgeMatch(a, b){
+  if (!a || !b) return false;
+  return a === b || (Math.min(a.length, b.length) >= 6 && (a.includes(b) || b.includes(a)));
+}
+
+// Longest k such that the last k items of A match the first k items of B.
+function overlapLength(a, b){
+  const max = Math.min(a.length, b.length);
+  for (let k = max; k >= 1; k--) {
+    let ok = true;
+    for (let j = 0; j < k && ok; j++) {
+      const x = a[a.length - k + j], y = b[j];
+      const isEdge = j === 0 || j === k - 1;
+      ok = x.speaker === y.speaker && (isEdge ? edgeMatch(x.key, y.key) : x.key === y.key);
+    }
+    if (!ok) continue;
+    if (k === 1 && Math.max(a[a.length - 1].key.length, b[0].key.length) < MIN_SINGLE_OVERLAP_CHARS) return 0;
+    return k;
+  }
+  return 0;
+}
+
+/**
+ * @param seqs   [{ id, items:[...] }] in upload order
+ * @param keyOf  item -> { speaker, text } used for comparison
+ * @returns { items, order:[id], overlaps:[{ from, to, dropped }], dropped }
+ */
+function stitchSequences(seqs, keyOf){
+  const keyed = seqs.map(s => s.items.map(it => {
+    const k = keyOf(it);
+    return { speaker: k.speaker || null, key: normKey(k.text) };
+  }));
+
+  const n = seqs.length;
+  const ov = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let a = 0; a < n; a++) {
+    for (let b = 0; b < n; b++) {
+      if (a !== b) ov[a][b] = overlapLength(keyed[a], keyed[b]);
+    }
+  }
+
+  // Chain along best successors; each image is used once, as a successor at most once.
+  const used = new Array(n).fill(false);
+  const hasPred = new Array(n).fill(false);
+  const order = [];
+  const links = []; // [a, b, k]
+  while (order.length < n) {
+    // Start a chain at the earliest-uploaded unused image that nothing unused overlaps into.
+    let start = -1;
+    for (let i = 0; i < n && start < 0; i++) {
+      if (used[i]) continue;
+      const pred = seqs.some((_, x) => !used[x] && x !== i && ov[x][i] > 0 && ov[x][i] >= ov[i][x]);
+      if (!pred) start = i;
+    }
+    if (start < 0) start = used.findIndex(u => !u); // cycle: fall back to upload order
+    let cur = start;
+    used[cur] = true;
+    order.push(cur);
+    for (;;) {
+      let next = -1, best = 0;
+      for (let b = 0; b < n; b++) {
+        if (!used[b] && !hasPred[b] && ov[cur][b] > best) { best = ov[cur][b]; next = b; }
+      }
+      if (next < 0) break;
+      used[next] = true;
+      hasPred[next] = true;
+      links.push([cur, next, best]);
+      order.push(next);
+      cur = next;
+    }
+  }
+
+  const dropFrom = new Map(links.map(([, b, k]) => [b, k]));
+  const items = [];
+  let dropped = 0;
+  for (const i of order) {
+    const k = dropFrom.get(i) || 0;
+    dropped += k;
+    items.push(...seqs[i].items.slice(k));
+  }
+
+  return {
+    items,
+    order: order.map(i => seqs[i].id),
+    overlaps: links.map(([a, b, k]) => ({ from: seqs[a].id, to: seqs[b].id, dropped: k })),
+    dropped
+  };
+}
+
+// Tiles of one tall image (images.js) are already in order; only drop each tile's repeated head.
+function mergeTiles(tileMessages){
+  const key = m => ({ speaker: m.speaker, key: normKey(m.text) });
+  const out = [];
+  let prev = [];
+  for (const msgs of tileMessages) {
+    const k = overlapLength(prev.map(key), msgs.map(key));
+    out.push(...msgs.slice(k));
+    prev = msgs;
+  }
+  return out;
+}
+
+// Speaker-labelled messages from transcript.js; ids are the source image indices.
+function stitchTranscripts(perImage){
+  return stitchSequences(
+    perImage.map(msgs => ({ id: msgs[0]?.sourceImage ?? null, items: msgs })).filter(s => s.items.length),
+    m => ({ speaker: m.speaker, text: m.text })
+  );
+}
+
+// Layout-less fallback: stitch raw OCR text line by line. texts: [{ id, text }]
+function stitchTexts(texts){
+  const res = stitchSequences(
+    texts.map(({ id, text }) => ({ id, items: String(text || '').split('\n').map(s => s.trim()).filter(Boolean) })),
+    line => ({ text: line })
+  );
+  return { ...res, text: res.items.join('\n') };
+}
+
+module.exports = { stitchTranscripts, stitchTexts, stitchSequences, mergeTiles };
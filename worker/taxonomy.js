@@ -0,0 +1,28 @@
+// taxonomy.js — the tactic taxonomy (shared/taxonomy.json) as lookup tables.
+// Single source for tactic ids, display names, alias mapping and risk weights; the prompt,
+// normalizeReport and the rule-based provider all read from here.
+
+const TAXONOMY = require('../shared/taxonomy.json');
+
+const TACTICS = TAXONOMY.tactics;
+const TACTIC_IDS = TACTICS.map(t => t.id);
+const RISK_WEIGHTS = Object.fromEntries(TACTICS.map(t => [t.id, Number(t.risk_weight) || 1.0]));
+const NAMES = Object.fromEntries(TACTICS.map(t => [t.id, t.name]));
+
+// "Blame Shifting", "blame_shifting", "blame-shifting" all compare equal.
+function slug(s){
+  return String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+const LOOKUP = new Map();
+for (const t of TACTICS) {
+  for (const key of [t.id, t.name, ...(t.aliases || [])]) LOOKUP.set(slug(key), t.id);
+}
+
+// Canonical tactic id for an id, display name or alias; "other" if unknown.
+function canonicalTacticId(s){
+  return LOOKUP.get(slug(s)) || 'other';
+}
+
+module.exports = { TAXONOMY, TACTICS, TACTIC_IDS, RISK_WEIGHTS, NAMES, canonicalTacticId };
@@ -0,0 +1,95 @@
+// analysis.test.js — chunking long transcripts and merging chunk reports.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkLines, mergeReports, runAnalysis } = require('../analysis');
+const { normalizeReport } = require('../report');
+const { CHUNK_INSTRUCTIONS } = require('../prompt');
+
+function chunkReport(tactics, receipts = []){
+  return normalizeReport({ confidence: 0.8, tactics, receipts });
+}
+
+test('chunks cover every line and share the overlap', () => {
+  const text = Array.from({ length: 20 }, (_, i) => `[${i}] OTHER: message number ${i}`).join('\n');
+  const chunks = chunkLines(text, 30, 2); // ~120 chars per chunk
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].lines[0], 0);
+  assert.equal(chunks[chunks.length - 1].lines[1], 19);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.equal(chunks[i].lines[0], Math.max(chunks[i - 1].lines[0] + 1, chunks[i - 1].lines[1] + 1 - 2));
+  }
+});
+
+test('a line longer than the budget is split rather than dropped', () => {
+  const chunks = chunkLines('x'.repeat(100), 10, 0);
+  assert.equal(chunks.map(c => c.text).join(''), 'x'.repeat(100));
+});
+
+test('lines seen by two overlapping chunks are counted once', () => {
+  const shared = { id: 'gaslighting', likelihood: 0.7, severity: 3, frequency: 2, examples: ['that never happened', 'you imagine things'] };
+  const merged = mergeReports([
+    chunkReport([shared], [{ quote: 'that never happened', category: 'gaslighting', message_index: 3, severity: 3 }]),
+    chunkReport([shared], [{ quote: 'That never happened!', category: 'gaslighting', message_index: 3, severity: 3 }])
+  ]);
+  const t = merged.tactics[0];
+  assert.equal(t.frequency, 2);
+  assert.equal(t.examples.length, 2);
+  assert.equal(merged.receipts.length, 1);
+});
+
+test('distinct examples across chunks add up', () => {
+  const merged = mergeReports([
+    chunkReport([{ id: 'gaslighting', likelihood: 0.7, severity: 3, frequency: 1, examples: ['that never happened'] }]),
+    chunkReport([{ id: 'gaslighting', likelihood: 0.6, severity: 4, frequency: 1, examples: ['you imagine things'] }])
+  ]);
+  assert.equal(merged.tactics[0].frequency, 2);
+  assert.equal(merged.tactics[0].severity, 4);
+});
+
+test('weak per-chunk hits do not grow with the number of chunks', () => {
+  const weak = chunkReport([{ id: 'stonewalling', likelihood: 0.2, severity: 1, frequency: 0, examples: [] }]);
+  const merged = mergeReports(Array.from({ length: 10 }, () => weak));
+  assert.equal(merged.tactics[0].likelihood, 0.2);
+  assert.equal(merged.tactics[0].frequency, 0);
+  const strong = mergeReports([weak, chunkReport([{ id: 'stonewalling', likelihood: 0.9, severity: 2, frequency: 1, examples: ['I am done talking'] }])]);
+  assert.equal(strong.tactics[0].likelihood, 0.9);
+});
+
+test('the chunk prompt does not ask for a minimum number of tactics', () => {
+  assert.doesNotMatch(CHUNK_INSTRUCTIONS, /at least 3/);
+  assert.match(CHUNK_INSTRUCTIONS, /empty list is fine/);
+});
+
+test('long inputs are analyzed per chunk, merged, then narrated once', async () => {
+  const calls = [];
+  const provider = {
+    maxInputTokens: 40,
+    async analyze({ text, instructions }){
+      calls.push(instructions);
+      const hit = /never happened/.test(text);
+      return {
+        raw: { tactics: hit ? [{ id: 'gaslighting', likelihood: 0.8, severity: 3, examples: ['that never happened'] }] : [] },
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      };
+    },
+    async narrate({ summary }){
+      return { narrative_md: `# ${summary.messages_analyzed} messages`, usage: { total_tokens: 7 } };
+    }
+  };
+  const lines = Array.from({ length: 12 }, (_, i) => `[${i}] OTHER: ${i === 9 ? 'that never happened' : 'see you later today'}`);
+  const log = console.log;
+  console.log = () => {};
+  let out;
+  try {
+    out = await runAnalysis({ provider, text: lines.join('\n'), messages: 12 });
+  } finally {
+    console.log = log;
+  }
+  assert.ok(out.meta.chunks > 1);
+  assert.equal(out.meta.calls, out.meta.chunks + 1);
+  assert.ok(calls.every(c => c === CHUNK_INSTRUCTIONS));
+  assert.deepEqual(out.report.tactics.map(t => [t.id, t.likelihood, t.frequency]), [['gaslighting', 0.8, 1]]);
+  assert.equal(out.report.narrative_md, '# 12 messages');
+  assert.equal(out.meta.usage.total_tokens, 15 * out.meta.chunks + 7);
+});
@@ -0,0 +1,88 @@
+// eval.test.js — corpus checks, run scoring and run diffs for the eval harness.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCase } = require('../eval/corpus');
+const { scoreRun, scoreCase, diffRuns } = require('../eval/score');
+const { TACTIC_IDS } = require('../taxonomy');
+
+function runCase(id, expected, tactics, extra = {}){
+  return {
+    id,
+    expected,
+    predicted: { tactics, risk_label: 'medium', risk_score: 50, safety: 'none', grounding: { verified: 1, total: 2 }, ...extra }
+  };
+}
+
+function savedRun(cases, config = { provider: 'rules', model: 'rules' }){
+  return { meta: { corpus: 'test', config }, summary: scoreRun(cases, { threshold: 0.5 }) };
+}
+
+test('corpus cases are checked against the taxonomy and label ranges', () => {
+  assert.deepEqual(checkCase({ id: 'ok', input: { text: 'hi' }, expected: { tactics: ['gaslighting'], risk_score: [10, 40] } }), []);
+  const problems = checkCase({
+    id: 'bad',
+    input: { text: 'hi', ocr_text: 'hi' },
+    expected: { tactics: ['mind-reading'], severity: { gaslighting: [4, 2] }, risk_label: 'extreme', safety: 'maybe' }
+  });
+  assert.ok(problems.includes('input needs exactly one of text, ocr, ocr_text'));
+  assert.ok(problems.includes('unknown tactic mind-reading'));
+  assert.ok(problems.some(p => p.startsWith('severity.gaslighting')));
+  assert.ok(problems.some(p => p.startsWith('risk_label')));
+  assert.ok(problems.some(p => p.startsWith('safety')));
+  assert.deepEqual(checkCase({ id: 'x', input: { text: '' } }), ['expected.tactics must be an array']);
+});
+
+test('a case scores detections at the threshold and never scores "other"', () => {
+  const s = scoreCase(runCase('c', { tactics: ['gaslighting', 'darvo'], risk_score: [60, 100], severity: { gaslighting: [3, 5] } }, [
+    { id: 'gaslighting', likelihood: 0.9, severity: 2 },
+    { id: 'darvo', likelihood: 0.4, severity: 3 },
+    { id: 'minimization', likelihood: 0.6, severity: 2 },
+    { id: 'other', likelihood: 0.9, severity: 1 }
+  ]), 0.5);
+  assert.deepEqual(s.tp, ['gaslighting']);
+  assert.deepEqual(s.fp, ['minimization']);
+  assert.deepEqual(s.fn, ['darvo']);
+  assert.equal(s.score_ok, false);
+  assert.equal(s.score_error, 10);
+  assert.equal(s.label_ok, null);
+  assert.deepEqual(s.severity, [{ id: 'gaslighting', range: [3, 5], severity: 2, ok: false }]);
+});
+
+test('a run reports micro and per-tactic precision and recall, skipping errored cases', () => {
+  const summary = scoreRun([
+    runCase('a', { tactics: ['gaslighting'], risk_label: 'medium' }, [{ id: 'gaslighting', likelihood: 0.8, severity: 3 }]),
+    runCase('b', { tactics: ['darvo'], risk_label: ['high'] }, [{ id: 'gaslighting', likelihood: 0.7, severity: 3 }]),
+    { id: 'c', error: 'provider timed out' }
+  ], { threshold: 0.5 });
+  assert.equal(summary.errors, 1);
+  assert.deepEqual(summary.tactics.micro, { tp: 1, fp: 1, fn: 1, precision: 0.5, recall: 0.5, f1: 0.5 });
+  assert.equal(summary.tactics.per_tactic.darvo.f1, 0);
+  assert.equal(summary.risk_label.accuracy, 0.5);
+  assert.deepEqual(summary.risk_label.confusion, { medium: { medium: 1 }, high: { medium: 1 } });
+  assert.deepEqual(summary.grounding, { verified: 2, total: 4, ratio: 0.5 });
+  // Every case × taxonomy tactic lands in one likelihood bin.
+  assert.equal(summary.calibration.likelihood_bins.reduce((a, b) => a + b.n, 0), 2 * TACTIC_IDS.length);
+});
+
+test('a diff lists changed config, metric direction and per-case changes', () => {
+  const expected = { tactics: ['gaslighting'], safety: 'elevated' };
+  const base = savedRun([
+    runCase('a', expected, [{ id: 'gaslighting', likelihood: 0.8, severity: 3 }], { safety: 'elevated' }),
+    runCase('gone', { tactics: [] }, [])
+  ]);
+  const cand = savedRun([
+    runCase('a', expected, [{ id: 'darvo', likelihood: 0.8, severity: 3 }]),
+    runCase('new', { tactics: [] }, [])
+  ], { provider: 'rules', model: 'other' });
+  const d = diffRuns(base, cand);
+  assert.deepEqual(d.config, [{ key: 'model', base: 'rules', candidate: 'other' }]);
+  const recall = d.metrics.find(m => m.metric === 'tactic recall (micro)');
+  assert.deepEqual([recall.base, recall.candidate, recall.better], [1, 0, false]);
+  const missed = d.metrics.find(m => m.metric === 'missed escalations');
+  assert.deepEqual([missed.delta, missed.better], [1, false]);
+  const changes = Object.fromEntries(d.cases.map(c => [c.id, c.change]));
+  assert.equal(changes.a, 'safety level regressed; new false positives: darvo; new misses: gaslighting');
+  assert.equal(changes.new, 'new case');
+  assert.equal(changes.gone, 'case removed');
+});
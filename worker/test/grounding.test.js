@@ -0,0 +1,79 @@
+// grounding.test.js — receipts and examples checked against the analyzed text.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groundReport, normalize } = require('../grounding');
+const { normalizeReport } = require('../report');
+
+const transcript = [
+  { speaker: 'user', text: 'I saw the messages on your phone.', sourceImage: 0 },
+  { speaker: 'other', text: "That never happened, you're imagining things again.", sourceImage: 0 },
+  { speaker: 'other', text: 'Honestly it is all your fault that we fight.', sourceImage: 1 }
+];
+
+function report(receipts, examples = []){
+  return normalizeReport({
+    confidence: 0.8,
+    tactics: [{ id: 'gaslighting', likelihood: 0.9, severity: 4, frequency: 2, examples }],
+    receipts
+  });
+}
+
+test('normalize lowercases, strips accents and apostrophes, and maps back to the source', () => {
+  const n = normalize("Don't  CAFÉ!");
+  assert.equal(n.s, 'dont cafe');
+  assert.equal("Don't  CAFÉ!"[n.map[5]], 'C');
+});
+
+test('quotes are matched to their message despite wrapping and small differences', () => {
+  const r = groundReport(report([
+    { quote: '"That never happened, youre imagining things"', category: 'gaslighting', message_index: 0 },
+    { quote: '[2] OTHER: it is all your fault', category: 'blame-shifting' }
+  ]), { transcript });
+  const [a, b] = r.receipts;
+  assert.equal(a.verified, true);
+  assert.equal(a.message_index, 1); // corrected from the model's wrong index
+  assert.equal(a.source_image, 0);
+  assert.equal(transcript[1].text.slice(a.char_start, a.char_end), "That never happened, you're imagining things");
+  assert.equal(b.verified, true);
+  assert.equal(b.message_index, 2);
+  assert.equal(b.source_image, 1);
+  assert.deepEqual(r.grounding, { ratio: 1, verified: 2, total: 2, dropped: 0 });
+  assert.equal(r.confidence, 0.8);
+});
+
+test('invented quotes are flagged and evidence loss lowers confidence and frequency', () => {
+  const r = groundReport(report(
+    [{ quote: 'You will never find anyone better than me', category: 'gaslighting', message_index: 1 }],
+    ['never happened', 'you are crazy and everyone knows it']
+  ), { transcript });
+  assert.equal(r.receipts[0].verified, false);
+  assert.equal(r.receipts[0].message_index, undefined);
+  assert.deepEqual(r.tactics[0].examples, ['never happened']);
+  assert.equal(r.tactics[0].frequency, 0.7); // 2 × 1/3 verified
+  assert.equal(r.grounding.ratio, 0.333);
+  assert.equal(r.grounding.dropped, 1);
+  assert.ok(r.confidence < 0.8 && r.confidence >= 0.4);
+});
+
+test('ellipses match the parts in order within one message', () => {
+  const r = groundReport(report([{ quote: 'Honestly … your fault', category: 'blame-shifting' }]), { transcript });
+  assert.equal(r.receipts[0].verified, true);
+  assert.equal(r.receipts[0].message_index, 2);
+  const reversed = groundReport(report([{ quote: 'your fault … Honestly', category: 'blame-shifting' }]), { transcript });
+  assert.equal(reversed.receipts[0].verified, false);
+});
+
+test('flat text is grounded by line with offsets into the whole text', () => {
+  const flatText = 'hey\nyou always twist my words\nbye';
+  const r = groundReport(report([{ quote: 'you always twist my words', category: 'gaslighting' }]), { flatText });
+  const rc = r.receipts[0];
+  assert.equal(rc.verified, true);
+  assert.equal(rc.message_index, undefined);
+  assert.equal(flatText.slice(rc.char_start, rc.char_end), 'you always twist my words');
+});
+
+test('quotes too short to ground are not verified', () => {
+  const r = groundReport(report([{ quote: 'ok', category: 'gaslighting' }]), { transcript });
+  assert.equal(r.receipts[0].verified, false);
+});
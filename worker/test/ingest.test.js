@@ -0,0 +1,74 @@
+// ingest.test.js — pasted text and chat exports into transcripts.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseConversation, detectFormat } = require('../ingest');
+
+const WA_ANDROID = [
+  '12/31/23, 9:40 PM - Messages and calls are end-to-end encrypted.',
+  '12/31/23, 9:41 PM - Sam: you never listen',
+  'and you know it',
+  '12/31/23, 9:42 PM - Alex: <Media omitted>',
+  '12/31/23, 9:43 PM - Alex: that is not fair'
+].join('\n');
+const WA_IOS = '[31/12/2023, 21:41:05] Sam: you never listen\n[31/12/2023, 21:42:10] Alex: ok';
+
+test('export formats are detected from their content', () => {
+  assert.equal(detectFormat(WA_ANDROID), 'whatsapp');
+  assert.equal(detectFormat(WA_IOS), 'whatsapp');
+  assert.equal(detectFormat(JSON.stringify({ name: 'Sam', messages: [] })), 'telegram');
+  assert.equal(detectFormat(JSON.stringify([{ text: 'hi', is_from_me: 1 }])), 'imessage');
+  assert.equal(detectFormat('Sam: hi\nAlex: hey'), 'plain');
+});
+
+test('WhatsApp exports keep multi-line messages and drop system notices and media', () => {
+  const { format, messages } = parseConversation(WA_ANDROID, { self: 'Alex' });
+  assert.equal(format, 'whatsapp');
+  assert.deepEqual(messages.map(m => [m.speaker, m.text]), [
+    ['other', 'you never listen\nand you know it'],
+    ['user', 'that is not fair']
+  ]);
+  assert.equal(messages[0].ts, '12/31/23 9:41 PM');
+});
+
+test('iOS WhatsApp lines parse like Android ones', () => {
+  const { messages } = parseConversation(WA_IOS, { contact: 'sam' });
+  assert.deepEqual(messages.map(m => m.speaker), ['other', 'user']);
+});
+
+test('Telegram exports use the chat name as the contact', () => {
+  const content = JSON.stringify({
+    name: 'Sam',
+    messages: [
+      { type: 'service', action: 'pin_message' },
+      { type: 'message', from: 'Sam', text: ['look ', { type: 'bold', text: 'here' }], date: '2024-01-02T10:00:00' },
+      { type: 'message', from: 'Alex', text: 'ok' }
+    ]
+  });
+  const { messages, inferredSpeakers } = parseConversation(content);
+  assert.deepEqual(messages.map(m => [m.speaker, m.text]), [['other', 'look here'], ['user', 'ok']]);
+  assert.equal(inferredSpeakers, false);
+});
+
+test('iMessage arrays use the from-me flag', () => {
+  const content = JSON.stringify([{ text: 'hi', is_from_me: 0, sender: '+155501' }, { text: 'hey', is_from_me: 1 }]);
+  assert.deepEqual(parseConversation(content).messages.map(m => m.speaker), ['other', 'user']);
+});
+
+test('without hints the first author is guessed to be the other party, and flagged', () => {
+  const { messages, inferredSpeakers } = parseConversation('Sam: hi\nAlex: hey\nSam: so?');
+  assert.deepEqual(messages.map(m => m.speaker), ['other', 'user', 'other']);
+  assert.equal(inferredSpeakers, true);
+});
+
+test('mostly unlabelled text stays flat', () => {
+  const text = 'he said I was imagining it\nthen he left\nNote: this was Tuesday';
+  const { messages, flatText } = parseConversation(text);
+  assert.deepEqual(messages, []);
+  assert.equal(flatText, text);
+});
+
+test('unknown and malformed exports fail with a job error code', () => {
+  assert.throws(() => parseConversation('x', { format: 'signal' }), e => e.errorCode === 'unsupported_format');
+  assert.throws(() => parseConversation('{not json', { format: 'telegram' }), e => e.errorCode === 'parse_failed');
+});
@@ -0,0 +1,114 @@
+// jobState.test.js — job lifecycle transitions, leases, retries and dead-lettering.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Firestore } = require('@google-cloud/firestore');
+const { createMemoryStore } = require('../../shared/backends/memoryStore');
+const { createJobState, stateOf, canTransition, TransitionError, MAX_ATTEMPTS } = require('../jobState');
+
+async function setup(job = {}){
+  const firestore = createMemoryStore({ Timestamp: Firestore.Timestamp });
+  const ref = firestore.collection('jobs').doc('j1');
+  await ref.set({ status: 'queued', files: [{ path: 'a' }], ...job });
+  return { ref, js: createJobState(firestore), read: async () => (await ref.get()).data() };
+}
+const past = () => Firestore.Timestamp.fromMillis(Date.now() - 1000);
+
+test('acquire claims a queued job for OCR with a lease', async () => {
+  const { ref, js, read } = await setup();
+  const claim = await js.acquire(ref);
+  assert.equal(claim.job.attempts, 1);
+  const job = await read();
+  assert.equal(job.status, 'ocr');
+  assert.ok(job.leaseOwner);
+  assert.ok(job.leaseUntil.toMillis() > Date.now());
+});
+
+test('transitions are validated and finishing releases the lease', async () => {
+  const { ref, js, read } = await setup();
+  await js.acquire(ref);
+  await assert.rejects(js.advance(ref, 'complete'), TransitionError);
+  await js.advance(ref, 'analyzing', { language: { detected: 'en' } });
+  await js.advance(ref, 'complete', { reportId: 'j1' });
+  const job = await read();
+  assert.equal(job.status, 'complete');
+  assert.equal(job.leaseOwner, null);
+  assert.deepEqual(await js.acquire(ref), { skip: 'already-complete' });
+});
+
+test('a transient failure requeues with backoff; a redelivery before then is deferred', async () => {
+  const { ref, js, read } = await setup();
+  await js.acquire(ref);
+  const failed = await js.fail(ref, { code: 'vision_unavailable', message: 'boom', transient: true });
+  assert.equal(failed.state, 'queued');
+  const job = await read();
+  assert.equal(job.status, 'queued');
+  assert.equal(job.error.code, 'vision_unavailable');
+  assert.equal(job.nextAttemptAt.toMillis(), failed.retryAt);
+  const claim = await js.acquire(ref);
+  assert.equal(claim.skip, 'backoff');
+  assert.equal(claim.retryable, true);
+  assert.equal(claim.retryAt, failed.retryAt);
+});
+
+test('a permanent failure is final', async () => {
+  const { ref, js } = await setup();
+  await js.acquire(ref);
+  assert.deepEqual(await js.fail(ref, { code: 'invalid_input', message: 'bad', transient: false }), { state: 'error', retryAt: null });
+  assert.deepEqual(await js.acquire(ref), { skip: 'already-error' });
+});
+
+test('transient failures dead-letter once attempts are exhausted', async () => {
+  const { ref, js, read } = await setup({ attempts: MAX_ATTEMPTS - 1 });
+  await js.acquire(ref);
+  assert.equal((await js.fail(ref, { code: 'timeout', transient: true })).state, 'dead_letter');
+  assert.equal((await read()).status, 'dead_letter');
+
+  const other = await setup({ attempts: MAX_ATTEMPTS, status: 'queued', nextAttemptAt: past() });
+  assert.deepEqual(await other.js.acquire(other.ref), { skip: 'dead_letter' });
+  assert.equal((await other.read()).error.code, 'max_attempts');
+});
+
+test('a live lease held by another worker defers the delivery; an expired one is taken over', async () => {
+  const until = Firestore.Timestamp.fromMillis(Date.now() + 60000);
+  const { ref, js } = await setup({ status: 'analyzing', leaseOwner: 'other', leaseUntil: until });
+  assert.deepEqual(await js.acquire(ref), { skip: 'leased', retryable: true, retryAt: until.toMillis() });
+
+  const expired = await setup({ status: 'analyzing', leaseOwner: 'other', leaseUntil: past(), attempts: 1 });
+  const claim = await expired.js.acquire(expired.ref);
+  assert.equal(claim.job.attempts, 2);
+  assert.equal((await expired.read()).status, 'ocr');
+});
+
+test('a job deleted mid-run stops the worker before it writes results', async () => {
+  const { ref, js } = await setup();
+  await js.acquire(ref);
+  await ref.update({ status: 'user_deleted' });
+  await assert.rejects(js.advance(ref, 'analyzing'), e => e.errorCode === 'user_deleted');
+  await assert.rejects(js.ensureLive(ref), e => e.errorCode === 'user_deleted');
+});
+
+test('legacy documents map onto the state machine', () => {
+  assert.equal(stateOf({ status: 'processing' }), 'ocr');
+  assert.equal(stateOf({ status: 'complete', userDeleted: true }), 'user_deleted');
+  assert.equal(stateOf({}), 'uploaded');
+  assert.equal(canTransition('complete', 'queued'), false);
+  assert.equal(canTransition('analyzing', 'queued'), true);
+});
+
+test('pasted text survives a retry and is cleared once the job finishes', async () => {
+  const { ref, js, read } = await setup({ source: 'text', text: 'Sam: call me on 555 0100' });
+  await js.acquire(ref);
+  await js.fail(ref, { code: 'timeout', transient: true });
+  assert.equal((await read()).text, 'Sam: call me on 555 0100');
+  await ref.update({ nextAttemptAt: past() });
+  await js.acquire(ref);
+  await js.advance(ref, 'analyzing');
+  await js.advance(ref, 'complete');
+  assert.equal('text' in (await read()), false);
+
+  const failed = await setup({ source: 'text', text: 'x' });
+  await failed.js.acquire(failed.ref);
+  await failed.js.fail(failed.ref, { code: 'invalid_input', transient: false });
+  assert.equal('text' in (await failed.read()), false);
+});
@@ -0,0 +1,38 @@
+// language.test.js — language detection and per-locale chat UI stripping.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, uiPatterns, baseCode } = require('../language');
+const { cleanOcr } = require('../transcript');
+
+test('language is detected from stopwords when Vision gives none', () => {
+  assert.equal(detectLanguage('no sé por qué siempre dices que es mi culpa, pero no es así').code, 'es');
+  assert.equal(detectLanguage('ich habe das nicht gesagt und du weißt das auch').code, 'de');
+  assert.equal(detectLanguage('').code, 'und');
+  assert.equal(baseCode('pt-BR'), 'pt');
+});
+
+test('date and time headers are recognized across locales', () => {
+  const ui = uiPatterns();
+  for (const s of ['Today 9:41 AM', 'Yesterday', 'Ayer 21:05', 'Mo., 4. März um 10:12', 'Mar 4', '4 de marzo de 2024',
+    '04/03/2024', 'Sun 9:41 PM', 'Tuesday, March 4, 2024 at 9:41 PM', '4 mars à 10h30', 'Heute', '21:41 Uhr']) {
+    assert.ok(ui.tsHeader.test(s), s);
+  }
+});
+
+test('a word followed by a number is not a date header', () => {
+  const ui = uiPatterns();
+  for (const s of ['Wait 10', 'Give 20', 'Okay 12', 'Call me at 9', 'Hello']) assert.equal(ui.tsHeader.test(s), false, s);
+});
+
+test('two-letter day abbreviations only count before a date or time', () => {
+  const ui = uiPatterns('de');
+  for (const s of ['So', 'Do', 'Mi', 'So 10', 'Sun']) assert.equal(ui.tsHeader.test(s), false, s);
+  assert.ok(ui.tsHeader.test('So., 3. März'));
+  assert.ok(ui.tsHeader.test('Do 21:05'));
+});
+
+test('flat OCR cleanup keeps message lines that merely look like headers', () => {
+  const text = ['Yesterday 9:41 PM', 'Wait 10', 'So', 'Give 20 minutes 9:42 PM', 'Delivered', '9:43'].join('\n');
+  assert.equal(cleanOcr(text), 'Wait 10\nSo\nGive 20 minutes');
+});
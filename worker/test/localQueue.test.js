@@ -0,0 +1,69 @@
+// localQueue.test.js — local queue redelivery against the job state machine's retry schedule.
+
+// Short schedules; both modules read these at require time.
+process.env.JOB_RETRY_BASE_MS = '40';
+process.env.JOB_MAX_ATTEMPTS = '3';
+process.env.LOCAL_QUEUE_RETRY_MS = '1';
+process.env.LOCAL_QUEUE_MAX_DELIVERIES = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Firestore } = require('@google-cloud/firestore');
+const { createMemoryStore } = require('../../shared/backends/memoryStore');
+const { createLocalQueue } = require('../../shared/backends/localQueue');
+const { createJobState } = require('../jobState');
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function until(fn, ms = 3000){
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    if (await fn()) return true;
+    await sleep(10);
+  }
+  return false;
+}
+
+test('plain statuses are retried with backoff up to the delivery limit', async () => {
+  const queue = createLocalQueue();
+  let calls = 0;
+  queue.subscribe(async () => { calls++; return calls === 1 ? 503 : 200; });
+  await queue.publish({ jobId: 'a' });
+  assert.ok(await until(() => calls === 2));
+
+  const warn = console.warn;
+  const warned = [];
+  console.warn = m => warned.push(m);
+  try {
+    let failures = 0;
+    const other = createLocalQueue();
+    other.subscribe(async () => { failures++; return 500; });
+    await other.publish({ jobId: 'b' });
+    assert.ok(await until(() => warned.length === 1));
+    assert.equal(failures, 2);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('a job that keeps failing transiently is dead-lettered, not left queued', async () => {
+  const firestore = createMemoryStore({ Timestamp: Firestore.Timestamp });
+  const jobState = createJobState(firestore);
+  const ref = firestore.collection('jobs').doc('j1');
+  await ref.set({ status: 'queued', files: [] });
+
+  // Same shape as the worker's handleDelivery: every attempt fails with a transient error.
+  let attempts = 0;
+  const queue = createLocalQueue();
+  queue.subscribe(async () => {
+    const claim = await jobState.acquire(ref);
+    if (claim.skip) return { status: claim.retryable ? 409 : 200, retryAt: claim.retryAt || null };
+    attempts++;
+    const { state, retryAt } = await jobState.fail(ref, { code: 'vision_unavailable', transient: true });
+    return { status: state === 'queued' ? 503 : 200, retryAt };
+  });
+  await queue.publish({ jobId: 'j1' });
+
+  assert.ok(await until(async () => (await ref.get()).data().status === 'dead_letter'));
+  assert.equal(attempts, 3);
+});
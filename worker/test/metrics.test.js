@@ -0,0 +1,90 @@
+// metrics.test.js — per-job cost accounting, Prometheus labels and access to the worker's /metrics.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PRICES = JSON.stringify({ 'local-llama': { input: 1, output: 2 } });
+process.env.VISION_PRICE_PER_1000 = '1.5';
+const { createJobMetrics, llmCost, visionCost, registry } = require('../metrics');
+const { metricsHandler } = require('../../shared/prometheus');
+
+test('LLM cost is priced per model and per token kind', () => {
+  const usage = { prompt_tokens: 1000000, completion_tokens: 100000 };
+  assert.equal(llmCost({ provider: 'openai', model: 'gpt-4o', usage }), 3.5);
+  assert.equal(llmCost({ provider: 'openai', model: 'gpt-4o-mini', usage: { prompt_tokens: 2000, completion_tokens: 500 } }), 0.0006);
+  // LLM_PRICES adds models.
+  assert.equal(llmCost({ provider: 'local', model: 'local-llama', usage }), 1.2);
+});
+
+test('free providers and missing usage cost nothing; unknown models are unknown, not free', () => {
+  assert.equal(llmCost({ provider: 'rules', model: 'lexicon-v1', usage: { prompt_tokens: 10 } }), 0);
+  assert.equal(llmCost({ provider: 'openai', model: 'gpt-4o', usage: null }), 0);
+  assert.equal(llmCost({ provider: 'openai', model: 'gpt-9', usage: { prompt_tokens: 10 } }), null);
+  assert.equal(visionCost(3), 0.0045);
+});
+
+test('a finished job reports its cost and feeds the labelled counters', async () => {
+  const m = createJobMetrics();
+  m.set({ provider: 'openai', model: 'gpt-4o', plan: 'pro', images: 2, usage: { prompt_tokens: 4000, completion_tokens: 1000 } });
+  m.count('vision_calls', 2);
+  m.count('tiles', 3);
+  await m.time('llm', async () => {});
+  m.set({ safety: { level: 'urgent', categories: ['violence'] } });
+  const summary = m.finish({ status: 'complete' });
+  assert.deepEqual(summary.cost_usd, { llm: 0.02, vision: 0.003, total: 0.023 });
+  assert.equal(summary.tiles, 3);
+  assert.ok('llm' in summary.stages_ms);
+
+  const unknown = createJobMetrics();
+  unknown.set({ provider: 'openai', model: 'gpt-9', usage: { prompt_tokens: 1 } });
+  assert.equal(unknown.finish({ status: 'error', code: 'provider_error' }).cost_usd.total, null);
+
+  const text = registry.render();
+  assert.match(text, /^toxella_worker_jobs_total\{status="complete",code="",plan="pro",model="gpt-4o"\} 1$/m);
+  assert.match(text, /^toxella_worker_jobs_total\{status="error",code="provider_error",plan="unknown",model="gpt-9"\} 1$/m);
+  assert.match(text, /^toxella_worker_llm_tokens_total\{model="gpt-4o",kind="prompt"\} 4000$/m);
+  assert.match(text, /^toxella_worker_llm_tokens_total\{model="gpt-4o",kind="completion"\} 1000$/m);
+  assert.match(text, /^toxella_worker_cost_usd_total\{kind="llm",model="gpt-4o"\} 0.02$/m);
+  assert.match(text, /^toxella_worker_cost_usd_total\{kind="vision",model="vision"\} 0.003$/m);
+  assert.match(text, /^toxella_worker_safety_escalations_total\{level="urgent",category="violence"\} 1$/m);
+});
+
+// GET /metrics as the worker serves it, under the given env (read when the handler is built).
+function scrape(env, authorization) {
+  const keys = ['METRICS_TOKEN', 'METRICS_PUBLIC', 'BACKEND'];
+  const saved = Object.fromEntries(keys.map(k => [k, process.env[k]]));
+  const warn = console.warn;
+  console.warn = () => {};
+  let handler;
+  try {
+    for (const k of keys) {
+      if (env[k] === undefined) delete process.env[k];
+      else process.env[k] = env[k];
+    }
+    handler = metricsHandler(registry);
+  } finally {
+    console.warn = warn;
+    for (const k of keys) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+  }
+  const out = { status: 200, body: null };
+  const res = {
+    status(s) { out.status = s; return res; },
+    type() { return res; },
+    send(b) { out.body = b; return res; },
+    end() { return res; }
+  };
+  handler({ get: h => (h.toLowerCase() === 'authorization' ? authorization : undefined) }, res);
+  return out;
+}
+
+test('the worker /metrics is off without METRICS_TOKEN and needs the token when set', () => {
+  assert.equal(scrape({}).status, 404);
+  assert.equal(scrape({ METRICS_TOKEN: 't0ken' }).status, 401);
+  assert.equal(scrape({ METRICS_TOKEN: 't0ken' }, 'Bearer wrong').status, 401);
+  const ok = scrape({ METRICS_TOKEN: 't0ken' }, 'Bearer t0ken');
+  assert.equal(ok.status, 200);
+  assert.match(ok.body, /toxella_worker_jobs_total/);
+});
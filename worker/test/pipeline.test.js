@@ -0,0 +1,48 @@
+// pipeline.test.js — combining per-image OCR into one transcript or flat text.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readImage, combineImages } = require('../pipeline');
+
+// A Vision paragraph covering [x0, x1] × [y0, y0 + 30] on a 1000px-wide page.
+function para(text, x0, x1, y0){
+  const words = text.split(' ').map(w => ({
+    symbols: [...w].map((c, i) => ({ text: c, ...(i === w.length - 1 ? { property: { detectedBreak: { type: 'SPACE' } } } : {}) }))
+  }));
+  const vertices = [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y0 + 30 }, { x: x0, y: y0 + 30 }];
+  return { boundingBox: { vertices }, words };
+}
+function chat(lines){
+  const paras = lines.map(([side, text], i) => (side === 'other' ? para(text, 40, 600, 100 + i * 100) : para(text, 450, 960, 100 + i * 100)));
+  return { text: lines.map(([, t]) => t).join('\n'), pages: [{ width: 1000, height: 2000, blocks: [{ paragraphs: paras }] }] };
+}
+
+const SCREENSHOT = chat([['other', 'Where were you last night?'], ['user', 'At work, I told you']]);
+
+test('chat screenshots combine into a speaker-labelled transcript', () => {
+  const combined = combineImages([readImage([SCREENSHOT], 0)]);
+  assert.deepEqual(combined.transcript.map(m => [m.speaker, m.text]), [
+    ['other', 'Where were you last night?'],
+    ['user', 'At work, I told you']
+  ]);
+  assert.equal(combined.flatText, '');
+  assert.equal(combined.meta.stitch.unit, 'message');
+});
+
+test('an image without layout among screenshots keeps its lines: the job is read as flat text', () => {
+  const flatOnly = { text: 'Today 9:41 PM\nYou will regret leaving me.\nDelivered' };
+  const combined = combineImages([readImage([SCREENSHOT], 0), readImage([flatOnly], 1)]);
+  assert.deepEqual(combined.transcript, []);
+  assert.match(combined.flatText, /Where were you last night\?/);
+  assert.match(combined.flatText, /You will regret leaving me\./);
+  assert.doesNotMatch(combined.flatText, /Delivered|9:41/);
+  assert.equal(combined.meta.stitch.unit, 'line');
+  assert.deepEqual(combined.meta.stitch.layoutless, [1]);
+});
+
+test('an image with only UI chrome does not force the flat path', () => {
+  const chrome = { text: 'Today 9:41 PM\nDelivered' };
+  const combined = combineImages([readImage([SCREENSHOT], 0), readImage([chrome], 1)]);
+  assert.equal(combined.transcript.length, 2);
+  assert.equal(combined.meta.stitch.unit, 'message');
+});
@@ -0,0 +1,48 @@
+// providers.test.js — provider registry and the offline rules provider.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider, providerForJob } = require('../providers');
+const { analyzeText } = require('../providers/rules');
+const { normalizeReport } = require('../report');
+
+test('rules provider flags lexicon phrases with per-message receipts', async () => {
+  const text = '[0] USER: I have the messages.\n[1] OTHER: That never happened, you\'re imagining things.\n[2] OTHER: It\'s all your fault.';
+  const { raw, usage } = await getProvider('rules').analyze({ text });
+  assert.equal(usage, null);
+  const ids = raw.tactics.map(t => t.id).sort();
+  assert.deepEqual(ids, ['blame-shifting', 'gaslighting']);
+  const r = raw.receipts.find(x => x.category === 'gaslighting');
+  assert.equal(r.message_index, 1);
+  assert.match(r.quote, /never happened/);
+});
+
+test('rules provider output normalizes to a scored report', () => {
+  const report = normalizeReport(analyzeText('you are so sensitive\ncalm down'));
+  assert.ok(report.risk_score >= 0 && report.risk_score <= 100);
+  assert.ok(['low', 'medium', 'high'].includes(report.risk_label));
+  assert.equal(report.tactics[0].id, 'minimization');
+});
+
+test('benign text yields no tactics', () => {
+  assert.deepEqual(analyzeText('See you at 6, I will bring snacks.').tactics, []);
+});
+
+test('registry rejects unknown providers and ignores disallowed job overrides', () => {
+  assert.throws(() => getProvider('nope'), /unknown analysis provider/);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    // ALLOWED_JOB_PROVIDERS is empty by default, so the override falls back to the default.
+    assert.equal(providerForJob({ provider: 'rules' }), getProvider());
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('rules narrative counts every transcript message, as input.num_messages does', () => {
+  const text = '[0] USER: I have the messages.\n[1] OTHER: That never happened.\n[2] USER: It did.';
+  assert.match(analyzeText(text, { outputLanguage: 'es' }).narrative_md, /^Mensajes analizados: 3$/m);
+  // Free text has no message count.
+  assert.doesNotMatch(analyzeText('That never happened. You are so sensitive.').narrative_md, /Total Messages Analyzed/);
+});
@@ -0,0 +1,34 @@
+// redact.test.js — PII placeholders before text reaches a provider.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor } = require('../redact');
+const { redactInput } = require('../pipeline');
+
+test('emails, URLs, phones, cards and addresses become stable placeholders', () => {
+  const r = createRedactor();
+  const out = r.redact('mail sam@example.com or see https://x.test/a or call +1 (555) 010-0199, card 4111 1111 1111 1111, at 12 Oak Street apt 4');
+  assert.equal(out, 'mail [EMAIL_1] or see [URL_1] or call [PHONE_1], card [CARD_1], at [ADDRESS_1]');
+  assert.equal(r.redact('again: +1.555.010.0199'), 'again: [PHONE_1]');
+  assert.equal(r.mapping['[EMAIL_1]'], 'sam@example.com');
+  assert.deepEqual(r.summary(), { counts: { EMAIL: 1, URL: 1, PHONE: 2, CARD: 1, ADDRESS: 1 }, total: 6 });
+});
+
+test('times, dates, short numbers and non-Luhn digit runs are left alone', () => {
+  const r = createRedactor();
+  const text = 'at 9:41 on 12/31/23, room 42, order 1234 5678 9012 3456 789';
+  assert.equal(r.redact(text).includes('9:41 on 12/31/23, room 42'), true);
+  assert.equal(r.summary().counts.CARD, undefined);
+});
+
+test('given names are redacted as whole words, longest first, case-insensitively', () => {
+  const r = createRedactor({ names: ['Anna', 'Anna Maria', 'me', ''] });
+  assert.equal(r.redact('anna maria said Anna knows. Annabel and me too'), '[CONTACT_A] said [CONTACT_B] knows. Annabel and me too');
+});
+
+test('every name supplied for the job is redacted from the transcript', () => {
+  const input = { transcript: [{ speaker: 'other', text: 'Tell Jordan I said hi', sourceImage: null }], flatText: '' };
+  const { transcript, text } = redactInput(input, { names: ['Sam', 'Jordan'] });
+  assert.equal(transcript[0].text, 'Tell [CONTACT_A] I said hi');
+  assert.doesNotMatch(text, /Jordan/);
+});
@@ -0,0 +1,59 @@
+// safety.test.js — escalation triggers, regional resources and the localized safety notice.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applySafety, assessSafety, stripReplies } = require('../safety');
+
+const THREAT = [
+  { speaker: 'user', text: 'I am leaving tonight.' },
+  { speaker: 'other', text: "If you leave I'll kill you." }
+];
+
+function report(){
+  return { tactics: [], receipts: [], narrative_md: '📊 Summary\nText\n\n✅ Suggested Responses\n- "Calm reply"\n\n🚦 Risk Level: HIGH' };
+}
+
+test('quiet conversations do not escalate', () => {
+  const s = assessSafety(report(), { transcript: [{ speaker: 'other', text: 'See you at 6.' }] });
+  assert.equal(s.level, 'none');
+  assert.deepEqual(s.resources, []);
+});
+
+test('a violence phrase escalates to urgent with regional emergency numbers', () => {
+  const s = assessSafety(report(), { transcript: THREAT, region: 'us' });
+  assert.equal(s.level, 'urgent');
+  assert.equal(s.region, 'US');
+  assert.deepEqual(s.triggers[0].evidence, [{ quote: "If you leave I'll kill you.", message_index: 1, speaker: 'other' }]);
+  const names = s.resources.map(r => r.name);
+  assert.ok(names.includes('Emergency services'));
+  assert.ok(names.includes('National Domestic Violence Hotline'));
+  assert.ok(!names.some(n => /988/.test(n)), 'self-harm lines only for self-harm triggers');
+});
+
+test('resource text follows the notice language and is left out when there is none', () => {
+  const es = assessSafety(report(), { transcript: THREAT, outputLanguage: 'es-MX' }).resources;
+  assert.deepEqual(es.map(r => r.name), ['Find A Helpline', 'Servicios de emergencia']);
+  assert.match(es[0].description, /^Líneas de crisis/);
+  // No Spanish copy for ShelterSafe's description, so it is dropped instead of shown in English.
+  const ca = assessSafety(report(), { transcript: THREAT, region: 'CA', outputLanguage: 'es' }).resources;
+  assert.equal(ca.find(r => r.name === 'ShelterSafe').description, undefined);
+  // Languages without notice copy get English throughout.
+  const it = assessSafety(report(), { transcript: THREAT, outputLanguage: 'it' }).resources;
+  assert.equal(it[1].name, 'Local emergency services');
+  assert.match(it[1].description, /immediate danger/);
+});
+
+test('escalation replaces the reply scripts with the notice', () => {
+  const r = applySafety(report(), { transcript: THREAT, outputLanguage: 'de' });
+  assert.equal(r.safety.suppressed_replies, true);
+  assert.match(r.narrative_md, /^🛟 Deine Sicherheit geht vor/);
+  assert.match(r.narrative_md, /- Notruf — Ruf die örtliche Notrufnummer an/);
+  assert.doesNotMatch(r.narrative_md, /Calm reply/);
+  assert.match(r.narrative_md, /🚦 Risk Level: HIGH/);
+});
+
+test('reply sections are found under translated headings', () => {
+  const { text, removed } = stripReplies('## Resumen\nx\n## Respuestas sugeridas\n- "hola"\n## Riesgo\ny');
+  assert.equal(removed, true);
+  assert.equal(text, '## Resumen\nx\n## Riesgo\ny');
+});
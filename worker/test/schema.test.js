@@ -0,0 +1,69 @@
+// schema.test.js — report validation, the repair pass and schema_version stamping.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { finalizeReport, validateReport, SCHEMA_VERSION } = require('../schema');
+const { getProvider } = require('../providers');
+const { readText, redactInput, analyzeInput } = require('../pipeline');
+
+const INPUT = { source: 'text', num_images: 0, num_messages: 2 };
+
+// A report as the worker builds it: analysis, grounding, safety and the redaction summary.
+async function built(){
+  const redacted = redactInput(readText("Sam: That never happened.\nMe: It did, I have the messages."));
+  const { report } = await analyzeInput({ provider: getProvider('rules'), redacted });
+  report.redaction = { ...redacted.redactor.summary(), rehydratable: false };
+  return report;
+}
+
+test('a valid report is stamped with the current version and stored as is', async () => {
+  const report = await built();
+  const out = finalizeReport(report, INPUT);
+  assert.equal(out.schema_version, SCHEMA_VERSION);
+  assert.deepEqual(out.input, INPUT);
+  assert.deepEqual(out.tactics, report.tactics);
+  assert.ok(validateReport(out));
+});
+
+test('malformed model output is repaired once', async () => {
+  const report = await built();
+  report.receipts.push({ quote: '   ', category: 'gaslighting' }, { category: 'darvo' }, 'not a receipt');
+  report.tactics[0].examples.push(42, { quote: 'x' });
+  report.kpis = { emotional_stability: '80', vibe: 'tense' };
+  report.unexpected = 'dropped';
+  const warn = console.warn;
+  let warned = '';
+  console.warn = m => { warned = m; };
+  try {
+    const out = finalizeReport(report, INPUT);
+    assert.ok(validateReport(out));
+    assert.ok(out.receipts.every(r => typeof r.quote === 'string' && r.quote.trim()));
+    assert.ok(out.tactics[0].examples.every(e => typeof e === 'string'));
+    assert.deepEqual(out.kpis, { emotional_stability: 80 });
+    assert.equal(out.unexpected, undefined);
+    assert.match(warned, /^report repaired: /);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('a report the repair pass cannot fix fails the attempt as transient', async () => {
+  const report = await built();
+  delete report.safety;
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.throws(() => finalizeReport(report, INPUT), e => e.errorCode === 'invalid_report' && e.transient === true && /safety/.test(e.message));
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('unknown or newer schema versions are not valid reports, and the worker stamps its own', async () => {
+  const report = await built();
+  const current = finalizeReport(report, INPUT);
+  for (const version of ['9.9', '0.1', undefined]) {
+    assert.equal(validateReport({ ...current, schema_version: version }), false, String(version));
+  }
+  assert.equal(finalizeReport({ ...report, schema_version: '9.9' }, INPUT).schema_version, SCHEMA_VERSION);
+});
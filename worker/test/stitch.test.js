@@ -0,0 +1,58 @@
+// stitch.test.js — merging overlapping screenshots.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stitchTranscripts, stitchTexts, mergeTiles } = require('../stitch');
+
+const m = (speaker, text, sourceImage) => ({ speaker, text, sourceImage });
+
+test('overlapping captures are ordered by content, not upload order, and deduplicated', () => {
+  const first = [m('other', 'Where were you last night?', 0), m('user', 'At work, I told you already', 0)];
+  const second = [m('user', 'At work, I told you already', 1), m('other', 'You never told me that', 1), m('user', 'I did, on Monday', 1)];
+  // Uploaded in reverse.
+  const res = stitchTranscripts([second, first]);
+  assert.deepEqual(res.order, [0, 1]);
+  assert.equal(res.dropped, 1);
+  assert.deepEqual(res.overlaps, [{ from: 0, to: 1, dropped: 1 }]);
+  assert.deepEqual(res.items.map(x => x.text), [
+    'Where were you last night?', 'At work, I told you already', 'You never told me that', 'I did, on Monday'
+  ]);
+});
+
+test('a short single-message overlap is treated as a coincidence', () => {
+  const a = [m('other', 'Hello there', 0), m('user', 'ok', 0)];
+  const b = [m('user', 'ok', 1), m('other', 'Bye', 1)];
+  const res = stitchTranscripts([a, b]);
+  assert.equal(res.dropped, 0);
+  assert.equal(res.items.length, 4);
+});
+
+test('the same text from the other speaker is not an overlap', () => {
+  const a = [m('other', 'I really need you to listen to me', 0)];
+  const b = [m('user', 'I really need you to listen to me', 1)];
+  assert.equal(stitchTranscripts([a, b]).dropped, 0);
+});
+
+test('a message cropped at the screenshot edge still matches', () => {
+  const a = [m('other', 'First message here', 0), m('user', 'This message was cut off at the bott', 0)];
+  const b = [m('user', 'This message was cut off at the bottom edge', 1), m('other', 'Next one', 1)];
+  const res = stitchTranscripts([a, b]);
+  assert.equal(res.dropped, 1);
+  assert.deepEqual(res.items.map(x => x.text).slice(-2), ['This message was cut off at the bott', 'Next one']);
+});
+
+test('layout-less text is stitched line by line', () => {
+  const res = stitchTexts([
+    { id: 0, text: 'line one is long enough\nline two is long enough' },
+    { id: 1, text: 'line two is long enough\nline three' }
+  ]);
+  assert.equal(res.text, 'line one is long enough\nline two is long enough\nline three');
+});
+
+test('tiles drop only the head repeated from the previous tile', () => {
+  const out = mergeTiles([
+    [m('other', 'Message at the top of the tall image', 0), m('user', 'Boundary message shared by tiles', 0)],
+    [m('user', 'Boundary message shared by tiles', 0), m('other', 'Below the seam', 0)]
+  ]);
+  assert.deepEqual(out.map(x => x.text), ['Message at the top of the tall image', 'Boundary message shared by tiles', 'Below the seam']);
+});
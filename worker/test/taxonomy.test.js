@@ -0,0 +1,38 @@
+// taxonomy.test.js — tactic ids, aliases and normalization onto the taxonomy.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TACTICS, TACTIC_IDS, RISK_WEIGHTS, canonicalTacticId } = require('../taxonomy');
+const { normalizeReport } = require('../report');
+
+test('taxonomy ids are unique and every tactic has a name and weight', () => {
+  assert.equal(new Set(TACTIC_IDS).size, TACTIC_IDS.length);
+  for (const t of TACTICS) {
+    assert.ok(t.name, t.id);
+    assert.ok(RISK_WEIGHTS[t.id] > 0, t.id);
+  }
+});
+
+test('ids, display names and aliases map to one canonical id', () => {
+  for (const s of ['blame-shifting', 'Blame Shifting', 'blame_shifting', 'shifting blame']) {
+    assert.equal(canonicalTacticId(s), 'blame-shifting', s);
+  }
+  assert.equal(canonicalTacticId('Reality denial'), 'gaslighting');
+  assert.equal(canonicalTacticId('love languages'), 'other');
+  assert.equal(canonicalTacticId(undefined), 'other');
+});
+
+test('normalizeReport canonicalizes tactic and receipt categories', () => {
+  const report = normalizeReport({
+    tactics: [
+      { id: 'Gaslight', likelihood: 0.8, severity: 4, examples: ['that never happened'] },
+      { id: 'custom', name: 'Silent treatment', likelihood: 0.4 },
+      { id: 'custom', name: 'Weather small talk', likelihood: 0.4 }
+    ],
+    receipts: [{ quote: 'that never happened', category: 'reality denial', message_index: '2' }]
+  });
+  assert.deepEqual(report.tactics.map(t => t.id), ['gaslighting', 'silent-treatment', 'other']);
+  assert.equal(report.tactics[2].name, 'Weather small talk');
+  assert.equal(report.receipts[0].category, 'gaslighting');
+  assert.equal(report.receipts[0].message_index, 2);
+});
@@ -0,0 +1,62 @@
+// transcript.test.js — speaker-labelled transcripts from Vision layout.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTranscript, renderTranscript, parseRenderedLine } = require('../transcript');
+
+// A Vision paragraph covering [x0, x1] × [y0, y1] on a 1000px-wide page.
+function para(text, x0, x1, y0, y1 = y0 + 30){
+  const words = text.split(' ').map(w => ({
+    symbols: [...w].map((c, i) => ({ text: c, ...(i === w.length - 1 ? { property: { detectedBreak: { type: 'SPACE' } } } : {}) }))
+  }));
+  const vertices = [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }];
+  return { boundingBox: { vertices }, words };
+}
+function annotation(paras){
+  return { text: '', pages: [{ width: 1000, height: 2000, blocks: [{ paragraphs: paras }] }] };
+}
+
+test('bubbles are split by side and kept in reading order', () => {
+  const msgs = buildTranscript(annotation([
+    para('Where were you last night?', 40, 600, 100),
+    para('At work, I told you', 450, 960, 200),
+    para('You never told me that', 40, 620, 300)
+  ]), 2);
+  assert.deepEqual(msgs.map(m => [m.speaker, m.text]), [
+    ['other', 'Where were you last night?'],
+    ['user', 'At work, I told you'],
+    ['other', 'You never told me that']
+  ]);
+  assert.ok(msgs.every(m => m.sourceImage === 2));
+});
+
+test('a centered date header and a clock under a bubble become timestamps', () => {
+  const msgs = buildTranscript(annotation([
+    para('Yesterday', 420, 580, 50),
+    para('Are you coming?', 40, 500, 100),
+    para('21:05', 40, 120, 135, 150),
+    para('Seen', 860, 960, 400)
+  ]));
+  assert.equal(msgs.length, 1);
+  assert.equal(msgs[0].ts, 'Yesterday');
+});
+
+test('OCR-split paragraphs of one bubble are merged', () => {
+  const msgs = buildTranscript(annotation([
+    para('I just think you should', 40, 600, 100, 130),
+    para('have asked me first', 40, 560, 135, 165)
+  ]));
+  assert.deepEqual(msgs.map(m => m.text), ['I just think you should have asked me first']);
+});
+
+test('no layout yields no messages', () => {
+  assert.deepEqual(buildTranscript({ text: 'flat' }), []);
+});
+
+test('rendered lines parse back to their messages', () => {
+  const msgs = [{ speaker: 'user', text: 'hi\nthere' }, { speaker: 'other', text: 'ok', ts: '9:41' }];
+  const lines = renderTranscript(msgs).split('\n');
+  assert.deepEqual(lines, ['[0] USER: hi there', '[1] OTHER (9:41): ok']);
+  assert.deepEqual(parseRenderedLine(lines[1]), { index: 1, speaker: 'other', ts: '9:41', text: 'ok' });
+  assert.equal(parseRenderedLine('not a transcript line'), null);
+});
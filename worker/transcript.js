@@ -0,0 +1,138 @@
+// transcript.js — rebuild a speaker-labelled conversation from Vision OCR layout.
+//
+// Chat apps render the other party's bubbles flush left and the device owner's flush right,
+// so paragraph bounding boxes are enough to attribute each message. Output messages are
+// { speaker: "other" | "user", text, ts?, sourceImage } in reading order. Status lines, date
+// headers and clock formats are matched per locale (see language.js).
+
+const { uiPatterns } = require('./language');
+
+// A bubble whose left edge sits within this fraction of the page width is "left aligned", etc.
+const EDGE_MARGIN = 0.18;
+const MAX_MESSAGES = 2000;
+
+// Flat OCR text (no layout): drop whole lines of UI chrome for the detected language, and
+// clock times trailing a line.
+function cleanOcr(s, { language } = {}){
+  if (!s) return '';
+  const ui = uiPatterns(language);
+  return s
+    .split('\n')
+    .filter(line => {
+      const t = line.trim();
+      return !t || !(ui.boilerplate.test(t) || ui.tsHeader.test(t) || ui.clock.test(t));
+    })
+    .map(line => line.replace(ui.trailingTs, ''))
+    .join('\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function boxOf(boundingBox){
+  const v = boundingBox?.vertices || [];
+  const xs = v.map(p => p.x || 0), ys = v.map(p => p.y || 0);
+  if (!xs.length) return null;
+  return { x0: Math.min(...xs), x1: Math.max(...xs), y0: Math.min(...ys), y1: Math.max(...ys) };
+}
+
+function paragraphText(p){
+  let out = '';
+  for (const w of p.words || []) {
+    for (const s of w.symbols || []) {
+      out += s.text || '';
+      const br = s.property?.detectedBreak?.type;
+      if (br && br !== 'HYPHEN') out += ' ';
+    }
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+function classifySide(box, width){
+  const left = box.x0 / width, right = box.x1 / width;
+  const hugsLeft = left <= EDGE_MARGIN, hugsRight = right >= 1 - EDGE_MARGIN;
+  if (hugsLeft && !hugsRight) return 'other';
+  if (hugsRight && !hugsLeft) return 'user';
+  if (!hugsLeft && !hugsRight) return 'center';
+  // Full-width bubble: fall back to which margin is tighter.
+  return left <= 1 - right ? 'other' : 'user';
+}
+
+// Turn one image's fullTextAnnotation into ordered messages. `language` picks the UI strings
+// to strip (all supported locales when unknown).
+function buildTranscript(annotation, sourceImage = 0, { language } = {}){
+  const page = annotation?.pages?.[0];
+  if (!page) return [];
+  const width = page.width || 1;
+
+  const paras = [];
+  for (const block of page.blocks || []) {
+    for (const p of block.paragraphs || []) {
+      const box = boxOf(p.boundingBox) || boxOf(block.boundingBox);
+      const text = paragraphText(p);
+      if (box && text) paras.push({ box, text });
+    }
+  }
+  paras.sort((a, b) => a.box.y0 - b.box.y0 || a.box.x0 - b.box.x0);
+
+  const ui = uiPatterns(language);
+  const out = [];
+  let pendingTs = null;
+  for (const { box, text } of paras) {
+    if (ui.boilerplate.test(text)) continue;
+    const side = classifySide(box, width);
+    if (side === 'center') {
+      // Centered text is a date/time header (or app chrome); carry it to the next bubble.
+      if (ui.tsHeader.test(text)) pendingTs = text;
+      continue;
+    }
+    if (ui.clock.test(text)) {
+      // Time printed under a bubble rather than inside it.
+      const prev = out[out.length - 1];
+      if (prev && !prev.ts) prev.ts = text;
+      continue;
+    }
+
+    let body = text, ts = null;
+    const m = body.match(ui.trailingTs);
+    if (m && m.index > 0) { ts = m[1]; body = body.slice(0, m.index).trim(); }
+    ts = ts || pendingTs;
+    pendingTs = null;
+
+    const prev = out[out.length - 1];
+    const prevBox = prev?._box;
+    const lineH = box.y1 - box.y0;
+    // Adjacent paragraphs on the same side with a small gap are one bubble split by OCR.
+    if (prev && prev.speaker === side && prevBox && box.y0 - prevBox.y1 < lineH * 0.6 && !ts) {
+      prev.text += ' ' + body;
+      prev._box = { ...prevBox, y1: box.y1 };
+      continue;
+    }
+    out.push({ speaker: side, text: body, ...(ts ? { ts } : {}), sourceImage, _box: box });
+  }
+
+  return out.map(({ _box, ...m }) => m);
+}
+
+// Analysis input: one line per message, indexed so receipts can point back at them.
+function renderTranscript(messages){
+  return messages.map((m, i) =>
+    `[${i}] ${m.speaker === 'user' ? 'USER' : 'OTHER'}${m.ts ? ` (${m.ts})` : ''}: ${m.text.replace(/\s*\n\s*/g, ' ')}`
+  ).join('\n');
+}
+
+// Inverse of renderTranscript, for consumers that only get the rendered text (e.g. the rules provider).
+const RENDERED_LINE_RE = /^\[(\d+)\]\s+(USER|OTHER)(?:\s+\(([^)]*)\))?:\s?(.*)$/;
+function parseRenderedLine(line){
+  const m = RENDERED_LINE_RE.exec(line);
+  if (!m) return null;
+  return { index: Number(m[1]), speaker: m[2] === 'USER' ? 'user' : 'other', ts: m[3] || null, text: m[4] };
+}
+
+module.exports = {
+  cleanOcr,
+  buildTranscript,
+  MAX_MESSAGES,
+  renderTranscript,
+  parseRenderedLine
+};